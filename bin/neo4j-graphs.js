@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+var cli = require("../lib/cli");
+
+cli.run(process.argv.slice(2), process.stdout, function (error) {
+    "use strict";
+    if (error) {
+        process.stderr.write("Error: " + error.message + "\n" +
+            (error.usage ? "Run neo4j-graphs --help for the usage\n" : ""));
+        process.exitCode = error.usage ? 2 : 1;
+    }
+});
@@ -0,0 +1,321 @@
+var Promise = require("bluebird");
+var debug = require("debug")("loopback:connector:neo4j-graph");
+
+/**
+ * Aggregations: `aggregate` computes `count`, `sum`, `avg`, `min` and `max` over the instances matching a where
+ * filter, grouped by some of their properties, and `distinct` lists the values of a property. Both are compiled to a
+ * single Cypher aggregation query using the same conditions as `find`:
+ *
+ *     {where: {status: "paid"}, groupBy: "customerId", aggregates: {total: {sum: "amount"}, orders: {count: "*"}}}
+ *
+ * becomes `MATCH (n:Order) WHERE n.status = $status WITH n.customerId AS customerId, sum(n.amount) AS total,
+ * count(n) AS orders RETURN customerId, total, orders`, Cypher grouping by the items which are not aggregated.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * The aggregating functions.
+     */
+    var FUNCTIONS = {
+        "count": "count",
+        "sum": "sum",
+        "avg": "avg",
+        "min": "min",
+        "max": "max"
+    };
+
+    /**
+     * Create the error reported for an invalid aggregation.
+     *
+     * @param {string} message - The error message
+     * @returns {Error}
+     */
+    var invalidAggregation = function (message) {
+        var error = new Error(message);
+
+        error.statusCode = 400;
+        return error;
+    };
+
+    /**
+     * Get the property names of a `groupBy`.
+     *
+     * @param {string|string[]} groupBy - A property name, names separated by commas or an array of names
+     * @returns {string[]}
+     */
+    var groupKeys = function (groupBy) {
+        return [].concat(groupBy || []).reduce(function (all, entry) {
+            return all.concat(String(entry).split(","));
+        }, []).map(function (entry) {
+            return entry.trim();
+        }).filter(function (entry) {
+            return entry;
+        });
+    };
+
+    /**
+     * Build the expression of an aggregate, e.g. `{sum: "amount"}` to `sum(n.amount)`, `{count: "*"}` to `count(n)`
+     * and `{count: "customerId", distinct: true}` to `count(DISTINCT n.customerId)`.
+     *
+     * @param {Neo4j} connector - The connector
+     * @param {string} model - The model name
+     * @param {string} name - The name of the aggregate
+     * @param {Object} spec - The aggregate
+     * @returns {string}
+     * @throws {Error} with status code 400 if the aggregate is invalid
+     */
+    var aggregateExpression = function (connector, model, name, spec) {
+        var operations = Object.keys(spec || {}).filter(function (key) {
+                return "distinct" !== key;
+            }),
+            property = "";
+
+        if (1 !== operations.length || !FUNCTIONS[operations[0]]) {
+            throw invalidAggregation("The aggregate " + name + " must have one of " +
+                Object.keys(FUNCTIONS).join(", "));
+        }
+        property = spec[operations[0]];
+        if ("count" === operations[0] && ("*" === property || true === property)) {
+            return "count(" + (spec.distinct ? "DISTINCT " : "") + "n)";
+        }
+        connector.checkProperty(model, property);
+        return FUNCTIONS[operations[0]] + "(" + (spec.distinct ? "DISTINCT " : "") +
+            connector.propertyRef(model, property) + ")";
+    };
+
+    /**
+     * Compute aggregates over the instances of a model, see the module documentation.
+     *
+     * @param {string} model - The model name
+     * @param {Object} filter - `{where, groupBy, aggregates, order, skip, limit}`: `groupBy` lists the properties to
+     * group by, `aggregates` maps the result names to `{count|sum|avg|min|max: property, distinct}` and `order` sorts
+     * the groups on these names, e.g. "total DESC"
+     * @param {Object} options - The model options
+     * @param {Function} callback - Called with the groups, `[{customerId, total, orders}]`, a single one without
+     * `groupBy`
+     */
+    Neo4j.prototype.aggregate = function (model, filter, options, callback) {
+        var self = this,
+            keys = [],
+            names = [],
+            items = [],
+            query = self.matchClause(model),
+            where = {},
+            order = "",
+            params = {};
+
+        if (self.debug) {
+            debug("aggregate:model:%s,filter:%j", model, filter);
+        }
+        filter = filter || {};
+        try {
+            keys = groupKeys(filter.groupBy);
+            keys.forEach(function (key) {
+                self.checkProperty(model, key);
+                items.push(self.propertyRef(model, key) + " AS " + self.quote(key));
+            });
+            Object.keys(filter.aggregates || {}).forEach(function (name) {
+                if (-1 !== keys.indexOf(name)) {
+                    throw invalidAggregation("The aggregate " + name + " has the name of a group key");
+                }
+                items.push(aggregateExpression(self, model, name, filter.aggregates[name]) + " AS " + self.quote(name));
+            });
+            names = keys.concat(Object.keys(filter.aggregates || {}));
+            if (!names.length) {
+                throw invalidAggregation("An aggregation requires groupBy or aggregates");
+            }
+            where = self.buildWhere(filter.where, model);
+            order = [].concat(filter.order || []).reduce(function (all, entry) {
+                return all.concat(String(entry).split(","));
+            }, []).filter(function (entry) {
+                return entry.trim();
+            }).map(function (entry) {
+                var match = /^\s*(.*?)(?:\s+(ASC|DESC))?\s*$/i.exec(entry);
+
+                if (-1 === names.indexOf(match[1])) {
+                    throw invalidAggregation("Cannot sort an aggregation on " + match[1] + ", which is neither a " +
+                        "group key nor an aggregate");
+                }
+                return self.quote(match[1]) + (match[2] && "DESC" === match[2].toUpperCase() ? " DESC" : "");
+            }).join(", ");
+        } catch (error) {
+            return process.nextTick(function () {
+                callback(error);
+            });
+        }
+        if (where.query) {
+            query += " WHERE" + where.query;
+            params = where.params;
+        }
+        query += " WITH " + items.join(", ") + " RETURN " + names.map(function (name) {
+            return self.quote(name);
+        }).join(", ") + (order ? " ORDER BY " + order : "");
+        if (filter.skip) {
+            query += " SKIP " + self.dialect.param("skip");
+            params.skip = filter.skip;
+        }
+        if (filter.limit) {
+            query += " LIMIT " + self.dialect.param("limit");
+            params.limit = filter.limit;
+        }
+        self.cypher({
+            "query": query,
+            "params": params
+        }, options, function (error, response) {
+            var groups = null;
+
+            if (self.debug) {
+                debug("aggregate:error:%j,response:%j", error, response);
+            }
+            if (error) {
+                return callback(error);
+            }
+            try {
+                groups = response.map(function (row) {
+                    var group = {},
+                        result = {};
+
+                    keys.forEach(function (key) {
+                        group[key] = row[key];
+                    });
+                    // The group keys are property values, read back like the properties of the instances
+                    group = keys.length ? self.fromDatabase(model, group) : group;
+                    names.forEach(function (name) {
+                        // Paths of flattened nested properties are folded back into objects, they are kept as they are
+                        result[name] = -1 !== keys.indexOf(name) && undefined !== group[name] ? group[name] :
+                            row[name];
+                    });
+                    return result;
+                });
+            } catch (e) {
+                return callback(e);
+            }
+            callback(null, groups);
+        });
+    };
+
+    /**
+     * List the distinct values of a property among the instances matching a where filter, null excepted.
+     *
+     * @param {string} model - The model name
+     * @param {string} property - The property name
+     * @param {Object} where - The where filter
+     * @param {Object} options - The model options
+     * @param {Function} callback - Called with the values, sorted
+     */
+    Neo4j.prototype.distinct = function (model, property, where, options, callback) {
+        var self = this,
+            query = self.matchClause(model),
+            ref = "",
+            params = {};
+
+        if (self.debug) {
+            debug("distinct:model:%s,property:%s,where:%j", model, property, where);
+        }
+        try {
+            self.checkProperty(model, property);
+            ref = self.propertyRef(model, property);
+            where = self.buildWhere(where, model);
+        } catch (error) {
+            return process.nextTick(function () {
+                callback(error);
+            });
+        }
+        if (where.query) {
+            params = where.params;
+        }
+        query += " WHERE" + (where.query ? where.query + " AND" : "") + " " + ref + " IS NOT NULL RETURN DISTINCT " +
+            ref + " AS value ORDER BY value";
+        self.cypher({
+            "query": query,
+            "params": params
+        }, options, function (error, response) {
+            var values = null;
+
+            if (self.debug) {
+                debug("distinct:error:%j,response:%j", error, response);
+            }
+            if (error) {
+                return callback(error);
+            }
+            try {
+                values = response.map(function (row) {
+                    var data = {};
+
+                    data[property] = row.value;
+                    data = self.fromDatabase(model, data);
+                    return undefined === data[property] ? row.value : data[property];
+                });
+            } catch (e) {
+                return callback(e);
+            }
+            callback(null, values);
+        });
+    };
+
+    /**
+     * Expose the aggregations on a model: `Model.aggregate(filter, options, cb)` and
+     * `Model.distinct(property, where, options, cb)`. Their where filter goes through the default scope and the
+     * `access` hooks, like the one of `find`, and they return a promise when called without callback.
+     *
+     * @param {Function} Model - The model class
+     */
+    Neo4j.prototype.defineAggregateMethods = function (Model) {
+        var self = this,
+            run = function (filter, options, callback, method) {
+                var query = {
+                        "where": filter.where || {}
+                    },
+                    execute = function (done) {
+                        self.prepareFilter(Model, query, options, function (error, prepared) {
+                            if (error) {
+                                return done(error);
+                            }
+                            method(prepared.where, done);
+                        });
+                    };
+
+                if (callback) {
+                    return execute(callback);
+                }
+                return Promise.fromCallback(execute);
+            };
+
+        Model.aggregate = function (filter, options, callback) {
+            if (!callback && "function" === typeof options) {
+                callback = options;
+                options = {};
+            }
+            filter = filter || {};
+            options = options || {};
+            return run(filter, options, callback, function (where, done) {
+                var aggregation = {};
+
+                Object.keys(filter).forEach(function (key) {
+                    aggregation[key] = filter[key];
+                });
+                aggregation.where = where;
+                self.aggregate(Model.modelName, aggregation, options, done);
+            });
+        };
+
+        Model.distinct = function (property, where, options, callback) {
+            if (!callback && "function" === typeof where) {
+                callback = where;
+                where = {};
+            } else if (!callback && "function" === typeof options) {
+                callback = options;
+                options = {};
+            }
+            options = options || {};
+            return run({
+                "where": where
+            }, options, callback, function (where, done) {
+                self.distinct(Model.modelName, property, where, options, done);
+            });
+        };
+    };
+};
@@ -0,0 +1,413 @@
+var neo4j = require("neo4j-driver");
+var debug = require("debug")("loopback:connector:neo4j-graph:bolt");
+
+/**
+ * Convert a value returned by the Bolt driver into the same shape the legacy REST client returns:
+ * nodes become `{_id, labels, properties}`, relationships `{_id, type, properties, _fromId, _toId}`
+ * and integers plain numbers (or strings when they cannot be represented exactly).
+ *
+ * @param {*} value - the value from a Bolt record
+ * @returns {*}
+ */
+var toNative = function (value) {
+    "use strict";
+    var map = {};
+
+    if (null === value || undefined === value || "object" !== typeof value) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(toNative);
+    }
+    if (neo4j.isInt(value)) {
+        return neo4j.integer.inSafeRange(value) ? value.toNumber() : value.toString();
+    }
+    if (value instanceof neo4j.types.Node) {
+        return {
+            "_id": toNative(value.identity),
+            "labels": value.labels,
+            "properties": toNative(value.properties)
+        };
+    }
+    if (value instanceof neo4j.types.Relationship) {
+        return {
+            "_id": toNative(value.identity),
+            "type": value.type,
+            "properties": toNative(value.properties),
+            "_fromId": toNative(value.start),
+            "_toId": toNative(value.end)
+        };
+    }
+    if (value instanceof neo4j.types.Path) {
+        map.nodes = [toNative(value.start)];
+        map.relationships = [];
+        value.segments.forEach(function (segment) {
+            map.nodes.push(toNative(segment.end));
+            map.relationships.push(toNative(segment.relationship));
+        });
+        map.length = value.length;
+        return map;
+    }
+    if (neo4j.isDate(value) || neo4j.isDateTime(value) || neo4j.isLocalDateTime(value) ||
+        neo4j.isLocalTime(value) || neo4j.isTime(value) || neo4j.isDuration(value)) {
+        // The REST endpoint serialises temporal values as ISO strings
+        return value.toString();
+    }
+    if (neo4j.isPoint(value)) {
+        return value;
+    }
+    Object.keys(value).forEach(function (key) {
+        map[key] = toNative(value[key]);
+    });
+    return map;
+};
+
+/**
+ * Convert query parameters the way the REST client does when it serialises them to JSON,
+ * except that whole numbers are sent as Bolt integers (JSON integers are stored as longs by the server,
+ * while plain JavaScript numbers would be sent over Bolt as floats). Whole numbers out of the safe integer
+ * range may have been rounded and do not fit a long, they are sent as floats.
+ *
+ * @param {*} value - the parameter value
+ * @returns {*}
+ */
+var toParams = function (value) {
+    "use strict";
+    var map = {};
+
+    if ("number" === typeof value) {
+        return Number.isSafeInteger(value) ? neo4j.int(value) : value;
+    }
+    if ("bigint" === typeof value) {
+        return neo4j.int(value.toString());
+    }
+    if (null === value || "object" !== typeof value) {
+        return value;
+    }
+    if (neo4j.isInt(value) || neo4j.isPoint(value)) {
+        return value;
+    }
+    if ("function" === typeof value.toJSON) {
+        return toParams(value.toJSON());
+    }
+    if (Array.isArray(value)) {
+        return value.map(function (entry) {
+            return undefined === entry || "function" === typeof entry ? null : toParams(entry);
+        });
+    }
+    Object.keys(value).forEach(function (key) {
+        if (undefined !== value[key] && "function" !== typeof value[key]) {
+            map[key] = toParams(value[key]);
+        }
+    });
+    return map;
+};
+
+/**
+ * Convert a Bolt result into an array of rows keyed by column name.
+ *
+ * @param {Object} result - the Bolt result
+ * @returns {Object[]}
+ */
+var toRows = function (result) {
+    "use strict";
+    return result.records.map(function (record) {
+        var row = {};
+
+        record.keys.forEach(function (key) {
+            row[key] = toNative(record.get(key));
+        });
+        return row;
+    });
+};
+
+/**
+ * Hand the outcome of a promise to a Node.js style callback, outside of the promise chain so
+ * errors thrown by the callback are not swallowed.
+ *
+ * @param {Promise} promise - the promise
+ * @param {Function} callback - the callback function
+ */
+var settle = function (promise, callback) {
+    "use strict";
+    promise.then(function (value) {
+        process.nextTick(callback, null, value);
+    }, function (error) {
+        process.nextTick(callback, error);
+    });
+};
+
+/**
+ * Normalise the arguments accepted by `cypher` to a list of statements.
+ *
+ * @param {String|Object|Object[]} opts - a query string, `{query, params}` or `{queries: [...]}`
+ * @returns {Object}
+ */
+var normalize = function (opts) {
+    "use strict";
+    var statements = [],
+        single = true;
+
+    if ("string" === typeof opts) {
+        opts = {
+            "query": opts
+        };
+    }
+    if (Array.isArray(opts)) {
+        opts = {
+            "queries": opts
+        };
+    }
+    if (opts.queries) {
+        single = false;
+        statements = opts.queries.map(function (entry) {
+            return "string" === typeof entry ? {"query": entry} : entry;
+        });
+    } else if (opts.query) {
+        statements = [opts];
+    }
+    return {
+        "single": single,
+        "statements": statements
+    };
+};
+
+/**
+ * Bolt transaction. Mirrors the transaction object of the legacy REST client.
+ *
+ * @param {BoltDatabase} db - the database adapter
+ * @param {Object} config - the Bolt transaction configuration
+ * @constructor
+ */
+var BoltTransaction = function (db, config) {
+    "use strict";
+    this.db = db;
+    this.session = db.session();
+    this.tx = this.session.beginTransaction(config);
+    this.state = "open";
+};
+
+/**
+ * Run one query or a batch of queries within the transaction.
+ *
+ * @param {String|Object} opts - a query string, `{query, params}` or `{queries: [...]}`
+ * @param {Function} callback - the callback function
+ */
+BoltTransaction.prototype.cypher = function (opts, callback) {
+    "use strict";
+    var self = this,
+        normalized = normalize(opts),
+        results = [];
+
+    if ("open" !== self.state) {
+        return process.nextTick(function () {
+            callback(new Error("This transaction has been " + self.state + " and cannot be reused"));
+        });
+    }
+    settle(normalized.statements.reduce(function (promise, statement) {
+        return promise.then(function () {
+            debug("cypher:%s", statement.query);
+            return self.tx.run(statement.query, toParams(statement.params || {}));
+        }).then(function (result) {
+            results.push(toRows(result));
+        });
+    }, Promise.resolve()), function (error) {
+        if (error) {
+            // A failed statement leaves the transaction unusable, like the REST endpoint does
+            return self.rollback(function () {
+                callback(error);
+            });
+        }
+        callback(null, normalized.single ? results[0] : results);
+    });
+};
+
+/**
+ * Commit the transaction and release its session.
+ *
+ * @param {Function} callback - the callback function
+ */
+BoltTransaction.prototype.commit = function (callback) {
+    "use strict";
+    this.end("commit", "committed", callback);
+};
+
+/**
+ * Roll back the transaction and release its session.
+ *
+ * @param {Function} callback - the callback function
+ */
+BoltTransaction.prototype.rollback = function (callback) {
+    "use strict";
+    this.end("rollback", "rolled back", callback);
+};
+
+/**
+ * Finish the transaction.
+ *
+ * @param {string} action - "commit" or "rollback"
+ * @param {string} state - the state after the action
+ * @param {Function} callback - the callback function
+ */
+BoltTransaction.prototype.end = function (action, state, callback) {
+    "use strict";
+    var self = this,
+        session = self.session;
+
+    if ("open" !== self.state) {
+        return process.nextTick(function () {
+            if (callback) {
+                callback(null, null);
+            }
+        });
+    }
+    self.state = state;
+    settle(self.tx[action]().then(function () {
+        return null;
+    }, function (error) {
+        return error;
+    }).then(function (error) {
+        return session.close().then(function () {
+            return error;
+        });
+    }), function (ignore, error) {
+        if (callback) {
+            callback(error || null, null);
+        }
+    });
+};
+
+/**
+ * Bolt database adapter. It exposes the subset of the legacy `neo4j` REST client API used by the
+ * connector (`cypher` and `beginTransaction`) on top of the official driver, which handles session pooling.
+ *
+ * @param {Object} settings - the data source settings
+ * @constructor
+ */
+var BoltDatabase = function (settings) {
+    "use strict";
+    var username = settings.username || settings.user,
+        password = settings.password,
+        config = settings.driver || {};
+
+    if (settings.auth && "object" === typeof settings.auth) {
+        username = settings.auth.username || settings.auth.user;
+        password = settings.auth.password;
+    }
+    ["maxConnectionPoolSize", "connectionAcquisitionTimeout", "maxConnectionLifetime", "connectionTimeout"]
+        .forEach(function (key) {
+            if (undefined !== settings[key] && undefined === config[key]) {
+                config[key] = settings[key];
+            }
+        });
+    this.url = settings.url;
+    this.database = settings.database;
+    this.driver = neo4j.driver(this.url, username ? neo4j.auth.basic(username, password) : undefined, config);
+};
+
+/**
+ * Acquire a session from the driver's connection pool.
+ *
+ * @returns {Object}
+ */
+BoltDatabase.prototype.session = function () {
+    "use strict";
+    var config = {};
+
+    if (this.database) {
+        config.database = this.database;
+    }
+    return this.driver.session(config);
+};
+
+/**
+ * Run one query or a batch of queries. A batch is run within a single transaction.
+ *
+ * @param {String|Object} opts - a query string, `{query, params}` or `{queries: [...]}`
+ * @param {Function} callback - the callback function
+ * @param {BoltTransaction} [tx] - a transaction to run the queries in
+ */
+BoltDatabase.prototype.cypher = function (opts, callback, tx) {
+    "use strict";
+    var normalized = normalize(opts),
+        session = {};
+
+    if (tx) {
+        return tx.cypher(opts, callback);
+    }
+    if (!normalized.single) {
+        tx = this.beginTransaction();
+        return tx.cypher(opts, function (error, results) {
+            if (error) {
+                return callback(error);
+            }
+            tx.commit(function (error) {
+                callback(error, results);
+            });
+        });
+    }
+    debug("cypher:%s", normalized.statements[0].query);
+    session = this.session();
+    settle(session.run(normalized.statements[0].query, toParams(normalized.statements[0].params || {}))
+        .then(function (result) {
+            return session.close().then(function () {
+                return toRows(result);
+            });
+        }, function (error) {
+            return session.close().then(function () {
+                throw error;
+            });
+        }), callback);
+};
+
+/**
+ * Begin an explicit transaction.
+ *
+ * @param {Object} [config] - the Bolt transaction configuration, e.g. `{timeout: 5000}`
+ * @returns {BoltTransaction}
+ */
+BoltDatabase.prototype.beginTransaction = function (config) {
+    "use strict";
+    return new BoltTransaction(this, config);
+};
+
+/**
+ * Check that the server is reachable.
+ *
+ * @param {Function} callback - the callback function
+ */
+BoltDatabase.prototype.ping = function (callback) {
+    "use strict";
+    var config = {};
+
+    if (this.database) {
+        config.database = this.database;
+    }
+    settle(this.driver.verifyConnectivity(config), callback);
+};
+
+/**
+ * Close the driver and all pooled connections.
+ *
+ * @param {Function} callback - the callback function
+ */
+BoltDatabase.prototype.close = function (callback) {
+    "use strict";
+    settle(this.driver.close(), callback);
+};
+
+/**
+ * Check whether a URL uses one of the Bolt protocol schemes.
+ *
+ * @param {string} url - the URL
+ * @returns {boolean}
+ */
+BoltDatabase.isBoltUrl = function (url) {
+    "use strict";
+    return /^(bolt|neo4j)(\+s|\+ssc)?:\/\//i.test(url || "");
+};
+
+BoltDatabase.toNative = toNative;
+BoltDatabase.toParams = toParams;
+
+module.exports = BoltDatabase;
@@ -0,0 +1,563 @@
+var Promise = require("bluebird");
+var uuid = require("uuid");
+var debug = require("debug")("loopback:connector:neo4j-graph");
+
+/**
+ * Bulk writes: `createAll` and `upsertAll` send the instances in batches of `UNWIND $rows AS row CREATE/MERGE ...`
+ * statements instead of one request per instance.
+ *
+ * Every row carries its position in the data, so the ids are returned in order. A row which cannot be written does
+ * not fail the others: when a batch violates a constraint its rows are written one by one, and the error passed to the
+ * callback lists the failed rows in `failures`, `[{index, error}]`. Within a transaction the first failure rolls
+ * everything back, so the batch error is reported as is.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * Number of rows per statement unless set by the `batchSize` option or data source setting.
+     */
+    var DEFAULT_BATCH_SIZE = 1000;
+
+    /**
+     * Tells LoopBack 4.x `Model.createAll()` to hand all the instances over to `createAll`.
+     */
+    Neo4j.prototype.multiInsertSupported = true;
+
+    /**
+     * Check whether an error reports a constraint violation, which only fails the rows violating it. Such errors
+     * get the status code 409, see `Neo4j#translateError`.
+     *
+     * @param {Error} error - The error
+     * @returns {boolean}
+     */
+    var isConstraintError = function (error) {
+        return !!error && 409 === error.statusCode;
+    };
+
+    /**
+     * Hand the outcome of a promise to a callback outside of the promise chain, so errors thrown by the callback
+     * are not swallowed.
+     *
+     * @param {Promise} promise - The promise
+     * @param {Function} callback - The callback function
+     */
+    var settle = function (promise, callback) {
+        promise.then(function (value) {
+            process.nextTick(callback, null, value);
+        }, function (error) {
+            process.nextTick(callback, error);
+        });
+    };
+
+    /**
+     * Create the error reported for a natural key an upsert cannot match nodes on.
+     *
+     * @param {string} message - The error message
+     * @returns {Error}
+     */
+    var invalidKey = function (message) {
+        var error = new Error(message);
+
+        error.statusCode = 400;
+        return error;
+    };
+
+    /**
+     * Get the foreign keys persisted as relationships given in rows, see `buildBulkRow`, with their position in
+     * `edgeKeys`, which names the variables of `buildBulkLookups` and `buildBulkUpdates`.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {string} model - The model name
+     * @param {Object[]} rows - The rows
+     * @returns {Object[]} `[{key, index, edge}]`
+     */
+    var givenEdgeKeys = function (self, model, rows) {
+        var edgeKeys = self.edgeKeys(model),
+            given = {};
+
+        rows.forEach(function (row) {
+            Object.keys(row.keys).forEach(function (key) {
+                given[key] = 1;
+            });
+        });
+        return Object.keys(edgeKeys).map(function (key, index) {
+            return {
+                "key": key,
+                "index": index,
+                "edge": edgeKeys[key]
+            };
+        }).filter(function (entry) {
+            return given[entry.key];
+        });
+    };
+
+    /**
+     * Get the properties an upsert matches existing nodes on: the `key` option, else the `naturalKey` of the model's
+     * `neo4j` settings, else the id.
+     *
+     * @param {string} model - The model name
+     * @param {Object} options - The options
+     * @returns {string[]}
+     */
+    Neo4j.prototype.naturalKey = function (model, options) {
+        var settings = this.getModelDefinition(model).settings.neo4j || {},
+            key = (options && options.key) || settings.naturalKey || this.getIdName(model);
+
+        return Array.isArray(key) ? key : [key];
+    };
+
+    /**
+     * Split the data of an instance into the row sent to a bulk statement: `{index, properties, values, keys}`,
+     * `values` holding the native values (see `toDatabase`) and `keys` the foreign keys persisted as relationships,
+     * or `from` and `to` for a relationship model.
+     *
+     * @param {string} model - The model name
+     * @param {Object} data - The model data
+     * @param {number} index - The position of the instance in the data
+     * @returns {Object}
+     */
+    Neo4j.prototype.buildBulkRow = function (model, data, index) {
+        var self = this,
+            edgeKeys = self.edgeKeys(model),
+            relationship = self.relationshipModel(model),
+            row = {
+                "index": index,
+                "properties": {},
+                "values": {},
+                "keys": {}
+            };
+
+        Object.keys(data).forEach(function (key) {
+            var native = self.nativeType(model, key);
+
+            if (undefined === data[key]) {
+                return;
+            }
+            if (relationship && key === relationship.from.key) {
+                row.from = data[key];
+            } else if (relationship && key === relationship.to.key) {
+                row.to = data[key];
+            } else if (edgeKeys[key]) {
+                row.keys[key] = data[key];
+            } else if (native) {
+                row.values[key] = native.toParam(data[key]);
+            } else if (self.nestedStore(model, key)) {
+                self.storeNested(model, key, data[key], row.properties);
+            } else {
+                row.properties[key] = data[key];
+            }
+        });
+        return row;
+    };
+
+    /**
+     * Build the clauses following `UNWIND $rows AS row` which look up the nodes the foreign keys persisted as
+     * relationships refer to, see `buildBulkRow`, before a row is written. The rows whose foreign keys refer to no
+     * node are left out, so they are reported as failures, see `bulkResult`.
+     *
+     * @param {string} model - The model name
+     * @param {Object[]} rows - The rows
+     * @returns {string}
+     */
+    Neo4j.prototype.buildBulkLookups = function (model, rows) {
+        var self = this,
+            carry = ["row"];
+
+        return givenEdgeKeys(self, model, rows).map(function (entry) {
+            var parent = "n_p" + entry.index,
+                value = "row.keys." + self.quote(entry.key),
+                clause = " OPTIONAL MATCH (" + parent + ":" + self.quotedLabel(entry.edge.model) + " {" +
+                    self.quote(entry.edge.property) + ": " + value + "}) WITH " + carry.join(", ") + ", collect(" +
+                    parent + ") AS " + parent + "s WHERE " + value + " IS NULL OR size(" + parent + "s) > 0";
+
+            carry.push(parent + "s");
+            return clause;
+        }).join("");
+    };
+
+    /**
+     * Build the clauses setting the native values and replacing the relationships of the foreign keys given in the
+     * rows, see `buildBulkRow`, with the nodes found by `buildBulkLookups`. Properties and keys missing from a row
+     * are left unchanged.
+     *
+     * @param {string} model - The model name
+     * @param {Object[]} rows - The rows
+     * @param {boolean} created - Whether the nodes have just been created, so they have no relationships yet
+     * @returns {string}
+     */
+    Neo4j.prototype.buildBulkUpdates = function (model, rows, created) {
+        var self = this,
+            edges = givenEdgeKeys(self, model, rows),
+            carry = ["n", "row"].concat(edges.map(function (entry) {
+                return "n_p" + entry.index + "s";
+            })).join(", "),
+            values = {},
+            query = "";
+
+        rows.forEach(function (row) {
+            Object.keys(row.values).forEach(function (key) {
+                values[key] = 1;
+            });
+        });
+        Object.keys(values).forEach(function (key) {
+            query += " SET n." + self.quote(key) + " = CASE WHEN " + self.quoteString(key) +
+                " IN keys(row.values) THEN " + self.nativeType(model, key).expression("row.values." + self.quote(key)) +
+                " ELSE n." + self.quote(key) + " END";
+        });
+        edges.forEach(function (entry) {
+            var parent = "n_p" + entry.index;
+
+            if (!created) {
+                query += " WITH DISTINCT " + carry + " OPTIONAL MATCH (n)<-[n_r" + entry.index + ":" +
+                    self.quote(entry.edge.type) + "]-(:" + self.quotedLabel(entry.edge.model) + ") WHERE " +
+                    self.quoteString(entry.key) + " IN keys(row.keys) DELETE n_r" + entry.index;
+            }
+            // A null key has found no node
+            query += " WITH DISTINCT " + carry + " FOREACH (" + parent + " IN " + parent + "s | MERGE (" + parent +
+                ")-[:" + self.quote(entry.edge.type) + "]->(n))";
+        });
+        return query;
+    };
+
+    /**
+     * Run a bulk statement over rows in batches, writing the rows of a batch violating a constraint one by one.
+     *
+     * @param {string} model - The model name
+     * @param {Object[]} rows - The rows, see `buildBulkRow`
+     * @param {Function} build - Builds the statement for a batch of rows, returning `row.index AS index` and the id
+     * @param {Function} [write] - Runs the statement of a batch, `write(batch, options, run, callback)`, `run(options,
+     * callback)` running it with the given options
+     * @param {boolean} idempotent - Whether running the statement twice has the same effect as running it once
+     * @param {Object} options - The options, `batchSize` overrides the data source setting
+     * @param {Function} callback - Called with an error and `{ids, failures}`, `ids` by row index
+     */
+    Neo4j.prototype.runBulk = function (model, rows, build, write, idempotent, options, callback) {
+        var self = this,
+            size = parseInt((options && options.batchSize) || self.settings.batchSize || DEFAULT_BATCH_SIZE, 10),
+            idName = self.getIdName(model),
+            transaction = self.getTransaction(options),
+            batches = [],
+            result = {
+                "ids": {},
+                "failures": []
+            },
+            run = function (batch) {
+                return Promise.fromCallback(function (done) {
+                    var statement = function (options, callback) {
+                        self.cypher({
+                            "query": build(batch),
+                            "params": {
+                                "rows": batch
+                            },
+                            "idempotent": idempotent
+                        }, options, callback);
+                    };
+
+                    if (write) {
+                        return write(batch, options, statement, done);
+                    }
+                    statement(options, done);
+                }).then(function (response) {
+                    response.forEach(function (entry) {
+                        result.ids[entry.index] = entry[idName];
+                    });
+                });
+            };
+
+        if (!(size > 0)) {
+            return process.nextTick(function () {
+                callback(new Error("Invalid batch size: " + size));
+            });
+        }
+        while (rows.length > batches.length * size) {
+            batches.push(rows.slice(batches.length * size, (batches.length + 1) * size));
+        }
+        settle(Promise.each(batches, function (batch, index) {
+            if (self.debug) {
+                debug("runBulk:model:%s,batch:%d/%d,rows:%d", model, index + 1, batches.length, batch.length);
+            }
+            return run(batch).catch(function (error) {
+                if (!isConstraintError(error) || transaction) {
+                    throw error;
+                }
+                if (self.debug) {
+                    debug("runBulk:constraint violation in batch %d, writing its rows one by one", index + 1);
+                }
+                return Promise.each(batch, function (row) {
+                    return run([row]).catch(function (error) {
+                        if (!isConstraintError(error)) {
+                            throw error;
+                        }
+                        result.failures.push({
+                            "index": row.index,
+                            "error": error
+                        });
+                    });
+                });
+            });
+        }).then(function () {
+            return result;
+        }), callback);
+    };
+
+    /**
+     * Report the outcome of a bulk write: the data with the ids of the written instances, null for the others.
+     *
+     * @param {string} model - The model name
+     * @param {Object[]} data - The model data
+     * @param {Object[]} failures - The rows which failed, `[{index, error}]`
+     * @param {Object} ids - The ids of the written rows by index
+     * @param {Function} callback - The callback function
+     */
+    Neo4j.prototype.bulkResult = function (model, data, failures, ids, callback) {
+        var idName = this.getIdName(model),
+            error = null,
+            failed = {},
+            results = [];
+
+        failures.forEach(function (failure) {
+            failed[failure.index] = true;
+        });
+        results = data.map(function (entry, index) {
+            var missing = null;
+
+            if (undefined === ids[index]) {
+                if (!failed[index]) {
+                    // The statement skips the rows referring to missing nodes
+                    missing = new Error("Cannot write " + model + ": the nodes it refers to do not exist");
+                    missing.statusCode = 404;
+                    failures.push({
+                        "index": index,
+                        "error": missing
+                    });
+                }
+                return null;
+            }
+            entry[idName] = ids[index];
+            return entry;
+        });
+        if (failures.length) {
+            failures.sort(function (a, b) {
+                return a.index - b.index;
+            });
+            error = new Error(failures.length + " of " + data.length + " " + model + " instances could not be " +
+                "written: " + failures[0].error.message);
+            error.failures = failures;
+        }
+        callback(error, results);
+    };
+
+    /**
+     * Create model instances in batches. Implements the bulk create of LoopBack 4.x `Model.createAll()`.
+     *
+     * @param {string} model - The model name
+     * @param {Object[]} data - The model data of the instances
+     * @param {Object} options - The options, `batchSize` sets the number of instances per statement
+     * @param {Function} callback - Called with an error listing the failed instances in `failures` and the data
+     * with the ids of the created instances, in order
+     */
+    Neo4j.prototype.createAll = function (model, data, options, callback) {
+        var self = this,
+            idName = self.getIdName(model),
+            relationship = self.relationshipModel(model),
+            failures = [],
+            rows = [];
+
+        if (self.debug) {
+            debug("createAll:model:%s,count:%d,options:%j", model, data.length, options);
+        }
+        try {
+            data.forEach(function (entry, index) {
+                var row = null;
+
+                // always inject id if it's not present in data
+                if (!entry[idName]) {
+                    entry[idName] = uuid.v4();
+                }
+                row = self.buildBulkRow(model, entry, index);
+                if (relationship && (null === row.from || undefined === row.from || null === row.to ||
+                        undefined === row.to)) {
+                    failures.push({
+                        "index": index,
+                        "error": new Error(model + " requires both " + relationship.from.key + " and " +
+                            relationship.to.key)
+                    });
+                } else {
+                    rows.push(row);
+                }
+            });
+        } catch (error) {
+            return process.nextTick(function () {
+                callback(error);
+            });
+        }
+        self.runBulk(model, rows, function (batch) {
+            var query = "UNWIND " + self.dialect.param("rows") + " AS row" + self.buildBulkLookups(model, batch) +
+                " ";
+
+            if (relationship) {
+                query += "MATCH (n_from:" + self.quotedLabel(relationship.from.model) + " {" +
+                    self.quote(relationship.from.property) + ": row.from}), (n_to:" +
+                    self.quotedLabel(relationship.to.model) + " {" + self.quote(relationship.to.property) +
+                    ": row.to}) CREATE (n_from)-[n:" + self.quote(relationship.type) + "]->(n_to)";
+            } else {
+                query += "CREATE (n:" + self.quotedLabel(model) + ")";
+            }
+            return query + " SET n = row.properties" + self.buildBulkUpdates(model, batch, true) +
+                " RETURN row.index AS index, n." + self.quote(idName) + " AS " + self.variable(idName);
+        }, null, false, options, function (error, result) {
+            if (self.debug) {
+                debug("createAll:error:%j", error);
+            }
+            if (error) {
+                return callback(error);
+            }
+            self.bulkResult(model, data, failures.concat(result.failures), result.ids, callback);
+        });
+    };
+
+    /**
+     * Create or update model instances in batches, matching the existing nodes on their natural key (see
+     * `naturalKey`). Like `updateOrCreate`, the given properties are added to the ones of existing nodes, which keep
+     * their id.
+     *
+     * @param {string} model - The model name
+     * @param {Object[]} data - The model data of the instances
+     * @param {Object} options - The options, `batchSize` sets the number of instances per statement and `key` the
+     * natural key
+     * @param {Function} callback - Called with an error listing the failed instances in `failures` and the data
+     * with the ids of the instances, in order
+     */
+    Neo4j.prototype.upsertAll = function (model, data, options, callback) {
+        var self = this,
+            idName = self.getIdName(model),
+            key = self.naturalKey(model, options),
+            pattern = "",
+            failures = [],
+            rows = [];
+
+        if (self.debug) {
+            debug("upsertAll:model:%s,count:%d,options:%j", model, data.length, options);
+        }
+        if (self.relationshipModel(model)) {
+            return process.nextTick(function () {
+                callback(new Error("upsertAll is not supported by the relationship model " + model));
+            });
+        }
+        try {
+            // Native values are matched the way they are stored, see `buildBulkRow`
+            pattern = "(n:" + self.quotedLabel(model) + " {" + key.map(function (property) {
+                var native = self.nativeType(model, property);
+
+                if (self.nestedStore(model, property) || self.edgeKeys(model)[property]) {
+                    throw invalidKey("Cannot upsert " + model + " on " + property + ", which is not stored as a " +
+                        "single property");
+                }
+                return self.quote(property) + ": " + (native ? native.expression("row.values." + self.quote(property)) :
+                    "row.properties." + self.quote(property));
+            }).join(", ") + "})";
+            data.forEach(function (entry, index) {
+                var row = null,
+                    missing = key.filter(function (property) {
+                        return null === entry[property] || undefined === entry[property];
+                    });
+
+                if (1 === key.length && idName === key[0] && !entry[idName]) {
+                    entry[idName] = uuid.v4();
+                    missing = [];
+                }
+                if (missing.length) {
+                    return failures.push({
+                        "index": index,
+                        "error": new Error(model + " requires " + missing.join(", ") + " to be upserted")
+                    });
+                }
+                row = self.buildBulkRow(model, entry, index);
+                if (-1 === key.indexOf(idName)) {
+                    // Existing nodes keep their id, new ones get the given or a generated one
+                    row.create = entry[idName] || uuid.v4();
+                    delete row.properties[idName];
+                }
+                rows.push(row);
+            });
+        } catch (error) {
+            return process.nextTick(function () {
+                callback(error);
+            });
+        }
+        self.runBulk(model, rows, function (batch) {
+            return "UNWIND " + self.dialect.param("rows") + " AS row" + self.buildBulkLookups(model, batch) +
+                " MERGE " + pattern + " ON CREATE SET n = row.properties" +
+                (-1 === key.indexOf(idName) ? ", n." + self.quote(idName) + " = row.create" : "") +
+                " ON MATCH SET n += row.properties" + self.buildBulkUpdates(model, batch, false) +
+                " RETURN row.index AS index, n." + self.quote(idName) + " AS " + self.variable(idName);
+        }, function (batch, options, statement, done) {
+            self.writeFlattened(model, "UNWIND " + self.dialect.param("rows") + " AS row MATCH " + pattern, {
+                "rows": batch
+            }, batch.map(function (row) {
+                return {
+                    "data": data[row.index],
+                    "properties": row.properties
+                };
+            }), options, statement, done);
+        }, true, options, function (error, result) {
+            if (self.debug) {
+                debug("upsertAll:error:%j", error);
+            }
+            if (error) {
+                return callback(error);
+            }
+            self.bulkResult(model, data, failures.concat(result.failures), result.ids, callback);
+        });
+    };
+
+    /**
+     * Expose the bulk writes on a model: `Model.upsertAll(data, options, cb)`, and `Model.createAll(data, options,
+     * cb)` unless LoopBack provides it. They skip the operation hooks and validations and return a promise when
+     * called without a callback.
+     *
+     * @param {Function} Model - The model class
+     */
+    Neo4j.prototype.defineBulkMethods = function (Model) {
+        var self = this,
+            bulk = function (method, applyDefaultValues) {
+                return function (data, options, callback) {
+                    var run = function (done) {
+                        var instances = (data || []).map(function (entry) {
+                            return new Model(entry, {
+                                "applyDefaultValues": applyDefaultValues
+                            }).toObject(true);
+                        });
+
+                        self[method](Model.modelName, instances, options || {}, function (error, results) {
+                            done(error, results && results.map(function (entry) {
+                                return entry && new Model(entry, {
+                                    "applySetters": false,
+                                    "persisted": true
+                                });
+                            }));
+                        });
+                    };
+
+                    if (!callback && "function" === typeof options) {
+                        callback = options;
+                        options = {};
+                    }
+                    if (callback) {
+                        return run(callback);
+                    }
+                    return Promise.fromCallback(run);
+                };
+            };
+
+        if (!Model.createAll) {
+            Model.createAll = bulk("createAll", true);
+        }
+        if (!Model.upsertAll) {
+            Model.upsertAll = bulk("upsertAll", false);
+        }
+    };
+};
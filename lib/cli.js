@@ -0,0 +1,769 @@
+var fs = require("fs");
+var path = require("path");
+var Transform = require("stream").Transform;
+var StringDecoder = require("string_decoder").StringDecoder;
+var Promise = require("bluebird");
+var debug = require("debug")("loopback:connector:neo4j-graph:cli");
+
+/**
+ * Command line tool running the schema, migration, import and export operations of the connector outside of an
+ * application, see `USAGE` and bin/neo4j-graphs.js.
+ *
+ * The data source settings are read from a JSON file, either the settings themselves or a LoopBack
+ * `datasources.json` (the data source named by `--datasource`, or the first one using this connector), and from the
+ * `NEO4J_*` environment variables, which override the file.
+ */
+
+/**
+ * The usage, printed by `--help`.
+ */
+var USAGE = [
+    "Usage: neo4j-graphs [options] <command>",
+    "",
+    "Commands:",
+    "  ping                                 Connect and print the server version",
+    "  schema show                          Print the indexes and constraints of the server",
+    "  schema diff [model...] [--drop]      Print the statements autoupdate would run",
+    "  autoupdate [model...] [--drop] [--dry-run]",
+    "                                       Create the indexes and constraints of the models, --drop dropping",
+    "                                       those no model declares",
+    "  automigrate [model...]               Drop and recreate the indexes and constraints of the models",
+    "  migrate [--to <version>] [--dry-run] Run the pending migrations",
+    "  migrate down [--steps <n>] [--to <version>] [--dry-run]",
+    "                                       Revert the last migrations",
+    "  migrate status                       Print the applied and pending migrations",
+    "  cypher <file> [--param <name>=<value>...] [--params <file>] [--transaction]",
+    "                                       Run the statements of a file, each ending with a semicolon",
+    "  export [--labels <label,...>] [--out <file>]",
+    "                                       Export the graph as JSON lines",
+    "  import <file> [--batch-size <n>]     Import JSON lines written by export, - reading them from stdin",
+    "",
+    "Options:",
+    "  --config <file>        Data source settings, or a LoopBack datasources.json",
+    "  --datasource <name>    The data source of a datasources.json",
+    "  --models <directory>   The LoopBack model definitions (JSON files) of autoupdate, automigrate and schema diff",
+    "  --migrations <dir>     The migrations directory, ./migrations by default",
+    "  --json                 Print the results as JSON",
+    "  --help                 Print this help",
+    "",
+    "Environment: NEO4J_URL, NEO4J_PROTOCOL, NEO4J_HOST, NEO4J_PORT, NEO4J_USER, NEO4J_PASS and NEO4J_DATABASE",
+    "override the settings of the configuration file."
+].join("\n");
+
+/**
+ * Options without value.
+ */
+var FLAGS = ["drop", "dry-run", "help", "json", "transaction"];
+
+/**
+ * Options which may be given several times.
+ */
+var LISTS = ["param"];
+
+/**
+ * Data source settings read from the environment.
+ */
+var ENVIRONMENT = {
+    "NEO4J_URL": "url",
+    "NEO4J_PROTOCOL": "protocol",
+    "NEO4J_HOST": "host",
+    "NEO4J_PORT": "port",
+    "NEO4J_USER": "username",
+    "NEO4J_PASS": "password",
+    "NEO4J_DATABASE": "database"
+};
+
+/**
+ * Create the error reported for a wrong command line.
+ *
+ * @param {string} message - The error message
+ * @returns {Error}
+ */
+var usageError = function (message) {
+    "use strict";
+    var error = new Error(message);
+
+    error.statusCode = 400;
+    error.usage = true;
+    return error;
+};
+
+/**
+ * Read a JSON file.
+ *
+ * @param {string} file - The file path
+ * @returns {*}
+ * @throws {Error} with status code 400 if the file is not JSON
+ */
+var readJson = function (file) {
+    "use strict";
+    var error = null;
+
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+        error = new Error("Cannot read " + file + ": " + e.message);
+        error.statusCode = "ENOENT" === e.code ? 404 : 400;
+        throw error;
+    }
+};
+
+/**
+ * Parse the command line arguments: `--name value`, `--name=value` and the flags, the other arguments being the
+ * command and its arguments.
+ *
+ * @param {string[]} argv - The arguments, without the node and script paths
+ * @returns {Object} `{args, options}`, the options keyed by their name in camel case
+ * @throws {Error} if an option misses its value
+ */
+exports.parse = function (argv) {
+    "use strict";
+    var result = {
+            "args": [],
+            "options": {}
+        },
+        index = 0,
+        argument = "",
+        match = null,
+        name = "",
+        value = null,
+        key = "";
+
+    for (index = 0; index < argv.length; index += 1) {
+        argument = argv[index];
+        match = /^--([^=]+)(?:=([\s\S]*))?$/.exec(argument);
+        if ("-h" === argument) {
+            match = [argument, "help"];
+        }
+        if (!match) {
+            result.args.push(argument);
+            continue;
+        }
+        name = match[1];
+        value = match[2];
+        if (-1 !== FLAGS.indexOf(name)) {
+            value = undefined === value || !/^(false|0|no)$/i.test(value);
+        } else if (undefined === value) {
+            index += 1;
+            if (index >= argv.length) {
+                throw usageError("The --" + name + " option needs a value");
+            }
+            value = argv[index];
+        }
+        key = name.replace(/-([a-z])/g, function (all, letter) {
+            return letter.toUpperCase();
+        });
+        if (-1 !== LISTS.indexOf(name)) {
+            value = (result.options[key] || []).concat(value);
+        }
+        result.options[key] = value;
+    }
+    return result;
+};
+
+/**
+ * Build the data source settings from the `config` and `datasource` options and the environment.
+ *
+ * @param {Object} options - The options
+ * @param {Object} [env] - The environment variables, `process.env` by default
+ * @returns {Object}
+ * @throws {Error} if the configuration cannot be read or does not have the data source
+ */
+exports.settings = function (options, env) {
+    "use strict";
+    var config = options.config ? readJson(path.resolve(options.config)) : {},
+        settings = {},
+        name = options.datasource;
+
+    env = env || process.env;
+    if (!config || "object" !== typeof config || Array.isArray(config)) {
+        throw usageError("The configuration " + options.config + " is not an object");
+    }
+    // A datasources.json has the settings of each data source
+    if (!config.connector && !name) {
+        name = Object.keys(config).filter(function (key) {
+            return config[key] && "object" === typeof config[key] && /neo4j-graph/.test(config[key].connector);
+        })[0];
+    }
+    if (name) {
+        if (!config[name] || "object" !== typeof config[name]) {
+            throw usageError("The configuration has no data source " + name);
+        }
+        config = config[name];
+    }
+    // The data source would load the connector named by the configuration instead of this one
+    Object.keys(config).forEach(function (key) {
+        if ("connector" !== key) {
+            settings[key] = config[key];
+        }
+    });
+    Object.keys(ENVIRONMENT).forEach(function (variable) {
+        if (env[variable]) {
+            settings[ENVIRONMENT[variable]] = env[variable];
+        }
+    });
+    if (options.migrations) {
+        settings.migrations = Object.assign({}, settings.migrations, {
+            "directory": options.migrations
+        });
+    }
+    return settings;
+};
+
+/**
+ * Load the data source class of the application, or the one installed next to the connector.
+ *
+ * @returns {Function}
+ * @throws {Error} if loopback-datasource-juggler is not installed
+ */
+var dataSourceClass = function () {
+    "use strict";
+    var error = null;
+
+    try {
+        return require(require.resolve("loopback-datasource-juggler", {
+            "paths": [process.cwd(), __dirname]
+        })).DataSource;
+    } catch (e) {
+        error = new Error("The command line tool needs loopback-datasource-juggler, run it from the application " +
+            "directory or install it");
+        error.statusCode = 500;
+        throw error;
+    }
+};
+
+/**
+ * Define the models of the JSON definitions of a directory on a data source. Base models of the directory are
+ * defined first, the others (`PersistedModel`, ...) are left out as only the properties and settings matter here.
+ *
+ * @param {Object} dataSource - The data source
+ * @param {string} directory - The directory
+ */
+var defineModels = function (dataSource, directory) {
+    "use strict";
+    var definitions = {},
+        define = function (name) {
+            var definition = definitions[name],
+                settings = {};
+
+            if (!definition || dataSource.connector._models[name]) {
+                return;
+            }
+            Object.keys(definition).forEach(function (key) {
+                if ("name" !== key && "properties" !== key) {
+                    settings[key] = definition[key];
+                }
+            });
+            if (settings.base && definitions[settings.base]) {
+                define(settings.base);
+            } else {
+                delete settings.base;
+            }
+            dataSource.createModel(name, definition.properties || {}, settings);
+        };
+
+    fs.readdirSync(directory).filter(function (file) {
+        return /\.json$/.test(file);
+    }).sort().forEach(function (file) {
+        var definition = readJson(path.join(directory, file));
+
+        if (definition && "string" === typeof definition.name) {
+            definitions[definition.name] = definition;
+        }
+    });
+    Object.keys(definitions).forEach(define);
+};
+
+/**
+ * Get the models named on the command line, all the defined models by default.
+ *
+ * @param {Object} dataSource - The data source
+ * @param {string[]} names - The model names
+ * @returns {string[]}
+ * @throws {Error} if no model is defined or a model is unknown
+ */
+var selectModels = function (dataSource, names) {
+    "use strict";
+    var models = Object.keys(dataSource.connector._models);
+
+    if (!models.length) {
+        throw usageError("No model is defined, see --models");
+    }
+    names.forEach(function (name) {
+        if (-1 === models.indexOf(name)) {
+            throw usageError("Unknown model " + name);
+        }
+    });
+    return names.length ? names : models;
+};
+
+/**
+ * Convert a `--param` value: JSON when it parses as JSON, a string otherwise.
+ *
+ * @param {string} value - The value
+ * @returns {*}
+ */
+var paramValue = function (value) {
+    "use strict";
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+};
+
+/**
+ * Get the query parameters of the `params` file and `param` options.
+ *
+ * @param {Object} options - The options
+ * @returns {Object}
+ */
+var queryParams = function (options) {
+    "use strict";
+    var params = options.params ? readJson(path.resolve(options.params)) : {};
+
+    (options.param || []).forEach(function (param) {
+        var separator = param.indexOf("=");
+
+        if (separator < 1) {
+            throw usageError("The parameter " + param + " is not <name>=<value>");
+        }
+        params[param.slice(0, separator)] = paramValue(param.slice(separator + 1));
+    });
+    return params;
+};
+
+/**
+ * Create a stream parsing JSON lines into objects. The bytes are decoded as UTF-8 across chunks, which may split a
+ * character.
+ *
+ * @returns {Transform}
+ */
+exports.jsonLines = function () {
+    "use strict";
+    var decoder = new StringDecoder("utf8"),
+        rest = "",
+        line = 0,
+        parse = function (stream, text) {
+            var error = null;
+
+            line += 1;
+            if (!text.trim()) {
+                return;
+            }
+            try {
+                stream.push(JSON.parse(text));
+            } catch (e) {
+                error = new Error("Line " + line + " is not JSON: " + e.message);
+                error.statusCode = 400;
+                throw error;
+            }
+        };
+
+    return new Transform({
+        "readableObjectMode": true,
+        "transform": function (chunk, encoding, callback) {
+            var self = this,
+                lines = (rest + decoder.write(chunk)).split("\n");
+
+            rest = lines.pop();
+            try {
+                lines.forEach(function (text) {
+                    parse(self, text);
+                });
+            } catch (e) {
+                return callback(e);
+            }
+            callback();
+        },
+        "flush": function (callback) {
+            try {
+                parse(this, rest + decoder.end());
+            } catch (e) {
+                return callback(e);
+            }
+            callback();
+        }
+    });
+};
+
+/**
+ * Describe a migration.
+ *
+ * @param {Object} migration - `{version, name}`
+ * @returns {string}
+ */
+var migrationName = function (migration) {
+    "use strict";
+    return migration.version + "-" + migration.name;
+};
+
+/**
+ * Describe a server index or constraint, see `Dialect#parseIndex` and `Dialect#parseConstraint`.
+ *
+ * @param {Object} entry - The index or constraint
+ * @returns {string}
+ */
+var schemaEntry = function (entry) {
+    "use strict";
+    var labels = (entry.labels || []).join("|");
+
+    return [entry.name || "-", entry.type || "-", ("RELATIONSHIP" === entry.entityType ? "()-[:" + labels + "]-()" :
+        "(:" + labels + ")") + " " + (entry.properties || []).join(", ")].concat(entry.propertyType || []).join("\t");
+};
+
+/**
+ * Print the statements of a schema change.
+ *
+ * @param {string[]} statements - The statements
+ * @returns {string[]}
+ */
+var statementLines = function (statements) {
+    "use strict";
+    return statements.length ? statements.map(function (statement) {
+        return statement + ";";
+    }) : ["The schema is up to date"];
+};
+
+/**
+ * Plan the schema changes of `autoupdate`: the statements it would run and the lines printing them, followed by the
+ * indexes and constraints no model declares it keeps without the `drop` option.
+ *
+ * @param {Object} connector - The connector
+ * @param {string[]} models - The model names
+ * @param {boolean} drop - Whether the indexes and constraints no model declares are dropped
+ * @returns {Promise} `{statements, lines}`
+ */
+var schemaChanges = function (connector, models, drop) {
+    "use strict";
+    return Promise.fromCallback(function (done) {
+        connector.autoupdate(models, {
+            "dryRun": true,
+            "drop": drop
+        }, done);
+    }).then(function (statements) {
+        return (drop ? Promise.resolve({
+            "drop": []
+        }) : Promise.fromCallback(function (done) {
+            connector.schemaDiff(models, done);
+        })).then(function (diff) {
+            return {
+                "statements": statements,
+                "lines": statementLines(statements).concat(diff.drop.map(function (entry) {
+                    return "Kept, no model declares it (--drop drops it):\t" + schemaEntry(entry);
+                }))
+            };
+        });
+    });
+};
+
+/**
+ * The commands: each gets the data source, its arguments, the options and the output stream, and returns a promise
+ * of `{result, lines}`, the result printed by `--json`, the lines otherwise, or of null when it wrote the output.
+ */
+var COMMANDS = {
+    "ping": function (dataSource) {
+        "use strict";
+        var connector = dataSource.connector;
+
+        return Promise.fromCallback(function (done) {
+            connector.connect(done);
+        }).then(function () {
+            return Promise.fromCallback(function (done) {
+                connector.ping(done);
+            });
+        }).then(function () {
+            var result = {
+                "version": connector.serverVersion,
+                "edition": connector.edition || null,
+                "transport": connector.transport
+            };
+
+            return {
+                "result": result,
+                "lines": ["Neo4j " + result.version + (result.edition ? " " + result.edition : "") + " over " +
+                    result.transport]
+            };
+        });
+    },
+    "schema": function (dataSource, args, options) {
+        "use strict";
+        var connector = dataSource.connector;
+
+        if ("diff" === args[0]) {
+            return Promise.try(function () {
+                return schemaChanges(connector, selectModels(dataSource, args.slice(1)), !!options.drop);
+            }).then(function (changes) {
+                return {
+                    "result": changes.statements,
+                    "lines": changes.lines
+                };
+            });
+        }
+        if (undefined !== args[0] && "show" !== args[0]) {
+            return Promise.reject(usageError("Unknown schema command " + args[0]));
+        }
+        return Promise.fromCallback(function (done) {
+            connector.connect(done);
+        }).then(function () {
+            return Promise.fromCallback(function (done) {
+                connector.readSchema(done);
+            });
+        }).then(function (schema) {
+            return {
+                "result": schema,
+                "lines": ["Constraints:"].concat(schema.constraints.map(schemaEntry), "Indexes:",
+                    schema.indexes.map(schemaEntry))
+            };
+        });
+    },
+    "autoupdate": function (dataSource, args, options) {
+        "use strict";
+        var connector = dataSource.connector,
+            models = [];
+
+        return Promise.try(function () {
+            models = selectModels(dataSource, args);
+            return schemaChanges(connector, models, !!options.drop);
+        }).then(function (changes) {
+            if (options.dryRun || !changes.statements.length) {
+                return changes;
+            }
+            return Promise.fromCallback(function (done) {
+                connector.autoupdate(models, {
+                    "drop": !!options.drop
+                }, done);
+            }).then(function () {
+                return changes;
+            });
+        }).then(function (changes) {
+            return {
+                "result": changes.statements,
+                "lines": changes.lines
+            };
+        });
+    },
+    "automigrate": function (dataSource, args) {
+        "use strict";
+        var models = [];
+
+        return Promise.fromCallback(function (done) {
+            models = selectModels(dataSource, args);
+            dataSource.connector.automigrate(models, done);
+        }).then(function () {
+            return {
+                "result": models,
+                "lines": ["Recreated the indexes and constraints of " + models.join(", ")]
+            };
+        });
+    },
+    "migrate": function (dataSource, args, options) {
+        "use strict";
+        var connector = dataSource.connector,
+            direction = args[0] || "up",
+            settings = {
+                "dryRun": !!options.dryRun,
+                "to": options.to,
+                "steps": options.steps
+            },
+            describe = function (migrations) {
+                var verb = ("up" === direction ? ["Pending ", "Applied "] : ["To revert ", "Reverted "])[
+                    options.dryRun ? 0 : 1];
+
+                return {
+                    "result": migrations,
+                    "lines": migrations.length ? migrations.map(function (migration) {
+                        return verb + migrationName(migration);
+                    }) : ["No migrations to " + ("up" === direction ? "run" : "revert")]
+                };
+            };
+
+        if ("status" === direction) {
+            return connector.migrationStatus().then(function (status) {
+                return {
+                    "result": status,
+                    "lines": status.length ? status.map(function (migration) {
+                        return [migrationName(migration), migration.missing ? "missing" : migration.changed ?
+                            "changed" : migration.applied ? "applied" : "pending", migration.appliedAt || ""]
+                            .join("\t").trim();
+                    }) : ["No migrations"]
+                };
+            });
+        }
+        if ("up" !== direction && "down" !== direction) {
+            return Promise.reject(usageError("Unknown migrate command " + direction));
+        }
+        return ("up" === direction ? connector.migrate(settings) : connector.migrateDown(settings)).then(describe);
+    },
+    "cypher": function (dataSource, args, options) {
+        "use strict";
+        var connector = dataSource.connector,
+            params = {},
+            statements = [],
+            runAll = function (modelOptions) {
+                return Promise.mapSeries(statements, function (statement) {
+                    return Promise.fromCallback(function (done) {
+                        connector.cypher({
+                            "query": statement,
+                            "params": params,
+                            "idempotent": false
+                        }, modelOptions, done);
+                    });
+                });
+            };
+
+        if (!args[0]) {
+            return Promise.reject(usageError("The cypher command needs a file"));
+        }
+        return Promise.try(function () {
+            params = queryParams(options);
+            statements = fs.readFileSync(path.resolve(args[0]), "utf8").split(/;[ \t]*$/m).map(function (statement) {
+                return statement.trim();
+            }).filter(function (statement) {
+                return statement.length;
+            });
+            if (!options.transaction) {
+                return runAll({});
+            }
+            return connector.runTransaction(function (modelOptions) {
+                return runAll(modelOptions);
+            });
+        }).then(function (results) {
+            return {
+                "result": results,
+                "lines": [].concat.apply([], results.map(function (rows) {
+                    return rows.map(function (row) {
+                        return JSON.stringify(row);
+                    });
+                }))
+            };
+        });
+    },
+    "export": function (dataSource, args, options, output) {
+        "use strict";
+        var file = options.out ? fs.createWriteStream(path.resolve(options.out)) : output,
+            counts = {
+                "nodes": 0,
+                "relationships": 0
+            };
+
+        return new Promise(function (resolve, reject) {
+            var records = dataSource.connector.exportGraph({
+                "labels": options.labels ? String(options.labels).split(",") : null,
+                "pageSize": options.pageSize
+            });
+
+            file.on("error", function (error) {
+                records.destroy();
+                reject(error);
+            });
+            records.on("data", function (record) {
+                counts["node" === record.type ? "nodes" : "relationships"] += 1;
+                if (!file.write(JSON.stringify(record) + "\n")) {
+                    records.pause();
+                    file.once("drain", function () {
+                        records.resume();
+                    });
+                }
+            }).on("error", reject).on("end", function () {
+                if (file === output) {
+                    return resolve();
+                }
+                file.end(resolve);
+            });
+        }).then(function () {
+            // The records are the output unless written to a file
+            return file === output ? null : {
+                "result": counts,
+                "lines": ["Exported " + counts.nodes + " nodes and " + counts.relationships + " relationships"]
+            };
+        });
+    },
+    "import": function (dataSource, args, options) {
+        "use strict";
+        var records = exports.jsonLines();
+
+        if (!args[0]) {
+            return Promise.reject(usageError("The import command needs a file, or - to read stdin"));
+        }
+        return Promise.try(function () {
+            var file = path.resolve(args[0]);
+
+            if ("-" === args[0]) {
+                return process.stdin.pipe(records);
+            }
+            // Fail before preparing the import
+            fs.accessSync(file, fs.constants.R_OK);
+            fs.createReadStream(file).on("error", function (error) {
+                records.destroy(error);
+            }).pipe(records);
+        }).then(function () {
+            return dataSource.connector.importGraph(records, {
+                "batchSize": options.batchSize
+            });
+        }).then(function (counts) {
+            return {
+                "result": counts,
+                "lines": ["Imported " + counts.nodes + " nodes and " + counts.relationships + " relationships"]
+            };
+        });
+    }
+};
+
+/**
+ * Run a command line.
+ *
+ * @param {string[]} argv - The arguments, without the node and script paths
+ * @param {Object} output - The stream the results are written to
+ * @param {Function} callback - The callback function, called with the error of the command
+ */
+exports.run = function (argv, output, callback) {
+    "use strict";
+    var parsed = null,
+        command = null,
+        dataSource = null,
+        DataSource = null;
+
+    try {
+        parsed = exports.parse(argv);
+        if (parsed.options.help || !parsed.args.length) {
+            output.write(USAGE + "\n");
+            return process.nextTick(callback, parsed.options.help ? null : usageError("No command given"));
+        }
+        command = COMMANDS[parsed.args[0]];
+        if (!Object.prototype.hasOwnProperty.call(COMMANDS, parsed.args[0])) {
+            throw usageError("Unknown command " + parsed.args[0]);
+        }
+        DataSource = dataSourceClass();
+        dataSource = new DataSource(require("./neo4j-graph"), exports.settings(parsed.options));
+        if (parsed.options.models) {
+            defineModels(dataSource, path.resolve(parsed.options.models));
+        }
+    } catch (e) {
+        return process.nextTick(callback, e);
+    }
+    if (dataSource.connector.debug) {
+        debug("run:args:%j,options:%j", parsed.args, parsed.options);
+    }
+    command(dataSource, parsed.args.slice(1), parsed.options, output).then(function (done) {
+        if (!done) {
+            return;
+        }
+        if (parsed.options.json) {
+            return output.write(JSON.stringify(done.result, null, 2) + "\n");
+        }
+        output.write(done.lines.map(function (line) {
+            return line + "\n";
+        }).join(""));
+    }).then(function () {
+        return null;
+    }, function (error) {
+        return error;
+    }).then(function (error) {
+        dataSource.disconnect(function () {
+            callback(error);
+        });
+    });
+};
+
+exports.USAGE = USAGE;
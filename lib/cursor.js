@@ -0,0 +1,271 @@
+var Promise = require("bluebird");
+
+/**
+ * Cursors: keyset pagination, which stays fast at any depth and neither repeats nor skips instances when the data
+ * changes between pages.
+ *
+ * A filter with `cursor: true` or an `after` cursor is sorted by its `order` followed by the id, and the array `all`
+ * calls back with gets a `nextCursor`: an opaque string holding the sort keys of the last instance, null on the last
+ * page. Passing it as `filter.after` returns the instances sorted after that one,
+ * `WHERE n.a > $a OR (n.a = $a AND n.id > $id)` with `ORDER BY n.a, n.id`. Null values are sorted the way Neo4j sorts
+ * them: last in ascending order, first in descending order.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * Create the error reported for a cursor which cannot be used.
+     *
+     * @param {string} message - The error message
+     * @returns {Error}
+     */
+    var invalidCursor = function (message) {
+        var error = new Error(message);
+
+        error.statusCode = 400;
+        return error;
+    };
+
+    /**
+     * Extend a fields filter with the properties holding the sort keys, which the next cursor is built from.
+     *
+     * @param {String|String[]|Object} fields - The fields filter
+     * @param {string[]} names - The properties holding the sort keys
+     * @returns {Object} `{fields, added}`, `added` being the properties the filter did not select
+     */
+    var withCursorFields = function (fields, names) {
+        var included = false,
+            added = [];
+
+        if ("string" === typeof fields) {
+            fields = [fields];
+        }
+        if (Array.isArray(fields)) {
+            added = fields.length ? names.filter(function (name) {
+                return -1 === fields.indexOf(name);
+            }) : [];
+            return {
+                "fields": fields.concat(added),
+                "added": added
+            };
+        }
+        fields = Object.assign({}, fields);
+        included = Object.keys(fields).some(function (key) {
+            return fields[key];
+        });
+        names.forEach(function (name) {
+            if (included && !fields[name]) {
+                fields[name] = true;
+                added.push(name);
+            } else if (!included && fields.hasOwnProperty(name)) {
+                delete fields[name];
+                added.push(name);
+            }
+        });
+        return {
+            "fields": fields,
+            "added": added
+        };
+    };
+
+    /**
+     * Get the keys the instances are sorted by in cursor mode: the order of the filter followed by the id.
+     *
+     * @param {string} model - The model name
+     * @param {*} order - The order of the filter: a string like "name DESC, id" or an array of such strings
+     * @returns {Object[]} `[{key, desc, order}]`, `order` being the entry of the sort order, e.g. "name DESC"
+     */
+    Neo4j.prototype.cursorKeys = function (model, order) {
+        var idName = this.getIdName(model),
+            keys = [].concat(order || []).reduce(function (all, entry) {
+                return all.concat(String(entry).split(","));
+            }, []).filter(function (entry) {
+                return entry.trim();
+            }).map(function (entry) {
+                var match = /^\s*(.*?)(?:\s+(ASC|DESC))?\s*$/i.exec(entry),
+                    desc = !!match[2] && "DESC" === match[2].toUpperCase();
+
+                return {
+                    "key": match[1],
+                    "desc": desc,
+                    "order": match[1] + (desc ? " DESC" : "")
+                };
+            });
+
+        if (!keys.some(function (entry) {
+            return entry.key === idName;
+        })) {
+            keys.push({
+                "key": idName,
+                "desc": false,
+                "order": idName
+            });
+        }
+        return keys;
+    };
+
+    /**
+     * Build the cursor of an instance, see the module documentation.
+     *
+     * @param {Object[]} keys - The sort keys, see `cursorKeys`
+     * @param {Object} entry - The instance data
+     * @returns {string}
+     */
+    Neo4j.prototype.encodeCursor = function (keys, entry) {
+        var cursor = {
+            "order": keys.map(function (key) {
+                return key.order;
+            }),
+            "values": keys.map(function (key) {
+                // The properties of flattened nested properties are read back as objects
+                var value = entry[key.key];
+
+                if (undefined === value) {
+                    value = key.key.split(".").reduce(function (map, name) {
+                        return map && "object" === typeof map ? map[name] : undefined;
+                    }, entry);
+                }
+
+                return undefined === value ? null : value;
+            })
+        };
+
+        // BigInt values, read with the bigint integer policy, become decimal strings, see `Neo4j#valueParam`
+        return Buffer.from(JSON.stringify(cursor, function (key, value) {
+            return "bigint" === typeof value ? value.toString() : value;
+        })).toString("base64").replace(/\+/g, "-").replace(/\//g, "_")
+            .replace(/=+$/, "");
+    };
+
+    /**
+     * Build the condition selecting the instances sorted after a cursor.
+     *
+     * @param {string} model - The model name
+     * @param {Object[]} keys - The sort keys, see `cursorKeys`
+     * @param {string} after - The cursor
+     * @param {Object} params - The query parameters, extended with the values of the cursor
+     * @param {string} [alias] - The variable bound to the nodes or relationships, "n" by default
+     * @returns {string}
+     * @throws {Error} with status code 400 if the cursor is invalid or was built for another sort order
+     */
+    Neo4j.prototype.buildAfter = function (model, keys, after, params, alias) {
+        var self = this,
+            idName = self.getIdName(model),
+            order = keys.map(function (key) {
+                return key.order;
+            }),
+            cursor = null,
+            equal = [],
+            conditions = [];
+
+        try {
+            // base64 decoding accepts the URL safe alphabet
+            cursor = JSON.parse(Buffer.from(String(after), "base64").toString("utf8"));
+        } catch (e) {
+            throw invalidCursor("Invalid cursor: " + JSON.stringify(after));
+        }
+        if (!cursor || !Array.isArray(cursor.values) || JSON.stringify(cursor.order) !== JSON.stringify(order)) {
+            throw invalidCursor("The cursor does not match the order of the filter");
+        }
+        keys.forEach(function (key, index) {
+            var ref = self.propertyRef(model, key.key, alias),
+                value = cursor.values[index],
+                param = "after_" + index,
+                next = "";
+
+            self.checkProperty(model, key.key);
+            if (null === value) {
+                // Null values come last in ascending order, first in descending order
+                next = key.desc ? ref + " IS NOT NULL" : "";
+            } else {
+                next = ref + (key.desc ? " < " : " > ") + self.valueParam(model, key.key, value, param, params);
+                if (!key.desc && key.key !== idName) {
+                    next = "(" + next + " OR " + ref + " IS NULL)";
+                }
+            }
+            if (next) {
+                conditions.push(equal.concat([next]).join(" AND "));
+            }
+            equal.push(null === value ? ref + " IS NULL" : ref + " = " + self.valueParam(model, key.key, value, param,
+                params));
+        });
+        return conditions.length ? " (" + conditions.map(function (condition) {
+            return "(" + condition + ")";
+        }).join(" OR ") + ")" : " false";
+    };
+
+    /**
+     * Expose cursor pagination on a model: `Model.findPage(filter, options, cb)` calls back with
+     * `{data, nextCursor}`, `data` being the instances `find` returns for the filter in cursor mode. It returns a
+     * promise when called without callback.
+     *
+     * @param {Function} Model - The model class
+     */
+    Neo4j.prototype.defineCursorMethods = function (Model) {
+        var self = this;
+
+        Model.findPage = function (filter, options, callback) {
+            var run = function (done) {
+                var fields = null,
+                    selected = {
+                        "added": []
+                    };
+
+                filter = filter || {};
+                filter.cursor = true;
+                if (filter.fields) {
+                    // Like `all`, read the sort keys along with the selected fields and drop them once the next
+                    // cursor is built
+                    fields = filter.fields;
+                    selected = withCursorFields(fields, self.cursorKeys(Model.modelName, filter.order ||
+                        (Model.defaultScope(filter) || {}).order).reduce(function (names, key) {
+                        var name = key.key.split(".")[0];
+
+                        return -1 === names.indexOf(name) ? names.concat([name]) : names;
+                    }, []));
+                    filter.fields = selected.fields;
+                }
+                Model.find(filter, options || {}, function (error, data) {
+                    var keys = [],
+                        nextCursor = null;
+
+                    if (fields) {
+                        filter.fields = fields;
+                    }
+                    if (error) {
+                        return done(error);
+                    }
+                    // find normalizes the filter in place and adds the order of the default scope
+                    keys = self.cursorKeys(Model.modelName, filter.order);
+                    if (filter.limit && data.length >= filter.limit) {
+                        nextCursor = self.encodeCursor(keys, data[data.length - 1]);
+                    }
+                    data.forEach(function (instance) {
+                        selected.added.forEach(function (name) {
+                            instance.unsetAttribute(name);
+                        });
+                    });
+                    done(null, {
+                        "data": data,
+                        "nextCursor": nextCursor
+                    });
+                });
+            };
+
+            if (!callback && "function" === typeof options) {
+                callback = options;
+                options = {};
+            }
+            if (!callback && "function" === typeof filter) {
+                callback = filter;
+                filter = {};
+            }
+            if (callback) {
+                return run(callback);
+            }
+            return Promise.fromCallback(run);
+        };
+    };
+};
@@ -0,0 +1,436 @@
+/**
+ * Cypher dialect for a given Neo4j server version. It knows which parameter and schema syntax the server accepts
+ * and how the server reports its indexes and constraints.
+ *
+ * Neo4j 3.x uses `CREATE CONSTRAINT ON ... ASSERT`, `CREATE INDEX ON :Label(property)` and the `db.indexes()` and
+ * `db.constraints()` procedures. Neo4j 4.0 introduced named schema objects, 4.1 `IF NOT EXISTS`, 4.2 `SHOW INDEXES`
+ * and `SHOW CONSTRAINTS` and 4.4 `CREATE CONSTRAINT ... FOR ... REQUIRE`, the only constraint syntax left in 5.x.
+ *
+ * @param {String|Number[]} version - the server version, e.g. "4.4.12"
+ * @constructor
+ */
+var Dialect = function (version) {
+    "use strict";
+    var parts = Array.isArray(version) ? version : String(version || Dialect.DEFAULT_VERSION).split(".");
+
+    this.version = parts.join(".");
+    this.major = parseInt(parts[0], 10) || 0;
+    this.minor = parseInt(parts[1], 10) || 0;
+};
+
+/**
+ * Version assumed until the server version has been detected.
+ */
+Dialect.DEFAULT_VERSION = "3.5";
+
+/**
+ * Query returning the server version and edition.
+ */
+Dialect.VERSION_QUERY = "CALL dbms.components() YIELD name, versions, edition " +
+    "WHERE name = 'Neo4j Kernel' RETURN versions[0] AS version, edition";
+
+/**
+ * Throw the error reported for a schema feature the server does not support.
+ *
+ * @param {Dialect} dialect - the dialect
+ * @param {string} feature - the feature, e.g. "Relationship indexes"
+ * @param {number} major - the major version introducing the feature
+ * @param {number} minor - the minor version introducing the feature
+ * @throws {Error} with status code 501 if the server version is older
+ */
+var requireVersion = function (dialect, feature, major, minor) {
+    "use strict";
+    var error = null;
+
+    if (!dialect.atLeast(major, minor)) {
+        error = new Error(feature + " need Neo4j " + major + "." + minor + ", the server runs " + dialect.version);
+        error.statusCode = 501;
+        throw error;
+    }
+};
+
+/**
+ * Check whether the server version is at least the given one.
+ *
+ * @param {number} major - the major version
+ * @param {number} minor - the minor version
+ * @returns {boolean}
+ */
+Dialect.prototype.atLeast = function (major, minor) {
+    "use strict";
+    return this.major > major || (this.major === major && this.minor >= (minor || 0));
+};
+
+/**
+ * Reference a query parameter.
+ *
+ * @param {string} name - the parameter name
+ * @returns {string}
+ */
+Dialect.prototype.param = function (name) {
+    "use strict";
+    return this.atLeast(3) ? "$" + name : "{" + name + "}";
+};
+
+/**
+ * Quote an identifier: a label, relationship type, property or variable name. Backticks within the name are doubled,
+ * so a name cannot end the quoted identifier and inject Cypher.
+ *
+ * @param {string} name - the identifier
+ * @returns {string}
+ * @throws {Error} with status code 400 if the name is not a non empty string without control characters
+ */
+Dialect.prototype.quote = function (name) {
+    "use strict";
+    var error = null;
+
+    if ("string" !== typeof name || !name.length || /[\u0000-\u001f\u007f]/.test(name)) {
+        error = new Error("Invalid identifier: " + JSON.stringify(name));
+        error.statusCode = 400;
+        throw error;
+    }
+    return "`" + name.replace(/`/g, "``") + "`";
+};
+
+/**
+ * Build a string literal.
+ *
+ * @param {string} text - the text
+ * @returns {string}
+ */
+Dialect.prototype.quoteString = function (text) {
+    "use strict";
+    return "'" + String(text).replace(/\\/g, "\\\\").replace(/'/g, "\\'") + "'";
+};
+
+/**
+ * Whether indexes and constraints are named, i.e. can be created with and dropped by name.
+ *
+ * @returns {boolean}
+ */
+Dialect.prototype.namedSchema = function () {
+    "use strict";
+    return this.atLeast(4);
+};
+
+/**
+ * Generate the name of an index or constraint.
+ *
+ * @param {Object} definition - the index or constraint definition
+ * @returns {string}
+ */
+Dialect.prototype.schemaName = function (definition) {
+    "use strict";
+    return definition.name || [definition.label].concat(definition.properties, definition.kind).join("_");
+};
+
+/**
+ * Build the name and `IF NOT EXISTS` part of a CREATE INDEX/CONSTRAINT statement.
+ *
+ * @param {Object} definition - the index or constraint definition
+ * @returns {string}
+ */
+Dialect.prototype.createName = function (definition) {
+    "use strict";
+    var name = "";
+
+    if (this.namedSchema()) {
+        name = " " + this.quote(this.schemaName(definition));
+        if (this.atLeast(4, 1)) {
+            name += " IF NOT EXISTS";
+        }
+    }
+    return name;
+};
+
+/**
+ * Build the pattern an index or constraint applies to, binding the nodes or relationships to `n`.
+ *
+ * @param {Object} definition - the index or constraint definition, `label` being the relationship type when its
+ * `entityType` is "RELATIONSHIP"
+ * @returns {string}
+ */
+Dialect.prototype.schemaPattern = function (definition) {
+    "use strict";
+    var label = this.quote(definition.label);
+
+    return "RELATIONSHIP" === definition.entityType ? "()-[n:" + label + "]-()" : "(n:" + label + ")";
+};
+
+/**
+ * Build a CREATE INDEX statement. Point indexes only exist from 5.0, earlier native indexes also index points.
+ * Relationship property indexes need 4.3.
+ *
+ * @param {Object} index - `{kind: "index"|"point"|"fulltext", label, properties, [entityType], [name], [analyzer]}`
+ * @returns {string}
+ * @throws {Error} with status code 501 for a relationship index the server does not support
+ */
+Dialect.prototype.createIndex = function (index) {
+    "use strict";
+    var self = this;
+
+    if ("fulltext" === index.kind) {
+        return self.createFulltextIndex(index);
+    }
+    if ("RELATIONSHIP" === index.entityType) {
+        requireVersion(self, "Relationship property indexes", 4, 3);
+    }
+    if (!self.namedSchema()) {
+        return "CREATE INDEX ON :" + self.quote(index.label) + "(" + index.properties.map(function (property) {
+            return self.quote(property);
+        }).join(", ") + ")";
+    }
+    return "CREATE " + ("point" === index.kind && self.atLeast(5) ? "POINT " : "") + "INDEX" + self.createName(index) +
+        " FOR " + self.schemaPattern(index) + " ON (" + index.properties.map(function (property) {
+            return "n." + self.quote(property);
+        }).join(", ") + ")";
+};
+
+/**
+ * Build the statement creating a full-text index. Before 4.3 full-text indexes are created by a procedure, which
+ * fails if the index exists, so the statement only calls it for an index missing from `db.indexes()`.
+ *
+ * @param {Object} index - `{label, properties, [name], [analyzer]}`
+ * @returns {string}
+ */
+Dialect.prototype.createFulltextIndex = function (index) {
+    "use strict";
+    var self = this,
+        name = self.schemaName(index);
+
+    if (self.atLeast(4, 3)) {
+        return "CREATE FULLTEXT INDEX" + self.createName(index) + " FOR (n:" + self.quote(index.label) +
+            ") ON EACH [" + index.properties.map(function (property) {
+                return "n." + self.quote(property);
+            }).join(", ") + "]" + (index.analyzer ? " OPTIONS {indexConfig: {`fulltext.analyzer`: " +
+                self.quoteString(index.analyzer) + "}}" : "");
+    }
+    return "CALL db.indexes() YIELD " + (self.atLeast(4) ? "name" : "indexName AS name") + " WITH collect(name) AS " +
+        "names WHERE NOT " + self.quoteString(name) + " IN names CALL db.index.fulltext.createNodeIndex(" +
+        self.quoteString(name) + ", [" + self.quoteString(index.label) + "], [" +
+        index.properties.map(function (property) {
+            return self.quoteString(property);
+        }).join(", ") + "]" + (index.analyzer ? ", {analyzer: " + self.quoteString(index.analyzer) + "}" : "") +
+        ") RETURN count(*) AS count";
+};
+
+/**
+ * Name of the function computing the distance between two points, `distance()` was renamed in 4.4.
+ *
+ * @returns {string}
+ */
+Dialect.prototype.distanceFunction = function () {
+    "use strict";
+    return this.atLeast(4, 4) ? "point.distance" : "distance";
+};
+
+/**
+ * Build the expression naming the type of a value, e.g. "INTEGER NOT NULL". `valueType()` only exists from 5.13.
+ *
+ * @param {string} expression - the value expression
+ * @returns {string} The expression, or null if the server cannot name value types
+ */
+Dialect.prototype.valueType = function (expression) {
+    "use strict";
+    return this.atLeast(5, 13) ? "valueType(" + expression + ")" : null;
+};
+
+/**
+ * Build a CREATE CONSTRAINT statement. Node keys need 3.3, composite uniqueness constraints 5.0, relationship
+ * uniqueness constraints and keys 5.7 and property type constraints 5.9; existence and type constraints apply to a
+ * single property.
+ *
+ * @param {Object} constraint - `{kind: "unique"|"exists"|"key"|"type", label, properties, [entityType], [name],
+ * [propertyType]}`, `propertyType` being the Cypher type of a "type" constraint, e.g. "INTEGER" or "STRING | FLOAT"
+ * @returns {string}
+ * @throws {Error} with status code 501 for a constraint the server does not support, 400 for an invalid one
+ */
+Dialect.prototype.createConstraint = function (constraint) {
+    "use strict";
+    var self = this,
+        relationship = "RELATIONSHIP" === constraint.entityType,
+        properties = constraint.properties.map(function (property) {
+            return "n." + self.quote(property);
+        }),
+        forRequire = self.atLeast(4, 4),
+        error = null,
+        query = "CREATE CONSTRAINT" + self.createName(constraint);
+
+    if (properties.length > 1 && ("exists" === constraint.kind || "type" === constraint.kind)) {
+        error = new Error("A " + constraint.kind + " constraint applies to a single property: " +
+            constraint.properties.join(", "));
+        error.statusCode = 400;
+        throw error;
+    }
+    query += (forRequire ? " FOR " : " ON ") + self.schemaPattern(constraint) + (forRequire ? " REQUIRE " : " ASSERT ");
+    switch (constraint.kind) {
+    case "exists":
+        return query + (forRequire ? properties[0] + " IS NOT NULL" : "exists(" + properties[0] + ")");
+    case "key":
+        if (relationship) {
+            requireVersion(self, "Relationship keys", 5, 7);
+        } else {
+            requireVersion(self, "Node keys", 3, 3);
+        }
+        return query + "(" + properties.join(", ") + ") IS " + (relationship ? "RELATIONSHIP" : "NODE") + " KEY";
+    case "type":
+        requireVersion(self, "Property type constraints", 5, 9);
+        if (!/^[A-Z][A-Z0-9 _<>|]*$/i.test(constraint.propertyType || "")) {
+            error = new Error("Invalid property type: " + JSON.stringify(constraint.propertyType));
+            error.statusCode = 400;
+            throw error;
+        }
+        return query + properties[0] + " IS :: " + constraint.propertyType.toUpperCase();
+    default:
+        if (relationship) {
+            requireVersion(self, "Relationship uniqueness constraints", 5, 7);
+        } else if (properties.length > 1) {
+            requireVersion(self, "Composite uniqueness constraints", 5, 0);
+        }
+        return query + (1 === properties.length ? properties[0] : "(" + properties.join(", ") + ")") + " IS UNIQUE";
+    }
+};
+
+/**
+ * Query listing the indexes. Rows are normalised by `parseIndex`.
+ *
+ * @returns {string}
+ */
+Dialect.prototype.listIndexes = function () {
+    "use strict";
+    return this.atLeast(4, 2) ? "SHOW INDEXES" : "CALL db.indexes()";
+};
+
+/**
+ * Query listing the constraints. Rows are normalised by `parseConstraint`.
+ *
+ * @returns {string}
+ */
+Dialect.prototype.listConstraints = function () {
+    "use strict";
+    return this.atLeast(4, 2) ? "SHOW CONSTRAINTS" : "CALL db.constraints()";
+};
+
+/**
+ * Parse the labels and properties out of a 3.x style description, e.g. "INDEX ON :Label(a, b)" or
+ * "CONSTRAINT ON ( label:Label ) ASSERT (label.a) IS UNIQUE".
+ *
+ * @param {string} description - the index or constraint description
+ * @returns {Object}
+ */
+Dialect.prototype.parseDescription = function (description) {
+    "use strict";
+    var label = /:\s*`?([^`\s():]+)/.exec(description || ""),
+        index = /INDEX ON :[^(]+\(([^)]*)\)/.exec(description || ""),
+        constraint = /ASSERT\s+(?:exists\()?\(?([^)]*?)\)?\s+IS\s|ASSERT\s+exists\(([^)]*)\)/i.exec(description || ""),
+        properties = [];
+
+    if (index) {
+        properties = index[1].split(",");
+    } else if (constraint) {
+        properties = (constraint[1] || constraint[2]).split(",");
+    }
+    return {
+        "labels": label ? [label[1]] : [],
+        "properties": properties.map(function (property) {
+            return property.trim().replace(/^[^.]*\./, "").replace(/`/g, "");
+        }).filter(function (property) {
+            return property;
+        })
+    };
+};
+
+/**
+ * Normalise an index row to `{name, entityType, labels, properties, type, unique, description}`.
+ *
+ * @param {Object} row - a row of `listIndexes`
+ * @returns {Object}
+ */
+Dialect.prototype.parseIndex = function (row) {
+    "use strict";
+    var parsed = this.parseDescription(row.description);
+
+    return {
+        "name": row.name || row.indexName || null,
+        "entityType": row.entityType || "NODE",
+        "labels": row.labelsOrTypes || row.tokenNames || (row.label ? [row.label] : parsed.labels),
+        "properties": row.properties || parsed.properties,
+        "type": row.type || null,
+        "unique": "UNIQUE" === row.uniqueness || !!row.owningConstraint || /unique/i.test(row.type || ""),
+        "description": row.description || null
+    };
+};
+
+/**
+ * Normalise a constraint row to `{name, entityType, labels, properties, type, propertyType, description}`.
+ *
+ * @param {Object} row - a row of `listConstraints`
+ * @returns {Object}
+ */
+Dialect.prototype.parseConstraint = function (row) {
+    "use strict";
+    var description = row.description || row.details,
+        parsed = this.parseDescription(description);
+
+    return {
+        "name": row.name || null,
+        "entityType": row.entityType || (/\]-|-\[/.test(description || "") ? "RELATIONSHIP" : "NODE"),
+        "labels": row.labelsOrTypes || parsed.labels,
+        "properties": row.properties || parsed.properties,
+        "type": row.type || (/IS NODE KEY/i.test(description || "") ? "NODE_KEY" :
+            /IS UNIQUE/i.test(description || "") ? "UNIQUENESS" : "NODE_PROPERTY_EXISTENCE"),
+        "propertyType": row.propertyType || null,
+        "description": description || null
+    };
+};
+
+/**
+ * Build the expression of the server identifier of a node or relationship: `elementId()` from 5.0, which deprecates
+ * `id()`.
+ *
+ * @param {string} variable - the variable bound to the node or relationship
+ * @returns {string}
+ */
+Dialect.prototype.entityId = function (variable) {
+    "use strict";
+    return (this.atLeast(5) ? "elementId(" : "id(") + variable + ")";
+};
+
+/**
+ * Build a DROP INDEX statement for an index returned by `parseIndex`.
+ *
+ * @param {Object} index - the index
+ * @returns {string}
+ */
+Dialect.prototype.dropIndex = function (index) {
+    "use strict";
+    var self = this;
+
+    if (/fulltext/i.test(index.type || "") && !self.atLeast(4, 3)) {
+        // Created by a procedure, see `createFulltextIndex`
+        return "CALL db.index.fulltext.drop(" + self.quoteString(index.name) + ")";
+    }
+    if (self.namedSchema() && index.name) {
+        return "DROP INDEX " + self.quote(index.name);
+    }
+    return "DROP INDEX ON :" + self.quote(index.labels[0]) + "(" + index.properties.map(function (property) {
+        return self.quote(property);
+    }).join(", ") + ")";
+};
+
+/**
+ * Build a DROP CONSTRAINT statement for a constraint returned by `parseConstraint`.
+ *
+ * @param {Object} constraint - the constraint
+ * @returns {string}
+ */
+Dialect.prototype.dropConstraint = function (constraint) {
+    "use strict";
+    if (this.namedSchema() && constraint.name) {
+        return "DROP CONSTRAINT " + this.quote(constraint.name);
+    }
+    // Before 4.0 a constraint is dropped by repeating its definition
+    return "DROP " + constraint.description;
+};
+
+module.exports = Dialect;
@@ -0,0 +1,693 @@
+var Promise = require("bluebird");
+var debug = require("debug")("loopback:connector:neo4j-graph");
+
+/**
+ * Discovery: LoopBack's discovery methods describe the models of an existing graph, so that tools like
+ * `lb4 discover` can generate their definitions.
+ *
+ * - `discoverModelDefinitions` lists the labels, as tables, and the relationship types.
+ * - `discoverSchemas` builds the definition of the model of a label, or of the relationship model of a relationship
+ *   type, from the types of the property values of a sample of its nodes or relationships, and from its indexes and
+ *   constraints.
+ * - `discoverForeignKeys` and `discoverExportedForeignKeys` describe the relationships coming into and going out of
+ *   the nodes of a label as foreign keys, which `discoverSchemas` turns into relations persisted as relationships.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * The number of nodes or relationships sampled by default.
+     */
+    var DEFAULT_SAMPLE_SIZE = 1000;
+
+    /**
+     * The property definitions of the types named by `valueType()`.
+     */
+    var VALUE_TYPES = {
+        "STRING": {
+            "type": "string"
+        },
+        "INTEGER": {
+            "type": "number"
+        },
+        "FLOAT": {
+            "type": "number"
+        },
+        "BOOLEAN": {
+            "type": "boolean"
+        },
+        "ZONED DATETIME": {
+            "type": "date"
+        },
+        "LOCAL DATETIME": {
+            "type": "date",
+            "neo4j": {
+                "temporal": "localdatetime"
+            }
+        },
+        "DATE": {
+            "type": "date",
+            "neo4j": {
+                "temporal": "date"
+            }
+        },
+        "DURATION": {
+            "type": "number",
+            "neo4j": {
+                "temporal": "duration"
+            }
+        },
+        "ZONED TIME": {
+            "type": "string"
+        },
+        "LOCAL TIME": {
+            "type": "string"
+        },
+        "POINT": {
+            "type": "geopoint"
+        }
+    };
+
+    /**
+     * Convert a relationship type to camel case, e.g. "HAS_ADDRESS" to "hasAddress".
+     *
+     * @param {string} type - The relationship type
+     * @returns {string}
+     */
+    var camelCase = function (type) {
+        return type.toLowerCase().replace(/[^a-z0-9]+([a-z0-9])/g, function (match, letter) {
+            return letter.toUpperCase();
+        });
+    };
+
+    /**
+     * Get the default foreign key referring to a model, e.g. "customerId", see `Neo4j#relationshipModel`.
+     *
+     * @param {string} model - The model name
+     * @returns {string}
+     */
+    var foreignKey = function (model) {
+        return model.charAt(0).toLowerCase() + model.slice(1) + "Id";
+    };
+
+    /**
+     * Get the property definition of a type named by `valueType()`, e.g. "LIST<STRING NOT NULL> NOT NULL".
+     *
+     * @param {string} name - The type name
+     * @returns {Object}
+     */
+    var namedType = function (name) {
+        var list = null;
+
+        name = name.replace(/ NOT NULL$/, "");
+        list = /^LIST<(.*)>$/.exec(name);
+        if (list) {
+            return {
+                "type": [namedType(list[1]).type]
+            };
+        }
+        // A copy, the definition being completed with the indexes
+        return JSON.parse(JSON.stringify(VALUE_TYPES[name] || {
+            "type": "any"
+        }));
+    };
+
+    /**
+     * Merge property definitions: a single definition if they are all the same, `any` otherwise.
+     *
+     * @param {Object[]} definitions - The property definitions
+     * @returns {Object}
+     */
+    var mergeTypes = function (definitions) {
+        var distinct = {};
+
+        definitions.forEach(function (definition) {
+            distinct[JSON.stringify(definition)] = definition;
+        });
+        distinct = Object.keys(distinct).map(function (key) {
+            return distinct[key];
+        });
+        return 1 === distinct.length ? distinct[0] : {
+            "type": "any"
+        };
+    };
+
+    /**
+     * Infer the property definition of a value read, for the servers which cannot name value types. Temporal values
+     * are read as strings, so they are inferred as strings.
+     *
+     * @param {*} value - The value
+     * @returns {Object}
+     */
+    var valueTypeOf = function (value) {
+        if (Array.isArray(value)) {
+            return {
+                "type": [mergeTypes(value.map(valueTypeOf)).type]
+            };
+        }
+        if (value && "object" === typeof value) {
+            return {
+                "type": undefined !== value.srid || value.crs ? "geopoint" : "object"
+            };
+        }
+        return {
+            "type": "string" === typeof value || "number" === typeof value || "boolean" === typeof value ?
+                typeof value : "any"
+        };
+    };
+
+    /**
+     * Add a discovered property to the properties of a model. The properties of nested objects stored flattened have
+     * dotted names, they are added to an object property stored flattened, see `Neo4j#nestedStore`.
+     *
+     * @param {Object} properties - The properties of the model
+     * @param {string} name - The property name
+     * @param {Object} definition - The property definition
+     */
+    var addProperty = function (properties, name, definition) {
+        var path = name.split("."),
+            parent = properties,
+            index = 0;
+
+        for (index = 0; index < path.length - 1; index += 1) {
+            if (!parent[path[index]]) {
+                parent[path[index]] = {
+                    "type": {}
+                };
+                if (!index) {
+                    parent[path[index]].neo4j = {
+                        "store": "flatten"
+                    };
+                }
+            } else if (!parent[path[index]].type || "object" !== typeof parent[path[index]].type ||
+                Array.isArray(parent[path[index]].type)) {
+                // A property with the name of the object, keep the dotted name
+                properties[name] = definition;
+                return;
+            }
+            parent = parent[path[index]].type;
+        }
+        parent[path[index]] = definition;
+    };
+
+    /**
+     * Get the number of nodes or relationships to sample.
+     *
+     * @param {Object} options - The discovery options
+     * @returns {number}
+     * @throws {Error} with status code 400 if `sampleSize` is not a positive number
+     */
+    var sampleSize = function (options) {
+        var size = parseInt(options.sampleSize || DEFAULT_SAMPLE_SIZE, 10),
+            error = null;
+
+        if (!(size > 0)) {
+            error = new Error("Invalid sample size: " + JSON.stringify(options.sampleSize));
+            error.statusCode = 400;
+            throw error;
+        }
+        return size;
+    };
+
+    /**
+     * Run a query.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {string} query - The query
+     * @param {Object} [params] - The query parameters
+     * @returns {Promise} The rows
+     */
+    var run = function (self, query, params) {
+        return Promise.fromCallback(function (done) {
+            self.cypher({
+                "query": query,
+                "params": params || {}
+            }, {}, done);
+        });
+    };
+
+    /**
+     * Connect to the server unless connected, the queries depending on the server version.
+     *
+     * @param {Neo4j} self - The connector
+     * @returns {Promise}
+     */
+    var connected = function (self) {
+        return self.serverVersion ? Promise.resolve() : Promise.fromCallback(function (done) {
+            self.connect(done);
+        });
+    };
+
+    /**
+     * Hand the outcome of a promise to a callback outside of the promise chain, so errors thrown by the callback
+     * are not swallowed.
+     *
+     * @param {Promise} promise - The promise
+     * @param {Function} callback - The callback function
+     */
+    var settle = function (promise, callback) {
+        promise.then(function (value) {
+            process.nextTick(callback, null, value);
+        }, function (error) {
+            process.nextTick(callback, error);
+        });
+    };
+
+    /**
+     * Check whether an index or constraint applies to the nodes of a label or the relationships of a type.
+     *
+     * @param {Object} entry - The index or constraint, see `Dialect#parseIndex`
+     * @param {string} name - The label or relationship type
+     * @param {boolean} relationship - Whether the name is a relationship type
+     * @returns {boolean}
+     */
+    var appliesTo = function (entry, name, relationship) {
+        return (relationship ? "RELATIONSHIP" : "NODE") === entry.entityType && !!entry.labels &&
+            name === entry.labels[0] && entry.properties.length > 0;
+    };
+
+    /**
+     * Get the id property of a label: the property of its single property uniqueness constraint, "id" preferred.
+     *
+     * @param {string} name - The label or relationship type
+     * @param {boolean} relationship - Whether the name is a relationship type
+     * @param {Object[]} constraints - The constraints, see `Dialect#parseConstraint`
+     * @param {Object} [properties] - The discovered properties, to only consider those
+     * @returns {string} The id property, or null if none is found
+     */
+    var primaryKey = function (name, relationship, constraints, properties) {
+        var keys = constraints.filter(function (constraint) {
+            return appliesTo(constraint, name, relationship) && /UNIQUE|KEY/.test(constraint.type) &&
+                1 === constraint.properties.length && (!properties || properties[constraint.properties[0]]);
+        }).map(function (constraint) {
+            return constraint.properties[0];
+        });
+
+        if (keys.indexOf("id") >= 0 || (!keys.length && (!properties || properties.id))) {
+            return "id";
+        }
+        return keys[0] || null;
+    };
+
+    /**
+     * Sample the properties of the nodes of a label or the relationships of a type.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {string} name - The label or relationship type
+     * @param {boolean} relationship - Whether the name is a relationship type
+     * @param {number} size - The number of nodes or relationships to sample
+     * @returns {Promise} The properties, by name
+     */
+    var sampleProperties = function (self, name, relationship, size) {
+        var type = self.dialect.valueType("n[key]"),
+            pattern = relationship ? "()-[n:" + self.quote(name) + "]->()" : "(n:" + self.quote(name) + ")";
+
+        return run(self, "MATCH " + pattern + " WITH n LIMIT " + self.dialect.param("sample") +
+            " UNWIND keys(n) AS key RETURN key, " + (type ? "collect(DISTINCT " + type + ") AS types" :
+                "collect(n[key]) AS values") + " ORDER BY key", {
+            "sample": size
+        }).then(function (rows) {
+            var properties = {};
+
+            rows.forEach(function (row) {
+                // Empty lists tell nothing about the type of the items
+                var values = row.values && row.values.filter(function (value) {
+                    return !Array.isArray(value) || value.length;
+                });
+
+                addProperty(properties, row.key, mergeTypes(row.types ? row.types.map(namedType) :
+                    (values.length ? values : row.values).map(valueTypeOf)));
+            });
+            return properties;
+        });
+    };
+
+    /**
+     * Find the relationships coming into or going out of the nodes of a label, as foreign keys.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {string} label - The label
+     * @param {boolean} exported - Whether to find the relationships going out of the nodes
+     * @param {number} size - The number of relationships to sample
+     * @param {Object[]} constraints - The constraints, see `Dialect#parseConstraint`
+     * @returns {Promise} The foreign keys, see `DataSource#discoverForeignKeys`, with their `relationshipType`
+     */
+    var sampleForeignKeys = function (self, label, exported, size, constraints) {
+        var node = "(n:" + self.quote(label) + ")";
+
+        return run(self, "MATCH " + (exported ? node + "-[r]->(m)" : "(m)-[r]->" + node) + " WITH m, r LIMIT " +
+            self.dialect.param("sample") + " WITH type(r) AS type, head(labels(m)) AS label WHERE label IS NOT NULL " +
+            "RETURN DISTINCT type, label ORDER BY type, label", {
+            "sample": size
+        }).then(function (rows) {
+            return rows.map(function (row) {
+                var parent = exported ? label : row.label;
+
+                return {
+                    "fkOwner": null,
+                    "fkName": row.type,
+                    "fkTableName": exported ? row.label : label,
+                    "fkColumnName": foreignKey(parent),
+                    "keySeq": 1,
+                    "pkOwner": null,
+                    "pkName": null,
+                    "pkTableName": parent,
+                    "pkColumnName": primaryKey(parent, false, constraints) || "id",
+                    "relationshipType": row.type
+                };
+            });
+        });
+    };
+
+    /**
+     * Add the indexes and constraints of a label or relationship type to its model definition.
+     *
+     * @param {Object} schema - The model definition
+     * @param {string} name - The label or relationship type
+     * @param {boolean} relationship - Whether the name is a relationship type
+     * @param {Object[]} indexes - The indexes, see `Dialect#parseIndex`
+     * @param {Object[]} constraints - The constraints, see `Dialect#parseConstraint`
+     */
+    var addIndexes = function (schema, name, relationship, indexes, constraints) {
+        var properties = schema.properties,
+            composite = function (entry, options) {
+                var keys = {};
+
+                entry.properties.forEach(function (property) {
+                    keys[property] = 1;
+                });
+                schema.options.indexes = schema.options.indexes || {};
+                schema.options.indexes[entry.name || entry.properties.join("_")] = options ? {
+                    "keys": keys,
+                    "options": options
+                } : {
+                    "keys": keys
+                };
+            },
+            uniqueness = function (constraint) {
+                return /KEY/.test(constraint.type) ? {
+                    "key": true
+                } : {
+                    "unique": true
+                };
+            };
+
+        indexes.forEach(function (index) {
+            // Uniqueness constraints own their index, full-text and lookup indexes are not property indexes
+            if (!appliesTo(index, name, relationship) || index.unique || /LOOKUP|FULLTEXT/.test(index.type || "")) {
+                return;
+            }
+            if (1 < index.properties.length) {
+                composite(index, null);
+            } else if (properties[index.properties[0]] && "geopoint" !== properties[index.properties[0]].type) {
+                properties[index.properties[0]].index = true;
+            }
+        });
+        constraints.forEach(function (constraint) {
+            if (!appliesTo(constraint, name, relationship)) {
+                return;
+            }
+            if (/UNIQUE|KEY/.test(constraint.type)) {
+                if (1 < constraint.properties.length) {
+                    composite(constraint, uniqueness(constraint));
+                } else if (properties[constraint.properties[0]] && !properties[constraint.properties[0]].id) {
+                    properties[constraint.properties[0]].index = uniqueness(constraint);
+                }
+            }
+            if (constraint.propertyType) {
+                composite(constraint, {
+                    "propertyType": constraint.propertyType
+                });
+            }
+            if (/EXISTENCE|KEY/.test(constraint.type)) {
+                constraint.properties.forEach(function (property) {
+                    if (properties[property]) {
+                        properties[property].required = true;
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+     * Add the relations of a label to its model definition: a `belongsTo` relation per relationship coming into its
+     * nodes, named after the other label, and a `hasMany` relation per relationship going out of them, named after
+     * the relationship type. They are persisted as these relationships, see `Neo4j#relationSettings`.
+     *
+     * @param {Object} schema - The model definition
+     * @param {Object[]} foreignKeys - The foreign keys of the label
+     * @param {Object[]} exportedKeys - The exported foreign keys of the label
+     */
+    var addRelations = function (schema, foreignKeys, exportedKeys) {
+        var relations = {},
+            relationships = {},
+            add = function (name, alternative, relation, type) {
+                name = relations[name] ? alternative : name;
+                relations[name] = relation;
+                relationships[name] = {
+                    "type": type
+                };
+            };
+
+        foreignKeys.forEach(function (key) {
+            var name = key.pkTableName.charAt(0).toLowerCase() + key.pkTableName.slice(1);
+
+            add(name, name + key.fkName.charAt(0) + camelCase(key.fkName).slice(1), {
+                "type": "belongsTo",
+                "model": key.pkTableName,
+                "foreignKey": key.fkColumnName
+            }, key.fkName);
+        });
+        exportedKeys.forEach(function (key) {
+            add(camelCase(key.fkName), camelCase(key.fkName) + key.fkTableName, {
+                "type": "hasMany",
+                "model": key.fkTableName,
+                "foreignKey": key.fkColumnName
+            }, key.fkName);
+        });
+        if (Object.keys(relations).length) {
+            schema.options.relations = relations;
+            schema.options.neo4j.relationships = relationships;
+        }
+    };
+
+    /**
+     * Describe the relationships of the nodes of a label as foreign keys.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {string} label - The label
+     * @param {boolean} exported - Whether to describe the relationships going out of the nodes
+     * @param {Object} [options] - The discovery options
+     * @param {Function} callback - The callback function
+     */
+    var discoverKeys = function (self, label, exported, options, callback) {
+        if (!callback && "function" === typeof options) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        if (self.debug) {
+            debug("discoverKeys:label:%s,exported:%s,options:%j", label, exported, options);
+        }
+        settle(connected(self).then(function () {
+            return run(self, self.dialect.listConstraints());
+        }).then(function (rows) {
+            return sampleForeignKeys(self, label, exported, sampleSize(options), rows.map(function (row) {
+                return self.dialect.parseConstraint(row);
+            }));
+        }), callback);
+    };
+
+    /**
+     * List the labels, as tables, and the relationship types.
+     *
+     * @param {Object} [options] - The discovery options, `offset` and `limit` page the list
+     * @param {Function} callback - Called with an error and `[{type: "table"|"relationship", name, owner}]`
+     */
+    Neo4j.prototype.discoverModelDefinitions = function (options, callback) {
+        var self = this;
+
+        if (!callback && "function" === typeof options) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        if (self.debug) {
+            debug("discoverModelDefinitions:options:%j", options);
+        }
+        settle(connected(self).then(function () {
+            return Promise.all([
+                run(self, "CALL db.labels() YIELD label RETURN label AS name ORDER BY name"),
+                run(self, "CALL db.relationshipTypes() YIELD relationshipType RETURN relationshipType AS name " +
+                    "ORDER BY name")
+            ]);
+        }).then(function (results) {
+            var offset = parseInt(options.offset || options.skip, 10) || 0,
+                limit = parseInt(options.limit, 10) || 0,
+                definitions = results[0].map(function (row) {
+                    return {
+                        "type": "table",
+                        "name": row.name,
+                        "owner": null
+                    };
+                }).concat(results[1].map(function (row) {
+                    return {
+                        "type": "relationship",
+                        "name": row.name,
+                        "owner": null
+                    };
+                }));
+
+            return definitions.slice(offset, limit ? offset + limit : undefined);
+        }), callback);
+    };
+
+    /**
+     * Describe the relationships coming into the nodes of a label as foreign keys: the nodes at their start are the
+     * parents, e.g. `(:Customer)-[:PLACED]->(:Order)` is the foreign key `customerId` of `Order`.
+     *
+     * @param {string} label - The label
+     * @param {Object} [options] - The discovery options, `sampleSize` is the number of relationships sampled
+     * @param {Function} callback - Called with an error and the foreign keys, see `DataSource#discoverForeignKeys`
+     */
+    Neo4j.prototype.discoverForeignKeys = function (label, options, callback) {
+        discoverKeys(this, label, false, options, callback);
+    };
+
+    /**
+     * Describe the relationships going out of the nodes of a label as the foreign keys of the labels at their end.
+     *
+     * @param {string} label - The label
+     * @param {Object} [options] - The discovery options, `sampleSize` is the number of relationships sampled
+     * @param {Function} callback - Called with an error and the foreign keys, see `DataSource#discoverForeignKeys`
+     */
+    Neo4j.prototype.discoverExportedForeignKeys = function (label, options, callback) {
+        discoverKeys(this, label, true, options, callback);
+    };
+
+    /**
+     * Build the definition of a label or relationship type, and with `relations` those of the labels it refers to.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {string} name - The label or relationship type
+     * @param {Object} options - The discovery options
+     * @param {Object} visited - The definitions built so far by label or relationship type, extended with the new ones
+     * @returns {Promise}
+     */
+    var discoverSchema = function (self, name, options, visited) {
+        var relationship = false,
+            follow = !!(options.relations || options.associations),
+            size = 0,
+            constraints = [];
+
+        return connected(self).then(function () {
+            size = sampleSize(options);
+            return Promise.fromCallback(function (done) {
+                self.discoverModelDefinitions({}, done);
+            });
+        }).then(function (definitions) {
+            var found = definitions.filter(function (definition) {
+                    return name === definition.name;
+                })[0],
+                error = null;
+
+            if (!found) {
+                error = new Error("No label or relationship type " + JSON.stringify(name));
+                error.statusCode = 404;
+                throw error;
+            }
+            relationship = "relationship" === found.type;
+            return Promise.all([
+                sampleProperties(self, name, relationship, size),
+                run(self, self.dialect.listIndexes()),
+                run(self, self.dialect.listConstraints())
+            ]);
+        }).then(function (results) {
+            var properties = results[0],
+                indexes = results[1].map(function (row) {
+                    return self.dialect.parseIndex(row);
+                });
+
+            constraints = results[2].map(function (row) {
+                return self.dialect.parseConstraint(row);
+            });
+            return Promise.all([
+                properties,
+                indexes,
+                relationship ? run(self, "MATCH (a)-[n:" + self.quote(name) + "]->(b) WITH a, b LIMIT " +
+                    self.dialect.param("sample") + " RETURN head(labels(a)) AS from, head(labels(b)) AS to, " +
+                    "count(*) AS count ORDER BY count DESC", {
+                    "sample": size
+                }) : [],
+                follow && !relationship ? sampleForeignKeys(self, name, false, size, constraints) : [],
+                follow && !relationship ? sampleForeignKeys(self, name, true, size, constraints) : []
+            ]);
+        }).then(function (results) {
+            var properties = results[0],
+                idName = primaryKey(name, relationship, constraints, properties),
+                // The most frequent labels at the ends of the relationships
+                ends = results[2][0],
+                schema = {
+                    "name": relationship ? name.charAt(0) + camelCase(name).slice(1) : name,
+                    "options": {
+                        "idInjection": !idName,
+                        "neo4j": relationship ? {
+                            "relationship": ends && ends.from && ends.to ? {
+                                "type": name,
+                                "from": ends.from,
+                                "to": ends.to
+                            } : {
+                                "type": name
+                            }
+                        } : {
+                            "label": name
+                        }
+                    },
+                    "properties": properties
+                };
+
+            if (idName) {
+                properties[idName].id = true;
+            }
+            addIndexes(schema, name, relationship, results[1], constraints);
+            addRelations(schema, results[3], results[4]);
+            visited[name] = schema;
+            return Promise.each(results[3], function (key) {
+                return visited[key.pkTableName] ? null : discoverSchema(self, key.pkTableName, options, visited);
+            });
+        });
+    };
+
+    /**
+     * Build the model definition of a label, or the relationship model of a relationship type, named after the
+     * type in Pascal case. With `relations` (or `associations`) the definitions of the labels at the start of the
+     * relationships coming into its nodes are built too.
+     *
+     * The properties and their types are those of a sample of the nodes or relationships, `sampleSize` of them.
+     * Neo4j 5.13 and later name the types of the values, so temporal values are recognised, older servers infer
+     * them from the values read. The indexes and constraints give the id, `index` and `required` settings of the
+     * properties, and the composite indexes.
+     *
+     * @param {string} name - The label or relationship type
+     * @param {Object} [options] - The discovery options
+     * @param {Function} callback - Called with an error and the definitions by label or relationship type
+     */
+    Neo4j.prototype.discoverSchemas = function (name, options, callback) {
+        var self = this,
+            visited = {};
+
+        if (!callback && "function" === typeof options) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        if (self.debug) {
+            debug("discoverSchemas:name:%s,relations:%s", name, !!(options.relations || options.associations));
+        }
+        settle(discoverSchema(self, name, options, visited).then(function () {
+            return visited;
+        }), callback);
+    };
+};
@@ -0,0 +1,148 @@
+var debug = require("debug")("loopback:connector:neo4j-graph");
+
+/**
+ * Errors: the errors reported by the server or the transport are given the HTTP status code LoopBack responds with
+ * and a `retryable` flag, telling whether running the same statement again may succeed. Constraint violations become
+ * 409 errors naming the offending `label`, `property` and `value` when the message gives them away, invalid statements
+ * 400 errors and an unavailable server or a transient failure 503 errors.
+ *
+ * The errors are decorated in place, so their class, message and code are the ones of the transport.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * Status codes by Neo4j status code prefix, the longest matching prefix wins.
+     */
+    var STATUS_CODES = {
+        "Neo.ClientError.Schema.ConstraintValidationFailed": 409,
+        "Neo.ClientError.Schema.ConstraintViolation": 409,
+        "Neo.ClientError.Schema.ConstraintAlreadyExists": 409,
+        "Neo.ClientError.Schema.IndexAlreadyExists": 409,
+        "Neo.ClientError.Schema.EquivalentSchemaRuleAlreadyExists": 409,
+        "Neo.ClientError.Schema.ConstraintCreationFailed": 409,
+        "Neo.DatabaseError.Schema.ConstraintCreationFailed": 409,
+        "Neo.ClientError.Statement": 400,
+        "Neo.ClientError.Request": 400,
+        "Neo.ClientError.Schema": 400,
+        "Neo.ClientError.Security.Unauthorized": 401,
+        "Neo.ClientError.Security.AuthenticationRateLimit": 401,
+        "Neo.ClientError.Security": 403,
+        "Neo.ClientError.Cluster.NotALeader": 503,
+        "Neo.ClientError.General.ForbiddenOnReadOnlyDatabase": 503,
+        "Neo.ClientError.Database.DatabaseNotFound": 404,
+        "Neo.TransientError": 503,
+        "Neo.ClientError": 400,
+        "Neo.DatabaseError": 500
+    };
+
+    /**
+     * Neo4j status codes which can be retried although they are not transient errors, and transient errors which
+     * cannot, the transaction having been stopped on purpose. This is what the official drivers do.
+     */
+    var RETRYABLE = {
+        "Neo.ClientError.Cluster.NotALeader": true,
+        "Neo.ClientError.General.ForbiddenOnReadOnlyDatabase": true,
+        "Neo.TransientError.Transaction.Terminated": false,
+        "Neo.TransientError.Transaction.LockClientStopped": false
+    };
+
+    /**
+     * Codes of the errors met when the server cannot be reached: driver codes and Node.js system error codes.
+     */
+    var UNAVAILABLE = ["ServiceUnavailable", "SessionExpired", "ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "EPIPE",
+        "ENOTFOUND", "EHOSTUNREACH", "EAI_AGAIN"];
+
+    /**
+     * Get the Neo4j status code of an error, e.g. "Neo.ClientError.Schema.ConstraintValidationFailed". The REST
+     * client keeps it in `error.neo4j`, the driver in `error.code`.
+     *
+     * @param {Error} error - The error
+     * @returns {string} The status code, or an empty string for errors not reported by the server
+     */
+    var statusCode = function (error) {
+        var code = (error.neo4j && error.neo4j.code) || error.code;
+
+        return "string" === typeof code && /^Neo\./.test(code) ? code : "";
+    };
+
+    /**
+     * Parse a value quoted in a constraint violation message, e.g. `'abc'` or `42`.
+     *
+     * @param {string} text - The value as printed by the server
+     * @returns {*}
+     */
+    var parseValue = function (text) {
+        var quoted = /^'([\s\S]*)'$/.exec(text);
+
+        if (quoted) {
+            return quoted[1].replace(/\\(.)/g, "$1");
+        }
+        if (/^-?\d+(\.\d+)?$/.test(text)) {
+            return Number(text);
+        }
+        return text;
+    };
+
+    /**
+     * Find the label or relationship type, the property and the value a constraint violation is about, e.g. from
+     * "Node(0) already exists with label `Post` and property `id` = 'abc'".
+     *
+     * @param {Error} error - The error
+     * @param {string} message - The message of the server
+     */
+    var describeViolation = function (error, message) {
+        var match = /\b(?:label|type) `((?:[^`]|``)+)`/.exec(message);
+
+        if (match) {
+            error.label = match[1].replace(/``/g, "`");
+        }
+        match = /\bpropert(?:y|ies) \(?`((?:[^`]|``)+)`(?: = ('(?:[^'\\]|\\.)*'|[^,\s)]+))?/.exec(message);
+        if (match) {
+            error.property = match[1].replace(/``/g, "`");
+            if (undefined !== match[2]) {
+                error.value = parseValue(match[2]);
+            }
+        }
+    };
+
+    /**
+     * Give an error reported by the server or the transport a status code and a `retryable` flag, see the module
+     * documentation. Errors which already have a status code, like the ones of the connector, are left as they are.
+     *
+     * @param {Error} error - The error, may be null
+     * @returns {Error} The same error
+     */
+    Neo4j.prototype.translateError = function (error) {
+        var code = "",
+            prefix = "";
+
+        if (!error || "object" !== typeof error || undefined !== error.statusCode) {
+            return error;
+        }
+        code = statusCode(error);
+        if (code) {
+            prefix = code;
+            while (prefix && !STATUS_CODES[prefix]) {
+                prefix = prefix.slice(0, Math.max(prefix.lastIndexOf("."), 0));
+            }
+            error.statusCode = STATUS_CODES[prefix] || 500;
+            error.retryable = undefined !== RETRYABLE[code] ? RETRYABLE[code] : /^Neo\.TransientError\./.test(code);
+            if (409 === error.statusCode) {
+                describeViolation(error, (error.neo4j && error.neo4j.message) || error.message || "");
+            }
+        } else if (UNAVAILABLE.indexOf(error.code) !== -1 || /^503 /.test(error.message || "")) {
+            error.statusCode = 503;
+            error.retryable = true;
+        } else {
+            return error;
+        }
+        if (this.debug) {
+            debug("translateError:code:%s,statusCode:%d,retryable:%s", code || error.code, error.statusCode,
+                error.retryable);
+        }
+        return error;
+    };
+};
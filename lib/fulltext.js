@@ -0,0 +1,187 @@
+/**
+ * Full-text search: full-text indexes declared on models, created by `autoupdate`, and the `search` where operator
+ * querying them.
+ *
+ * A property is indexed on its own by an `index` setting with `fulltext`, several properties together by a model
+ * index with the `fulltext` option:
+ *
+ *     "properties": {
+ *         "title": {"type": "string", "index": {"fulltext": true, "analyzer": "english"}}
+ *     },
+ *     "indexes": {
+ *         "catalogue_text": {"keys": {"title": 1, "description": 1}, "options": {"fulltext": true}}
+ *     }
+ *
+ * `{where: {title: {search: "graph db"}}}` becomes `CALL db.index.fulltext.queryNodes($index, $query) YIELD node AS n,
+ * score AS n_score WHERE n:Label`, the other conditions applying to the nodes found. The text is a Lucene query,
+ * restricted to the property when the index covers other properties too. The instances found get their relevance
+ * score as `_score`, which they are sorted by unless another order is given.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * The property exposing the relevance score of the instances found by a search.
+     */
+    var SCORE = "_score";
+
+    /**
+     * Create the error reported for an invalid search.
+     *
+     * @param {string} message - The error message
+     * @returns {Error}
+     */
+    var invalidSearch = function (message) {
+        var error = new Error(message);
+
+        error.statusCode = 400;
+        return error;
+    };
+
+    /**
+     * Escape the characters of a Lucene field name which have a meaning in the query syntax.
+     *
+     * @param {string} field - The field name
+     * @returns {string}
+     */
+    var escapeField = function (field) {
+        return field.replace(/[+\-&|!(){}[\]^"~*?:\\/\s]/g, "\\$&");
+    };
+
+    /**
+     * Check whether an index setting asks for a full-text index: `{fulltext: true}`, or `{options: {fulltext: true}}`
+     * for a model index.
+     *
+     * @param {*} index - The index setting
+     * @returns {boolean}
+     */
+    Neo4j.prototype.isFulltextIndex = function (index) {
+        return !!index && "object" === typeof index && !!(index.fulltext || (index.options && index.options.fulltext));
+    };
+
+    /**
+     * Get the full-text indexes of a model, see `Dialect#createIndex`.
+     *
+     * @param {string} model - The model name
+     * @returns {Object[]} `[{kind: "fulltext", entityType: "NODE", name, label, properties, analyzer}]`
+     */
+    Neo4j.prototype.fulltextIndexes = function (model) {
+        var self = this,
+            definition = self.getModelDefinition(model),
+            indexes = definition.settings.indexes,
+            result = [],
+            add = function (name, properties, settings) {
+                result.push({
+                    "kind": "fulltext",
+                    "entityType": "NODE",
+                    "name": name || self.dialect.schemaName({
+                        "kind": "fulltext",
+                        "label": self.label(model),
+                        "properties": properties
+                    }),
+                    "label": self.label(model),
+                    "properties": properties,
+                    "analyzer": settings.analyzer || (settings.options && settings.options.analyzer) || null
+                });
+            };
+
+        if (self.relationshipModel(model)) {
+            return result;
+        }
+        Object.keys(definition.properties).forEach(function (property) {
+            var index = definition.properties[property].index;
+
+            if (self.isFulltextIndex(index)) {
+                add(index.name, [property], index);
+            }
+        });
+        if (indexes && "object" === typeof indexes && !Array.isArray(indexes)) {
+            Object.keys(indexes).forEach(function (name) {
+                if (self.isFulltextIndex(indexes[name]) && indexes[name].keys) {
+                    add(name, Object.keys(indexes[name].keys), indexes[name]);
+                }
+            });
+        }
+        return result;
+    };
+
+    /**
+     * Build the source of the instances matching a `search` condition: the call of the full-text index covering the
+     * property, the index of the property alone preferred.
+     *
+     * @param {string} model - The model name
+     * @param {string} property - The property name
+     * @param {string} text - The Lucene query
+     * @param {string} name - The name of the query parameter
+     * @param {Object} params - The query parameters
+     * @param {string} [alias] - The variable to bind the nodes to, "n" by default
+     * @returns {Object} `{query, score, property}`, the clause binding the nodes to the alias, the variable bound to
+     * their relevance score and the property exposing it
+     * @throws {Error} with status code 400 if no full-text index covers the property or the text is not a string
+     */
+    Neo4j.prototype.buildSearch = function (model, property, text, name, params, alias) {
+        var self = this,
+            index = self.fulltextIndexes(model).filter(function (entry) {
+                return -1 !== entry.properties.indexOf(property);
+            }).sort(function (a, b) {
+                return a.properties.length - b.properties.length;
+            })[0];
+
+        if (!index) {
+            throw invalidSearch("No full-text index of " + model + " covers " + property);
+        }
+        if ("string" !== typeof text || !text.trim()) {
+            throw invalidSearch("The search of " + property + " is not a query: " + JSON.stringify(text));
+        }
+        alias = alias || "n";
+        params[name + "_index"] = index.name;
+        params[name] = 1 === index.properties.length ? text : escapeField(property) + ":(" + text + ")";
+        return {
+            "query": "CALL db.index.fulltext.queryNodes(" + self.dialect.param(name + "_index") + ", " +
+                self.dialect.param(name) + ") YIELD node AS " + alias + ", score AS " + alias + "_score" +
+                self.edgeKeyProjection(model, alias, [alias + "_score"]),
+            "score": alias + "_score",
+            "property": SCORE
+        };
+    };
+
+    /**
+     * Keep the `search` conditions on a model with full-text indexes from being coerced by LoopBack, which converts
+     * the values of the operators it does not know to the property type, turning `{search: "db"}` into
+     * "[object Object]".
+     *
+     * @param {Function} Model - The model class
+     */
+    Neo4j.prototype.defineSearch = function (Model) {
+        var coerce = Model._coerce;
+
+        if (!this.fulltextIndexes(Model.modelName).length) {
+            return;
+        }
+        // `and` and `or` clauses are coerced by recursive calls, which come here too
+        Model._coerce = function (where) {
+            var searches = {};
+
+            if (where && "object" === typeof where) {
+                Object.keys(where).forEach(function (key) {
+                    var cond = where[key];
+
+                    if (cond && "Object" === cond.constructor.name && Object.prototype.hasOwnProperty.call(cond,
+                        "search")) {
+                        searches[key] = cond;
+                        delete where[key];
+                    }
+                });
+            }
+            try {
+                return coerce.apply(this, arguments);
+            } finally {
+                Object.keys(searches).forEach(function (key) {
+                    where[key] = searches[key];
+                });
+            }
+        };
+    };
+};
@@ -0,0 +1,99 @@
+/**
+ * Identifiers: every label, relationship type and property name put into a query is quoted by `Dialect#quote`, so
+ * names coming from a filter (`where`, `order`, `fields`) cannot inject Cypher. Variables are generated by the
+ * connector; those derived from property names are quoted when they are not plain identifiers.
+ *
+ * Models with a truthy `strict` setting only accept their own properties in filters, unknown ones are rejected with
+ * status code 400 instead of being looked up.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * Names which can be used as they are for variables and parameters.
+     */
+    var PLAIN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+    /**
+     * Quote an identifier, see `Dialect#quote`.
+     *
+     * @param {string} name - The label, relationship type or property name
+     * @returns {string}
+     * @throws {Error} with status code 400 if the name is invalid
+     */
+    Neo4j.prototype.quote = function (name) {
+        return this.dialect.quote(name);
+    };
+
+    /**
+     * Build a Cypher string literal.
+     *
+     * @param {string} text - The text
+     * @returns {string}
+     */
+    Neo4j.prototype.quoteString = function (text) {
+        return this.dialect.quoteString(text);
+    };
+
+    /**
+     * Get the quoted label of a model, to put into a query.
+     *
+     * @param {string} model - The model name
+     * @returns {string}
+     */
+    Neo4j.prototype.quotedLabel = function (model) {
+        return this.dialect.quote(this.label(model));
+    };
+
+    /**
+     * Reference a variable, quoted unless it is a plain identifier.
+     *
+     * @param {string} name - The variable name
+     * @returns {string}
+     */
+    Neo4j.prototype.variable = function (name) {
+        return PLAIN.test(name) ? name : this.dialect.quote(name);
+    };
+
+    /**
+     * Build a unique parameter name for a condition on a property, readable in the debug output when the property
+     * name is a plain identifier.
+     *
+     * @param {string} property - The property name
+     * @param {string} suffix - A unique suffix
+     * @returns {string}
+     */
+    Neo4j.prototype.paramName = function (property, suffix) {
+        return (PLAIN.test(property) ? property : "p") + suffix;
+    };
+
+    /**
+     * Check that a property named in a filter can be queried: it must be a valid identifier and, for strict models,
+     * a property of the model. A dotted path like `address.city` names a property of a nested property stored
+     * flattened, see `Neo4j#nestedStore`.
+     *
+     * @param {string} model - The model name
+     * @param {string} property - The property name
+     * @throws {Error} with status code 400 if the property is invalid or unknown
+     */
+    Neo4j.prototype.checkProperty = function (model, property) {
+        var definition = model ? this.getModelDefinition(model) : null,
+            root = String(property).split(".")[0],
+            store = definition && root !== property ? this.nestedStore(model, root) : null,
+            error = null;
+
+        this.dialect.quote(property);
+        if ("json" === store) {
+            error = new Error("The property " + root + " of " + model + " is stored as JSON, its nested properties " +
+                "cannot be queried");
+        } else if (definition && definition.settings.strict && !definition.properties[property] && !store) {
+            error = new Error("Unknown property " + JSON.stringify(property) + " of the strict model " + model);
+        }
+        if (error) {
+            error.statusCode = 400;
+            throw error;
+        }
+    };
+};
@@ -0,0 +1,305 @@
+/**
+ * Include compilation: resolves `filter.include` within the query fetching the parent instances.
+ *
+ * Each included relation is matched with `OPTIONAL MATCH` and aggregated back to one row per parent with `collect()`,
+ * nested includes being aggregated first, so the query returns the whole tree at once:
+ *
+ *     MATCH (n:Customer) WITH n ORDER BY n.name LIMIT $limit
+ *     OPTIONAL MATCH (n_0:Order) WHERE n_0.customerId = n.id
+ *     OPTIONAL MATCH (n_0_0:OrderLine) WHERE n_0_0.orderId = n_0.id
+ *     WITH n, n_0, collect(CASE WHEN n_0_0 IS NOT NULL THEN {n: n_0_0} END) AS n_0_0_list
+ *     WITH n, collect(CASE WHEN n_0 IS NOT NULL THEN {n: n_0, `n_include_lines`: n_0_0_list} END) AS n_0_list
+ *     RETURN n, n_0_list AS `n_include_orders` ORDER BY n.name
+ *
+ * The scope `where` of an include is applied while collecting, `order` before collecting and `skip`/`limit` by slicing
+ * the collected list. `hasMany`, `hasOne`, `belongsTo` and `hasMany` through relations between models of the same data
+ * source are compiled; any other include is resolved by LoopBack with one query per relation.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * Normalise an include filter to a list of `{relation, scope}`.
+     *
+     * @param {String|Object|Array} include - The include filter
+     * @returns {Object[]}
+     */
+    var normalizeInclude = function (include) {
+        var list = [];
+
+        if ("string" === typeof include) {
+            return [{
+                "relation": include,
+                "scope": {}
+            }];
+        }
+        if (Array.isArray(include)) {
+            include.forEach(function (entry) {
+                list = list.concat(normalizeInclude(entry));
+            });
+            return list;
+        }
+        if (include && "object" === typeof include) {
+            if (include.relation) {
+                return [{
+                    "relation": include.relation,
+                    "scope": include.scope || {}
+                }];
+            }
+            Object.keys(include).forEach(function (name) {
+                list.push({
+                    "relation": name,
+                    "scope": include[name] && true !== include[name] ? {"include": include[name]} : {}
+                });
+            });
+        }
+        return list;
+    };
+
+    /**
+     * Merge the scope of an include with the scope of the relation definition.
+     *
+     * @param {Object} relation - The relation definition
+     * @param {Object} scope - The include scope
+     * @returns {Object} The merged scope or null if the relation scope cannot be compiled
+     */
+    var mergeScope = function (relation, scope) {
+        var merged = {},
+            defined = relation.scope || {};
+
+        if ("function" === typeof defined) {
+            return null;
+        }
+        ["order", "skip", "limit", "fields", "include"].forEach(function (key) {
+            merged[key] = undefined !== scope[key] ? scope[key] : defined[key];
+        });
+        if (defined.where && scope.where) {
+            merged.where = {
+                "and": [defined.where, scope.where]
+            };
+        } else {
+            merged.where = defined.where || scope.where;
+        }
+        return merged;
+    };
+
+    /**
+     * Build the OPTIONAL MATCH clause binding the instances related to a parent.
+     *
+     * @param {string} model - The parent model name
+     * @param {string} alias - The variable bound to the parent
+     * @param {Object} relation - The relation definition
+     * @param {string} child - The variable to bind the related instances to
+     * @returns {string} The clause or null if the relation cannot be compiled
+     */
+    Neo4j.prototype.includeJoin = function (model, alias, relation, child) {
+        var self = this,
+            modelTo = relation.modelTo && relation.modelTo.modelName,
+            through = relation.modelThrough && relation.modelThrough.modelName,
+            edge = null,
+            relationship = null,
+            label = "";
+
+        if (relation.polymorphic || !self._models[modelTo] || self.relationshipModel(modelTo)) {
+            return null;
+        }
+        label = self.quotedLabel(modelTo);
+        if ("belongsTo" === relation.type) {
+            edge = self.edgeKeys(model)[relation.keyFrom];
+            if (edge && edge.model === modelTo && edge.property === relation.keyTo) {
+                return "OPTIONAL MATCH (" + alias + ")<-[:" + self.quote(edge.type) + "]-(" + child + ":" + label + ")";
+            }
+            if (self.virtualKeys(modelTo).indexOf(relation.keyTo) !== -1) {
+                return null;
+            }
+            return "OPTIONAL MATCH (" + child + ":" + label + ") WHERE " + self.propertyRef(modelTo, relation.keyTo,
+                child) + " = " + self.propertyRef(model, relation.keyFrom, alias);
+        }
+        if ("hasMany" !== relation.type && "hasOne" !== relation.type) {
+            return null;
+        }
+        if (!through) {
+            edge = self.edgeKeys(modelTo)[relation.keyTo];
+            if (edge && edge.model === model && edge.property === relation.keyFrom) {
+                return "OPTIONAL MATCH (" + alias + ")-[:" + self.quote(edge.type) + "]->(" + child + ":" + label + ")";
+            }
+            if (self.virtualKeys(modelTo).indexOf(relation.keyTo) !== -1) {
+                return null;
+            }
+            return "OPTIONAL MATCH (" + child + ":" + label + ") WHERE " + self.propertyRef(modelTo, relation.keyTo,
+                child) + " = " + self.propertyRef(model, relation.keyFrom, alias);
+        }
+        if (!self._models[through]) {
+            return null;
+        }
+        relationship = self.relationshipModel(through);
+        if (relationship) {
+            if (relationship.from.model === model && relationship.from.key === relation.keyTo &&
+                relationship.from.property === relation.keyFrom && relationship.to.key === relation.keyThrough) {
+                return "OPTIONAL MATCH (" + alias + ")-[:" + self.quote(relationship.type) + "]->(" + child + ":" +
+                    label + ")";
+            }
+            if (relationship.to.model === model && relationship.to.key === relation.keyTo &&
+                relationship.to.property === relation.keyFrom && relationship.from.key === relation.keyThrough) {
+                return "OPTIONAL MATCH (" + alias + ")<-[:" + self.quote(relationship.type) + "]-(" + child + ":" +
+                    label + ")";
+            }
+            return null;
+        }
+        if (self.virtualKeys(through).length) {
+            return null;
+        }
+        return "OPTIONAL MATCH (" + child + "_t:" + self.quotedLabel(through) + ") WHERE " +
+            self.propertyRef(through, relation.keyTo, child + "_t") + " = " + self.propertyRef(model, relation.keyFrom,
+                alias) + " OPTIONAL MATCH (" + child + ":" + label + ") WHERE " +
+            self.propertyRef(modelTo, self.getIdName(modelTo), child) + " = " +
+            self.propertyRef(through, relation.keyThrough, child + "_t");
+    };
+
+    /**
+     * Compile an include filter into clauses which bind one variable per included relation, holding the collected
+     * related instances. The clauses keep the `carry` variables in scope and the row count unchanged.
+     *
+     * @param {string} model - The model name
+     * @param {string} alias - The variable bound to the model's instances
+     * @param {string[]} carry - The variables in scope which must be kept
+     * @param {String|Object|Array} include - The include filter
+     * @param {Object} params - The query parameters, extended with the parameters of the include scopes
+     * @returns {Object} `{query, columns: [{relation, variable}]}` or null if the include cannot be compiled
+     */
+    Neo4j.prototype.buildInclude = function (model, alias, carry, include, params) {
+        var self = this,
+            relations = self.getModelDefinition(model).model.relations || {},
+            includes = normalizeInclude(include),
+            query = "",
+            columns = [],
+            index = 0,
+            relation = {},
+            scope = {},
+            child = "",
+            modelTo = "",
+            join = "",
+            variables = [],
+            nested = {},
+            where = {},
+            value = "",
+            list = "",
+            skip = 0;
+
+        for (index = 0; index < includes.length; index += 1) {
+            relation = relations[includes[index].relation];
+            scope = relation ? mergeScope(relation, includes[index].scope) : null;
+            child = alias + "_" + index;
+            join = scope ? self.includeJoin(model, alias, relation, child) : null;
+            if (!join) {
+                return null;
+            }
+            modelTo = relation.modelTo.modelName;
+            variables = self.matchVariables(modelTo, child);
+            query += " " + join + self.edgeKeyProjection(modelTo, child, carry);
+            nested = {
+                "query": "",
+                "columns": []
+            };
+            if (scope.include) {
+                nested = self.buildInclude(modelTo, child, carry.concat(variables), scope.include, params);
+                if (!nested) {
+                    return null;
+                }
+            }
+            query += nested.query;
+            variables = variables.concat(nested.columns.map(function (column) {
+                return column.variable;
+            }));
+
+            value = "CASE WHEN " + child + " IS NOT NULL";
+            where = scope.where ? self.buildWhere(scope.where, modelTo, child) : {};
+            if (where.query) {
+                value += " AND (" + where.query.trim() + ")";
+                Object.keys(where.params).forEach(function (key) {
+                    params[key] = where.params[key];
+                });
+            }
+            value += " THEN {n: " + child + self.virtualKeys(modelTo).map(function (key) {
+                return ", " + self.quote("n_" + key) + ": " + self.propertyRef(modelTo, key, child);
+            }).join("") + nested.columns.map(function (column) {
+                return ", " + self.quote("n_include_" + column.relation) + ": " + column.variable;
+            }).join("") + "} END";
+
+            if (scope.order) {
+                query += " WITH " + carry.concat(variables).join(", ") + " ORDER BY" +
+                    self.buildSort(scope.order, modelTo, child);
+            }
+            list = "collect(" + value + ")";
+            if (!relation.multiple) {
+                list = "head(" + list + ")";
+            } else if (scope.skip || scope.limit) {
+                skip = parseInt(scope.skip, 10) || 0;
+                params[child + "_skip"] = skip;
+                list += "[" + self.dialect.param(child + "_skip") + "..";
+                if (scope.limit) {
+                    params[child + "_end"] = skip + parseInt(scope.limit, 10);
+                    list += self.dialect.param(child + "_end");
+                }
+                list += "]";
+            }
+            query += " WITH " + carry.concat(list + " AS " + child + "_list").join(", ");
+            carry = carry.concat(child + "_list");
+            columns.push({
+                "relation": includes[index].relation,
+                "variable": child + "_list"
+            });
+        }
+        return {
+            "query": query,
+            "columns": columns
+        };
+    };
+
+    /**
+     * Build the related model instances of a row returned by a query compiled with `buildInclude`.
+     *
+     * @param {string} model - The model name
+     * @param {Object} row - The row, holding the related instances under `n_include_<relation>`
+     * @param {String|Object|Array} include - The include filter
+     * @returns {Object} The related instances keyed by relation name, as LoopBack caches them
+     */
+    Neo4j.prototype.includedRelations = function (model, row, include) {
+        var self = this,
+            relations = self.getModelDefinition(model).model.relations || {},
+            cached = {};
+
+        normalizeInclude(include).forEach(function (entry) {
+            var relation = relations[entry.relation],
+                scope = mergeScope(relation, entry.scope),
+                ModelTo = relation.modelTo,
+                value = row["n_include_" + entry.relation],
+                build = function (related) {
+                    var data = self.toData(ModelTo.modelName, related),
+                        nested = scope.include ? self.includedRelations(ModelTo.modelName, related, scope.include) : {},
+                        instance = {};
+
+                    data.__cachedRelations = nested;
+                    instance = new ModelTo(data, {
+                        "fields": scope.fields ? self.fieldNames(scope.fields) : undefined,
+                        "applySetters": false,
+                        "persisted": true
+                    });
+                    Object.keys(nested).forEach(function (name) {
+                        // Expose nested includes like LoopBack does
+                        instance.__data[name] = nested[name];
+                    });
+                    return instance;
+                };
+
+            if (Array.isArray(value)) {
+                cached[entry.relation] = value.map(build);
+            } else {
+                cached[entry.relation] = value ? build(value) : null;
+            }
+        });
+        return cached;
+    };
+};
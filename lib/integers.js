@@ -0,0 +1,183 @@
+/**
+ * 64-bit integers: Neo4j integers have 64 bits while JavaScript numbers only represent integers exactly up to 2^53.
+ * An integer policy tells how integers are read:
+ *
+ * - `number` (default): as numbers, integers out of that range failing with an overflow error rather than being
+ *   rounded.
+ * - `string`: as decimal strings.
+ * - `bigint`: as `BigInt` values.
+ *
+ * The `integers` data source setting is the policy of the counts returned by `count`, `destroyAll` and `updateAll`.
+ * A property whose `neo4j` settings have `integer`, either `true` for the data source policy or a policy name, is a
+ * 64-bit integer: its values are sent as decimal strings converted by `toInteger()`, so that they are stored exactly
+ * whatever the transport, and read with its policy. The integers out of range Bolt reads for other `Number` properties
+ * fail with an overflow error, their floats being read as they are whatever their value.
+ *
+ * The REST transport parses integers out of range to rounded numbers before the connector sees them, so those of
+ * 64-bit integer properties and counts fail with an overflow error whatever the policy: exact values require Bolt.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * The integer policies.
+     */
+    var POLICIES = {
+        "number": 1,
+        "string": 1,
+        "bigint": 1
+    };
+
+    /**
+     * The range of Neo4j integers.
+     */
+    var MIN = BigInt("-9223372036854775808"),
+        MAX = BigInt("9223372036854775807");
+
+    /**
+     * Create the error reported for an integer which cannot be read or written exactly.
+     *
+     * @param {string} message - The error message
+     * @param {number} statusCode - The status code, 400 for a value written, 500 for a value read
+     * @returns {Error}
+     */
+    var integerError = function (message, statusCode) {
+        var error = new Error(message);
+
+        error.statusCode = statusCode;
+        return error;
+    };
+
+    /**
+     * Convert an integer to the decimal string `toInteger()` parses.
+     *
+     * @param {number|string|bigint} value - The integer
+     * @returns {string}
+     * @throws {Error} with status code 400 if the value is not an integer, is out of range or is a number which may
+     * have been rounded
+     */
+    var toDecimal = function (value) {
+        var decimal = String(value);
+
+        if ("number" === typeof value && !Number.isSafeInteger(value)) {
+            throw integerError(Number.isInteger(value) ? "The integer " + decimal + " may have been rounded, pass " +
+                "it as a string or a BigInt" : "Not an integer: " + decimal, 400);
+        }
+        if (!/^-?\d+$/.test(decimal) || BigInt(decimal) < MIN || BigInt(decimal) > MAX) {
+            throw integerError("Not a 64-bit integer: " + JSON.stringify(decimal), 400);
+        }
+        return decimal;
+    };
+
+    /**
+     * Get the integer policy of a model property, or the policy of the data source without property.
+     *
+     * @param {string} [model] - The model name
+     * @param {string} [property] - The property name
+     * @returns {string} The policy, or null for a property which is not a 64-bit integer
+     */
+    Neo4j.prototype.integerPolicy = function (model, property) {
+        var definition = model ? this.getModelDefinition(model).properties[property] : null,
+            policy = definition ? definition.neo4j && definition.neo4j.integer : true;
+
+        if (!policy) {
+            return null;
+        }
+        policy = true === policy ? this.settings.integers || "number" : policy;
+        if (!POLICIES[policy]) {
+            throw integerError("Unknown integer policy " + JSON.stringify(policy) + ", expected one of " +
+                Object.keys(POLICIES).join(", "), 500);
+        }
+        return policy;
+    };
+
+    /**
+     * Read an integer with a policy. Values which are not integers, like floats, are returned as they are.
+     *
+     * @param {number|string} value - The value read: a number, or a decimal string for an integer out of range
+     * @param {string} policy - The integer policy
+     * @param {string} [name] - What the value is, for the error message
+     * @returns {number|string|bigint}
+     * @throws {Error} with status code 500 if the value is out of range of the policy or has been rounded
+     */
+    Neo4j.prototype.readInteger = function (value, policy, name) {
+        var exact = "string" === typeof value && /^-?\d+$/.test(value);
+
+        if (!exact && !Number.isInteger(value)) {
+            return value;
+        }
+        if ("number" === typeof value && !Number.isSafeInteger(value)) {
+            throw integerError("The integer " + (name ? name + " " : "") + value + " has been rounded by the " +
+                "transport, use Bolt to read it exactly", 500);
+        }
+        if ("string" === policy) {
+            return String(value);
+        }
+        if ("bigint" === policy) {
+            return BigInt(value);
+        }
+        if (exact && !Number.isSafeInteger(Number(value))) {
+            throw integerError("The integer " + (name ? name + " " : "") + value + " cannot be represented " +
+                "exactly as a number, read it with the string or bigint integer policy", 500);
+        }
+        return Number(value);
+    };
+
+    /**
+     * Get the native type of a 64-bit integer property, see `Neo4j#nativeType`.
+     *
+     * @param {string} model - The model name
+     * @param {string} property - The property name
+     * @returns {Object} The native type, or null if the property is not a 64-bit integer
+     */
+    Neo4j.prototype.integerType = function (model, property) {
+        var self = this,
+            policy = self.integerPolicy(model, property);
+
+        if (!policy) {
+            return null;
+        }
+        return {
+            "toParam": function (value) {
+                return null === value || undefined === value ? null : toDecimal(value);
+            },
+            "expression": function (ref) {
+                return "toInteger(" + ref + ")";
+            },
+            "fromDatabase": function (value) {
+                return self.readInteger(value, policy, model + "." + property);
+            }
+        };
+    };
+
+    /**
+     * Read the value of a property, checking that the integers of `Number` properties have not been rounded. Bolt
+     * reads integers out of range as decimal strings, see `BoltDatabase`, so numbers are floats or safe integers.
+     *
+     * @param {string} model - The model name
+     * @param {string} property - The property name
+     * @param {*} value - The value read
+     * @returns {*}
+     * @throws {Error} with status code 500 if the value is an integer out of range
+     */
+    Neo4j.prototype.readNumber = function (model, property, value) {
+        if ("Number" !== this.propertyType(model, property) || "string" !== typeof value) {
+            return value;
+        }
+        return this.readInteger(value, "number", model + "." + property);
+    };
+
+    /**
+     * Read a count with the policy of the data source.
+     *
+     * @param {number|string} value - The count
+     * @returns {number|string|bigint}
+     * @throws {Error} with status code 500 if the count is out of range of the policy
+     */
+    Neo4j.prototype.readCount = function (value) {
+        return this.readInteger(value, this.integerPolicy(), "count");
+    };
+};
+
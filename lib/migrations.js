@@ -0,0 +1,630 @@
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var crypto = require("crypto");
+var uuid = require("uuid");
+var Promise = require("bluebird");
+var debug = require("debug")("loopback:connector:neo4j-graph");
+
+/**
+ * Versioned migrations of the data and schema of the graph.
+ *
+ * Migrations are the files of a directory, `migrations` in the working directory by default, named after their version
+ * and name, e.g. `20261019120000-split-names.js`, and run in version order. A module exports `up(db, done)` and
+ * optionally `down(db, done)`, which may return a promise instead of calling `done`:
+ *
+ *     exports.up = function (db) {
+ *         return db.cypher("MATCH (n:Customer) SET n:Person REMOVE n:Customer");
+ *     };
+ *
+ * `db` has `cypher(query, [params], [callback])`, the `connector`, the `dataSource` and the model `options` joining
+ * the transaction of the migration, e.g. `Person.find(filter, db.options)`. Each migration runs in its own transaction,
+ * which also records it, unless the module exports `transaction = false`, as schema changes cannot share a transaction
+ * with data changes. A migration can also be a Cypher script, `<version>-<name>.up.cypher` and optionally
+ * `<version>-<name>.down.cypher`, whose statements end with a semicolon at the end of a line.
+ *
+ * Applied migrations are recorded as `(:_Migration {version, name, checksum, appliedAt})` nodes. A
+ * `(:_MigrationLock)` node keeps two processes from migrating the same graph at the same time.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * Default settings, overridden by the `migrations` data source setting.
+     */
+    var DEFAULTS = {
+        "directory": "migrations",
+        "label": "_Migration",
+        "lockTimeout": 15 * 60 * 1000
+    };
+
+    /**
+     * Name of a migration file: its version, name, and for Cypher scripts their direction.
+     */
+    var FILE_NAME = /^(\d+)[-_]([^.]+)(?:\.(up|down))?\.(js|cypher)$/;
+
+    /**
+     * Create the error reported for a migration problem.
+     *
+     * @param {string} message - The error message
+     * @param {number} statusCode - The status code
+     * @returns {Error}
+     */
+    var migrationError = function (message, statusCode) {
+        var error = new Error(message);
+
+        error.statusCode = statusCode;
+        return error;
+    };
+
+    /**
+     * Get the migration settings.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {Object} options - The options of the call, overriding the data source settings
+     * @returns {Object} `{directory, label, lockTimeout}`
+     */
+    var migrationSettings = function (self, options) {
+        var settings = Object.assign({}, DEFAULTS, self.settings.migrations, options);
+
+        settings.directory = path.resolve(settings.directory);
+        return settings;
+    };
+
+    /**
+     * Run a callback style function, which may also return a promise or, without callback parameter, a value.
+     *
+     * @param {Function} fn - The function
+     * @param {*} arg - The argument passed before the callback
+     * @param {Function} done - The callback function
+     */
+    var invoke = function (fn, arg, done) {
+        var finished = false,
+            once = function (error, value) {
+                if (!finished) {
+                    finished = true;
+                    done(error, value);
+                }
+            },
+            result = null;
+
+        try {
+            result = fn(arg, once);
+        } catch (e) {
+            return once(e);
+        }
+        if (result && "function" === typeof result.then) {
+            result.then(function (value) {
+                once(null, value);
+            }, once);
+        } else if (fn.length < 2) {
+            once(null, result);
+        }
+    };
+
+    /**
+     * Build the function running the statements of a Cypher script.
+     *
+     * @param {string} file - The script path
+     * @returns {Function}
+     */
+    var cypherScript = function (file) {
+        return function (db) {
+            return Promise.each(fs.readFileSync(file, "utf8").split(/;[ \t]*$/m).map(function (statement) {
+                return statement.trim();
+            }).filter(function (statement) {
+                return statement.length;
+            }), function (statement) {
+                return db.cypher(statement);
+            });
+        };
+    };
+
+    /**
+     * Compare two versions, as numbers.
+     *
+     * @param {string} a - A version
+     * @param {string} b - The other version
+     * @returns {number}
+     */
+    var compareVersions = function (a, b) {
+        a = String(a).replace(/^0+(?=\d)/, "");
+        b = String(b).replace(/^0+(?=\d)/, "");
+        if (a.length !== b.length) {
+            return a.length - b.length;
+        }
+        return a < b ? -1 : (a > b ? 1 : 0);
+    };
+
+    /**
+     * Read the migrations of a directory, in version order. A missing directory has no migrations.
+     *
+     * @param {string} directory - The directory
+     * @returns {Object[]} `[{version, name, file, checksum, load}]`, `load()` setting the `up` and `down` functions and
+     * whether the migration runs in a `transaction`
+     * @throws {Error} with status code 409 if two migrations have the same version
+     */
+    var readMigrations = function (directory) {
+        var migrations = {};
+
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+        fs.readdirSync(directory).sort().forEach(function (file) {
+            var match = FILE_NAME.exec(file),
+                migration = null;
+
+            if (!match || "down" === match[3]) {
+                return;
+            }
+            if (migrations[match[1]]) {
+                throw migrationError("Migrations " + migrations[match[1]].file + " and " + file +
+                    " have the same version", 409);
+            }
+            migration = {
+                "version": match[1],
+                "name": match[2],
+                "file": path.join(directory, file),
+                "checksum": crypto.createHash("sha1").update(fs.readFileSync(path.join(directory, file)))
+                    .digest("hex")
+            };
+            if ("js" === match[4]) {
+                migration.load = function () {
+                    var exported = require(migration.file);
+
+                    migration.up = exported.up;
+                    migration.down = exported.down;
+                    migration.transaction = false !== exported.transaction;
+                };
+            } else {
+                migration.load = function () {
+                    var down = path.join(directory, file.replace(/(\.up)?\.cypher$/, ".down.cypher"));
+
+                    migration.up = cypherScript(migration.file);
+                    migration.down = fs.existsSync(down) ? cypherScript(down) : null;
+                    migration.transaction = true;
+                };
+            }
+            migrations[match[1]] = migration;
+        });
+        return Object.keys(migrations).map(function (version) {
+            return migrations[version];
+        }).sort(function (a, b) {
+            return compareVersions(a.version, b.version);
+        });
+    };
+
+    /**
+     * Run a query, within the transaction of the options if there is one.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {string} query - The query
+     * @param {Object} params - The query parameters
+     * @param {Object} [options] - The model options
+     * @returns {Promise} The rows
+     */
+    var run = function (self, query, params, options) {
+        return Promise.fromCallback(function (done) {
+            self.cypher({
+                "query": query,
+                "params": params
+            }, options || {}, done);
+        });
+    };
+
+    /**
+     * Connect to the server unless connected, the queries depending on the server version.
+     *
+     * @param {Neo4j} self - The connector
+     * @returns {Promise}
+     */
+    var connected = function (self) {
+        return self.serverVersion ? Promise.resolve() : Promise.fromCallback(function (done) {
+            self.connect(done);
+        });
+    };
+
+    /**
+     * Ensure the uniqueness of the migration versions and of the lock, which concurrent processes rely on.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {Object} settings - The migration settings
+     * @returns {Promise}
+     */
+    var createConstraints = function (self, settings) {
+        return Promise.each([[settings.label, "version"], [settings.label + "Lock", "name"]], function (entry) {
+            return run(self, self.dialect.createConstraint({
+                "kind": "unique",
+                "label": entry[0],
+                "properties": [entry[1]]
+            }), {});
+        });
+    };
+
+    /**
+     * Get the applied migrations.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {Object} settings - The migration settings
+     * @returns {Promise} `[{version, name, checksum, appliedAt}]`, in version order
+     */
+    var appliedMigrations = function (self, settings) {
+        return run(self, "MATCH (m:" + self.quote(settings.label) + ") RETURN m.version AS version, m.name AS name, " +
+            "m.checksum AS checksum, m.appliedAt AS appliedAt", {}).then(function (rows) {
+            return rows.sort(function (a, b) {
+                return compareVersions(a.version, b.version);
+            });
+        });
+    };
+
+    /**
+     * Take the migration lock, or take it over when it has not been refreshed for `lockTimeout` milliseconds. Taking
+     * the lock again refreshes it.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {Object} settings - The migration settings
+     * @param {string} owner - The lock owner
+     * @returns {Promise}
+     * @throws {Error} with status code 409 if another process holds the lock
+     */
+    var lock = function (self, settings, owner) {
+        var now = Date.now();
+
+        return run(self, "MERGE (l:" + self.quote(settings.label + "Lock") + " {name: 'migrations'}) " +
+            "ON CREATE SET l.owner = " + self.dialect.param("owner") + ", l.lockedAt = " + self.dialect.param("now") +
+            " WITH l, l.owner = " + self.dialect.param("owner") + " OR l.lockedAt < " + self.dialect.param("stale") +
+            " AS free SET l.owner = CASE WHEN free THEN " + self.dialect.param("owner") + " ELSE l.owner END, " +
+            "l.lockedAt = CASE WHEN free THEN " + self.dialect.param("now") + " ELSE l.lockedAt END " +
+            "RETURN free, l.owner AS owner, l.lockedAt AS lockedAt", {
+                "owner": owner,
+                "now": now,
+                "stale": now - settings.lockTimeout
+            }).then(function (rows) {
+            if (!rows.length || !rows[0].free) {
+                throw migrationError("Migrations are locked by " + (rows.length ? rows[0].owner + " since " +
+                    new Date(Number(rows[0].lockedAt)).toISOString() : "another process"), 409);
+            }
+        });
+    };
+
+    /**
+     * Release the migration lock.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {Object} settings - The migration settings
+     * @param {string} owner - The lock owner
+     * @returns {Promise}
+     */
+    var unlock = function (self, settings, owner) {
+        return run(self, "MATCH (l:" + self.quote(settings.label + "Lock") + " {name: 'migrations'}) WHERE l.owner = " +
+            self.dialect.param("owner") + " DELETE l", {
+                "owner": owner
+            });
+    };
+
+    /**
+     * Run one direction of a migration and record it, within a transaction unless the migration opts out.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {Object} settings - The migration settings
+     * @param {Object} migration - The migration
+     * @param {string} direction - "up" or "down"
+     * @returns {Promise}
+     */
+    var runMigration = function (self, settings, migration, direction) {
+        var label = self.quote(settings.label),
+            record = function (options) {
+                if ("down" === direction) {
+                    return run(self, "MATCH (m:" + label + " {version: " + self.dialect.param("version") +
+                        "}) DELETE m", {
+                            "version": migration.version
+                        }, options);
+                }
+                return run(self, "CREATE (m:" + label + " {version: " + self.dialect.param("version") + ", name: " +
+                    self.dialect.param("name") + ", checksum: " + self.dialect.param("checksum") + ", appliedAt: " +
+                    self.dialect.param("appliedAt") + "})", {
+                        "version": migration.version,
+                        "name": migration.name,
+                        "checksum": migration.checksum,
+                        "appliedAt": new Date().toISOString()
+                    }, options);
+            },
+            work = function (options) {
+                return Promise.fromCallback(function (done) {
+                    invoke(migration[direction], {
+                        "connector": self,
+                        "dataSource": self.dataSource,
+                        "options": options,
+                        "cypher": function (query, params, callback) {
+                            var execute = function (done) {
+                                self.cypher({
+                                    "query": query,
+                                    "params": params || {}
+                                }, options, done);
+                            };
+
+                            if ("function" === typeof params) {
+                                callback = params;
+                                params = {};
+                            }
+                            return callback ? execute(callback) : Promise.fromCallback(execute);
+                        }
+                    }, done);
+                });
+            };
+
+        if (self.debug) {
+            debug("runMigration:%s:%s-%s", direction, migration.version, migration.name);
+        }
+        if (!migration.transaction) {
+            return work({}).then(function () {
+                return record({});
+            });
+        }
+        return self.runTransaction(function (options) {
+            return work(options).then(function () {
+                return record(options);
+            });
+        });
+    };
+
+    /**
+     * Hand the outcome of a promise to a callback outside of the promise chain, so errors thrown by the callback
+     * are not swallowed.
+     *
+     * @param {Promise} promise - The promise
+     * @param {Function} callback - The callback function
+     */
+    var settle = function (promise, callback) {
+        promise.then(function (value) {
+            process.nextTick(callback, null, value);
+        }, function (error) {
+            process.nextTick(callback, error);
+        });
+    };
+
+    /**
+     * Run pending or applied migrations under the migration lock.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {Object} options - The options
+     * @param {Function} select - Selects the migrations to run, in order, from the migrations found and applied
+     * @param {string} direction - "up" or "down"
+     * @param {Function} callback - The callback function, called with the migrations run `[{version, name}]`
+     */
+    var migrateWith = function (self, options, select, direction, callback) {
+        var settings = migrationSettings(self, options),
+            owner = os.hostname() + ":" + process.pid + ":" + uuid.v4(),
+            locked = false,
+            ran = [];
+
+        settle(Promise.try(function () {
+            var migrations = readMigrations(settings.directory);
+
+            return connected(self).then(function () {
+                if (!options.dryRun) {
+                    return createConstraints(self, settings).then(function () {
+                        return lock(self, settings, owner);
+                    }).then(function () {
+                        locked = true;
+                    });
+                }
+            }).then(function () {
+                return appliedMigrations(self, settings);
+            }).then(function (applied) {
+                var selected = select(migrations, applied);
+
+                // Check every migration before running any
+                selected.forEach(function (migration) {
+                    migration.load();
+                    if ("function" !== typeof migration[direction]) {
+                        throw migrationError("Migration " + migration.version + "-" + migration.name + " has no " +
+                            direction + " function", 400);
+                    }
+                });
+                if (options.dryRun) {
+                    ran = selected;
+                    return;
+                }
+                return Promise.each(selected, function (migration) {
+                    return runMigration(self, settings, migration, direction).then(function () {
+                        ran.push(migration);
+                        // Refresh the lock for the next migration
+                        return lock(self, settings, owner);
+                    }, function (error) {
+                        error.migration = migration.version + "-" + migration.name;
+                        throw error;
+                    });
+                });
+            });
+        }).then(function () {
+            return null;
+        }, function (error) {
+            return error;
+        }).then(function (error) {
+            var release = locked ? unlock(self, settings, owner) : Promise.resolve();
+
+            return release.catch(function () {
+                // The lock expires after lockTimeout anyway
+                return undefined;
+            }).then(function () {
+                if (error) {
+                    throw self.translateError(error);
+                }
+                return ran.map(function (migration) {
+                    return {
+                        "version": migration.version,
+                        "name": migration.name
+                    };
+                });
+            });
+        }), callback);
+    };
+
+    /**
+     * Run the pending migrations, in version order.
+     *
+     * @param {Object} [options] - `{directory, label, lockTimeout}` override the `migrations` data source setting,
+     * `to` stops at a version and `dryRun` only returns the migrations which would be run
+     * @param {Function} [callback] - The callback function, called with the migrations run `[{version, name}]`
+     * @returns {Promise} A promise when called without callback
+     */
+    Neo4j.prototype.migrate = function (options, callback) {
+        var self = this,
+            execute = function (done) {
+                migrateWith(self, options, function (migrations, applied) {
+                    var versions = applied.map(function (migration) {
+                        return migration.version;
+                    });
+
+                    return migrations.filter(function (migration) {
+                        return -1 === versions.indexOf(migration.version) &&
+                            (undefined === options.to || compareVersions(migration.version, options.to) <= 0);
+                    });
+                }, "up", done);
+            };
+
+        if ("function" === typeof options) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        if (self.debug) {
+            debug("migrate:options:%j", options);
+        }
+        if (callback) {
+            return execute(callback);
+        }
+        return Promise.fromCallback(execute);
+    };
+
+    /**
+     * Revert applied migrations, the last one first.
+     *
+     * @param {Object} [options] - `{directory, label, lockTimeout}` override the `migrations` data source setting,
+     * `steps` is the number of migrations to revert (a positive integer, 1 by default) and `to` reverts those after a
+     * version, `dryRun` only returns the migrations which would be reverted
+     * @param {Function} [callback] - The callback function, called with the migrations reverted `[{version, name}]`, or
+     * an error with status code 400 if `steps` is invalid
+     * @returns {Promise} A promise when called without callback
+     */
+    Neo4j.prototype.migrateDown = function (options, callback) {
+        var self = this,
+            steps = 1,
+            execute = function (done) {
+                if (!(steps > 0) || Math.floor(steps) !== steps) {
+                    return process.nextTick(function () {
+                        done(migrationError("Invalid number of steps: " + JSON.stringify(options.steps), 400));
+                    });
+                }
+                migrateWith(self, options, function (migrations, applied) {
+                    var selected = applied.filter(function (migration) {
+                        return undefined === options.to || compareVersions(migration.version, options.to) > 0;
+                    }).reverse();
+
+                    if (undefined === options.to) {
+                        selected = selected.slice(0, steps);
+                    }
+                    return selected.map(function (migration) {
+                        var found = migrations.filter(function (entry) {
+                            return entry.version === migration.version;
+                        })[0];
+
+                        if (!found) {
+                            throw migrationError("The file of migration " + migration.version + "-" +
+                                migration.name + " is missing", 404);
+                        }
+                        return found;
+                    });
+                }, "down", done);
+            };
+
+        if ("function" === typeof options) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        if (undefined !== options.steps) {
+            // The command line passes strings
+            steps = Number(options.steps);
+        }
+        if (self.debug) {
+            debug("migrateDown:options:%j", options);
+        }
+        if (callback) {
+            return execute(callback);
+        }
+        return Promise.fromCallback(execute);
+    };
+
+    /**
+     * Report the state of the migrations: those found and those applied, in version order.
+     *
+     * @param {Object} [options] - `{directory, label}` override the `migrations` data source setting
+     * @param {Function} [callback] - The callback function, called with `[{version, name, applied, appliedAt, changed,
+     * missing}]`, `changed` flagging applied migrations whose file changed since and `missing` those whose file is gone
+     * @returns {Promise} A promise when called without callback
+     */
+    Neo4j.prototype.migrationStatus = function (options, callback) {
+        var self = this,
+            execute = function (done) {
+                var settings = migrationSettings(self, options),
+                    migrations = [];
+
+                Promise.try(function () {
+                    migrations = readMigrations(settings.directory);
+                    return connected(self);
+                }).then(function () {
+                    return appliedMigrations(self, settings);
+                }).then(function (applied) {
+                    var status = {};
+
+                    migrations.forEach(function (migration) {
+                        status[migration.version] = {
+                            "version": migration.version,
+                            "name": migration.name,
+                            "applied": false,
+                            "appliedAt": null,
+                            "changed": false,
+                            "missing": false
+                        };
+                    });
+                    applied.forEach(function (migration) {
+                        var entry = status[migration.version],
+                            file = migrations.filter(function (found) {
+                                return found.version === migration.version;
+                            })[0];
+
+                        status[migration.version] = Object.assign(entry || {
+                            "version": migration.version,
+                            "name": migration.name
+                        }, {
+                            "applied": true,
+                            "appliedAt": migration.appliedAt,
+                            "changed": !!file && file.checksum !== migration.checksum,
+                            "missing": !file
+                        });
+                    });
+                    done(null, Object.keys(status).map(function (version) {
+                        return status[version];
+                    }).sort(function (a, b) {
+                        return compareVersions(a.version, b.version);
+                    }));
+                }).catch(function (error) {
+                    done(self.translateError(error));
+                });
+            };
+
+        if ("function" === typeof options) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        if (callback) {
+            return execute(callback);
+        }
+        return Promise.fromCallback(execute);
+    };
+};
@@ -1,9 +1,30 @@
 var neo4j = require("neo4j");
 var util = require("util");
 var Connector = require("loopback-connector").Connector;
+var Transaction = require("loopback-connector").Transaction;
 var debug = require("debug")("loopback:connector:neo4j-graph");
 var uuid = require("uuid");
 var Promise = require("bluebird");
+var BoltDatabase = require("./bolt");
+var Dialect = require("./dialect");
+var identifiers = require("./identifiers");
+var errors = require("./errors");
+var retry = require("./retry");
+var relations = require("./relations");
+var inclusion = require("./include");
+var traversal = require("./traversal");
+var types = require("./types");
+var bulk = require("./bulk");
+var stream = require("./stream");
+var cursor = require("./cursor");
+var aggregate = require("./aggregate");
+var nested = require("./nested");
+var integers = require("./integers");
+var discovery = require("./discovery");
+var fulltext = require("./fulltext");
+var schema = require("./schema");
+var migrations = require("./migrations");
+var transfer = require("./transfer");
 
 /**
  * Connector constructor.
@@ -22,6 +43,17 @@ var Neo4j = function (settings, dataSource) {
     if (this.debug) {
         debug("Constructor:settings: %j", settings);
     }
+    // Until the server version is known, assume the one from the settings or the oldest supported by the transport
+    this.serverVersion = settings.serverVersion || null;
+    // bolt://, bolt+s:// and neo4j:// URLs use the official driver, anything else the legacy REST client
+    if (BoltDatabase.isBoltUrl(settings.url)) {
+        this.transport = "bolt";
+        this.dialect = new Dialect(this.serverVersion || "4.4");
+        this.db = new BoltDatabase(settings);
+        return;
+    }
+    this.transport = "http";
+    this.dialect = new Dialect(this.serverVersion || Dialect.DEFAULT_VERSION);
     this.db = new neo4j.GraphDatabase({
         "url": settings.url,
         "auth": settings.auth || null, // optional; see below for more details
@@ -46,7 +78,8 @@ exports.initialize = function (dataSource, callback) {
     }
     dataSource.connector = new Neo4j(settings, dataSource);
     if (callback) {
-        callback();
+        // Connect lazily: the data source calls connect() before the first model method runs
+        callback(null, false);
     }
 };
 
@@ -54,6 +87,51 @@ exports.initialize = function (dataSource, callback) {
  * Inherit the prototype methods
  */
 util.inherits(Neo4j, Connector);
+identifiers(Neo4j);
+errors(Neo4j);
+retry(Neo4j);
+relations(Neo4j);
+inclusion(Neo4j);
+traversal(Neo4j);
+types(Neo4j);
+bulk(Neo4j);
+stream(Neo4j);
+cursor(Neo4j);
+aggregate(Neo4j);
+nested(Neo4j);
+integers(Neo4j);
+discovery(Neo4j);
+fulltext(Neo4j);
+schema(Neo4j);
+migrations(Neo4j);
+transfer(Neo4j);
+
+/**
+ * Hook called by the data source when a model is attached, adds the graph specific model methods.
+ *
+ * @param {Object} definition - The model definition
+ */
+Neo4j.prototype.define = function (definition) {
+    "use strict";
+    var relationship = definition.settings && definition.settings.neo4j && definition.settings.neo4j.relationship,
+        endModel = function (end) {
+            return "string" === typeof end ? end : end && end.model;
+        };
+
+    if (relationship && !(endModel(relationship.from) && endModel(relationship.to))) {
+        throw new Error("The relationship model " + definition.model.modelName + " must declare the models of both " +
+            "ends as `from` and `to`");
+    }
+    Connector.prototype.define.call(this, definition);
+    // Redefining a model may change how it and the models related to it are persisted
+    this.relationCache = null;
+    this.defineTraversals(definition.model);
+    this.defineBulkMethods(definition.model);
+    this.defineStreamMethods(definition.model);
+    this.defineCursorMethods(definition.model);
+    this.defineAggregateMethods(definition.model);
+    this.defineSearch(definition.model);
+};
 
 /**
  * Get ID name for a given model.
@@ -84,23 +162,30 @@ Neo4j.prototype.label = function (model) {
 
 /**
  * Generate the neo4j URL.
+ * The protocol is taken from `settings.protocol` ("http", "https", "bolt", "bolt+s", "neo4j", ...) and defaults to
+ * "http". Credentials are only embedded for the REST protocols, the Bolt driver receives them separately.
  *
  * @param {Object} settings - the data source settings
  * @returns {string}
  */
 Neo4j.prototype.generateUrl = function (settings) {
     "use strict";
-    var username = settings.username || settings.user;
+    var username = settings.username || settings.user,
+        protocol = (settings.protocol || "http").replace(/:(\/\/)?$/, "").toLowerCase(),
+        defaultPorts = {
+            "http": 7474,
+            "https": 7473
+        };
 
     if (this.debug) {
         debug("generateUrl");
     }
     settings.hostname = settings.hostname || settings.host || "127.0.0.1";
-    settings.port = settings.port || 7474;
-    if (username && settings.password) {
-        return "http://" + username + ":" + settings.password + "@" + settings.hostname + ":" + settings.port;
+    settings.port = settings.port || defaultPorts[protocol] || 7687;
+    if (username && settings.password && defaultPorts[protocol]) {
+        return protocol + "://" + username + ":" + settings.password + "@" + settings.hostname + ":" + settings.port;
     } else {
-        return "http://" + settings.hostname + ":" + settings.port;
+        return protocol + "://" + settings.hostname + ":" + settings.port;
     }
 };
 
@@ -113,10 +198,6 @@ Neo4j.prototype.generateUrl = function (settings) {
 Neo4j.prototype.fromDatabase = function (model, data) {
     "use strict";
     var self = this,
-        dateFields = {
-            "created": 1,
-            "lastUpdated": 1
-        },
         dateObject = {},
         properties = self.getModelDefinition(model).properties,
         propertyNames = Object.keys(properties);
@@ -127,6 +208,7 @@ Neo4j.prototype.fromDatabase = function (model, data) {
     if (!data) {
         return null;
     }
+    self.reviveNested(model, data);
     propertyNames.forEach(function (p) {
         var prop = properties[p];
 
@@ -137,20 +219,10 @@ Neo4j.prototype.fromDatabase = function (model, data) {
             if (self.debug) {
                 debug("fromDatabase:value present:%s", p);
             }
-            if (dateFields[p]) {
-                // We need to convert date strings to date since Neo4j doesn't support date type
-                // at the time of writing this.
-                if (self.debug) {
-                    debug("fromDatabase:date field");
-                }
-                try {
-                    dateObject = new Date(data[p]);
-                    data[p] = dateObject;
-                } catch (e) {
-                    if (self.debug) {
-                        debug("fromDatabase:date exception2:%j", e);
-                    }
-                }
+            if (self.nativeType(model, p)) {
+                data[p] = self.nativeType(model, p).fromDatabase(data[p], self.propertyType(model, p));
+            } else if ("Number" === self.propertyType(model, p)) {
+                data[p] = self.readNumber(model, p, data[p]);
             } else if (prop.type) {
                 if (self.debug) {
                     debug("fromDatabase:property type:%j", prop.type);
@@ -176,13 +248,114 @@ Neo4j.prototype.fromDatabase = function (model, data) {
     return data;
 };
 
+/**
+ * Create the error reported for a where filter which cannot be translated.
+ *
+ * @param {string} message - The error message
+ * @returns {Error}
+ */
+var invalidWhere = function (message) {
+    "use strict";
+    var error = new Error(message);
+
+    error.statusCode = 400;
+    return error;
+};
+
+/**
+ * Escape the characters which have a meaning in Java regular expressions.
+ *
+ * @param {string} text - The text to match literally
+ * @returns {string}
+ */
+var escapeRegex = function (text) {
+    "use strict";
+    return String(text).replace(/[\\^$.|?*+()\[\]{}]/g, "\\$&");
+};
+
+/**
+ * Translate a JavaScript regular expression to a Java one for the `=~` operator.
+ * `=~` matches the whole string, so the pattern is surrounded with `.*` to search it like `RegExp.prototype.test`
+ * does, and the `i`, `m`, `s` and `u` flags become inline flags. The `g` and `y` flags have no meaning for a match.
+ *
+ * @param {RegExp|string} pattern - A RegExp, a "/source/flags" string or a plain pattern
+ * @param {string} [extraFlags] - Flags to add, e.g. the `options` of a where condition
+ * @returns {string}
+ */
+var toCypherRegex = function (pattern, extraFlags) {
+    "use strict";
+    var source = "",
+        flags = "",
+        inline = "",
+        parts = null;
+
+    if (pattern instanceof RegExp) {
+        source = pattern.source;
+        flags = pattern.flags;
+    } else if ("string" === typeof pattern) {
+        parts = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+        source = parts ? parts[1] : pattern;
+        flags = parts ? parts[2] : "";
+    } else {
+        throw invalidWhere("The regexp operator expects a RegExp or a string, got " + JSON.stringify(pattern));
+    }
+    (flags + (extraFlags || "")).split("").forEach(function (flag) {
+        if ("imsu".indexOf(flag) !== -1) {
+            if (inline.indexOf(flag) === -1) {
+                inline += flag;
+            }
+        } else if ("gy".indexOf(flag) === -1) {
+            throw invalidWhere("Unsupported regular expression flag: " + flag);
+        }
+    });
+    return (inline ? "(?" + inline + ")" : "") + "(?s:.*)(?:" + source + ")(?s:.*)";
+};
+
+/**
+ * Translate a LoopBack `like` pattern to a Java regular expression matching the whole string.
+ * `%` matches any sequence of characters and `_` any character, unless escaped with a backslash; everything else
+ * is matched literally.
+ *
+ * @param {string} pattern - The like pattern
+ * @param {boolean} caseInsensitive - Whether to ignore case
+ * @returns {string}
+ */
+var likeToRegex = function (pattern, caseInsensitive) {
+    "use strict";
+    var regex = caseInsensitive ? "(?is)" : "(?s)",
+        i = 0,
+        c = "";
+
+    pattern = String(pattern);
+    for (i = 0; i < pattern.length; i += 1) {
+        c = pattern.charAt(i);
+        if ("\\" === c && i + 1 < pattern.length) {
+            i += 1;
+            regex += escapeRegex(pattern.charAt(i));
+        } else if ("%" === c) {
+            regex += ".*";
+        } else if ("_" === c) {
+            regex += ".";
+        } else {
+            regex += escapeRegex(c);
+        }
+    }
+    return regex;
+};
+
 /**
  * Build where condition.
  *
  * @param {Object} where - the where conditions
- * @returns {Object}
+ * @param {string} [model] - the model name, needed to reference foreign keys persisted as relationships
+ * @param {string} [alias] - the variable bound to the model's nodes, "n" by default
+ * @param {boolean} [search] - whether a `search` condition is supported, at the top level or within `and`
+ * @returns {Object} `{query, params, [distance], [search]}`, `distance` being the distance to the location of the
+ * first `near` condition, which results are sorted by, and `search` the source of the nodes matching the `search`
+ * condition, see `buildSearch`
+ * @throws {Error} if a condition cannot be translated, rather than ignoring it
  */
-Neo4j.prototype.buildWhere = function (where) {
+Neo4j.prototype.buildWhere = function (where, model, alias, search) {
     "use strict";
     var self = this,
         logicalOperators = { // nor not supported directly in Neo4j, so not supported now
@@ -197,35 +370,66 @@ Neo4j.prototype.buildWhere = function (where) {
             "params": {}
         },
         queries = [],
-        spec = "";
+        spec = "",
+        flags = "",
+        near = {};
 
     if (null === where || "object" !== typeof where) {
         return cypher;
     }
     Object.keys(where).forEach(function (k) {
         var cond = where[k],
-            valueAnchor1 = k + uuid.v4().replace(/-/g, ""),
+            valueAnchor1 = self.paramName(k, uuid.v4().replace(/-/g, "")),
             valueAnchor2 = "",
             i = 0,
             length = 0,
-            query = "";
+            query = "",
+            ref = "",
+            value = function (anchor, entry) {
+                // Compared values are converted like stored ones, e.g. dates to datetime values
+                return self.valueParam(model, k, entry, anchor, cypher.params);
+            };
+
+        if (!logicalOperators[k]) {
+            self.checkProperty(model, k);
+            ref = self.propertyRef(model, k, alias);
+        }
 
         if (logicalOperators[k]) {
             if (Array.isArray(cond) && cond.length) {
                 cond = cond.map(function (c) {
-                    return self.buildWhere(c);
+                    return self.buildWhere(c, model, alias, search && "and" === k);
                 });
                 queries = cond.map(function (entry) {
                     Object.keys(entry.params).forEach(function (key) {
                         cypher.params[key] = entry.params[key];
                     });
+                    cypher.distance = cypher.distance || entry.distance;
+                    if (entry.search && cypher.search) {
+                        throw invalidWhere("Only one search condition is supported");
+                    }
+                    cypher.search = cypher.search || entry.search;
                     return entry.query;
                 });
                 conditions.push(" (" + queries.join(" " + k.toUpperCase()) + ")");
             }
         } else {
-            if (cond && "Object" === cond.constructor.name) {
-                spec = Object.keys(cond)[0];
+            if (cond instanceof RegExp) {
+                cond = {
+                    "regexp": cond
+                };
+            }
+            if (cond && "object" === typeof cond && Object.prototype.hasOwnProperty.call(cond, "near")) {
+                // {near, maxDistance, minDistance, unit}
+                near = self.buildNear(ref, cond, valueAnchor1, cypher.params);
+                conditions.push(near.query);
+                cypher.distance = cypher.distance || near.distance;
+            } else if (cond && "Object" === cond.constructor.name) {
+                // `options` holds the flags of like and regexp conditions, e.g. {like: "a%", options: "i"}
+                flags = cond.options || "";
+                spec = Object.keys(cond).filter(function (key) {
+                    return "options" !== key;
+                })[0];
                 cond = cond[spec];
                 if (spec) {
                     if (self.debug) {
@@ -233,85 +437,88 @@ Neo4j.prototype.buildWhere = function (where) {
                     }
                     switch (spec) {
                         case "gt":
-                            conditions.push(" n." + k + " > {" + valueAnchor1 + "}");
-                            cypher.params[valueAnchor1] = cond;
+                            conditions.push(" " + ref + " > " + value(valueAnchor1, cond));
                             break;
                         case "gte":
-                            conditions.push(" n." + k + " >= {" + valueAnchor1 + "}");
-                            cypher.params[valueAnchor1] = cond;
+                            conditions.push(" " + ref + " >= " + value(valueAnchor1, cond));
                             break;
                         case "lt":
-                            conditions.push(" n." + k + " < {" + valueAnchor1 + "}");
-                            cypher.params[valueAnchor1] = cond;
+                            conditions.push(" " + ref + " < " + value(valueAnchor1, cond));
                             break;
                         case "lte":
-                            conditions.push(" n." + k + " <= {" + valueAnchor1 + "}");
-                            cypher.params[valueAnchor1] = cond;
+                            conditions.push(" " + ref + " <= " + value(valueAnchor1, cond));
                             break;
                         case "between":
-                            valueAnchor2 = k + uuid.v4().replace(/-/g, "");
-                            conditions.push(" (n." + k + " > {" + valueAnchor1 + "} AND n." + k + " < {" + valueAnchor2 + "})");
-                            cypher.params[valueAnchor1] = cond[0];
-                            cypher.params[valueAnchor2] = cond[1];
+                            valueAnchor2 = self.paramName(k, uuid.v4().replace(/-/g, ""));
+                            conditions.push(" (" + ref + " > " + value(valueAnchor1, cond[0]) + " AND " + ref +
+                                " < " + value(valueAnchor2, cond[1]) + ")");
                             break;
                         case "inq":
-                            query = " n." + k + " IN [";
+                            query = " " + ref + " IN [";
                             length = cond.length;
                             for (i = 0; i < length; i += 1) {
                                 if (i > 0) {
                                     query += ", ";
                                 }
                                 valueAnchor2 = valueAnchor1 + i;
-                                query += "{" + valueAnchor2 + "}";
-                                cypher.params[valueAnchor2] = cond[i];
+                                query += value(valueAnchor2, cond[i]);
                             }
                             query += "]";
                             conditions.push(query);
                             break;
                         case "nin":
-                            query = " n." + k + " NOT IN [";
+                            query = " " + ref + " NOT IN [";
                             length = cond.length;
                             for (i = 0; i < length; i += 1) {
                                 if (i > 0) {
                                     query += ", ";
                                 }
                                 valueAnchor2 = valueAnchor1 + i;
-                                query += "{" + valueAnchor2 + "}";
-                                cypher.params[valueAnchor2] = cond[i];
+                                query += value(valueAnchor2, cond[i]);
                             }
                             query += "]";
                             conditions.push(query);
                             break;
-                        case "near":
-                            // not supported now
-                            break;
                         case "neq":
-                            conditions.push(" NOT n." + k + " = {" + valueAnchor1 + "}");
-                            cypher.params[valueAnchor1] = cond;
+                            conditions.push(" NOT " + ref + " = " + value(valueAnchor1, cond));
                             break;
                         case "like":
-                            conditions.push(" n." + k + " =~ {" + valueAnchor1 + "}");
-                            cypher.params[valueAnchor1] = ".*" + cond + ".*";
+                        case "ilike":
+                            conditions.push(" " + ref + " =~ " + self.dialect.param(valueAnchor1));
+                            cypher.params[valueAnchor1] = cond instanceof RegExp ? toCypherRegex(cond, flags) :
+                                    likeToRegex(cond, "ilike" === spec || flags.indexOf("i") !== -1);
                             break;
                         case "nlike":
-                            conditions.push(" NOT n." + k + " =~ {" + valueAnchor1 + "}");
-                            cypher.params[valueAnchor1] = ".*" + cond + ".*";
+                        case "nilike":
+                            conditions.push(" NOT " + ref + " =~ " + self.dialect.param(valueAnchor1));
+                            cypher.params[valueAnchor1] = cond instanceof RegExp ? toCypherRegex(cond, flags) :
+                                    likeToRegex(cond, "nilike" === spec || flags.indexOf("i") !== -1);
                             break;
                         case "regexp":
-                            // not supported now because Neo4j doesn't support real regular expressions
+                            conditions.push(" " + ref + " =~ " + self.dialect.param(valueAnchor1));
+                            cypher.params[valueAnchor1] = toCypherRegex(cond, flags);
                             break;
+                        case "search":
+                            // The nodes come from the full-text index, see lib/fulltext.js
+                            if (!search || cypher.search) {
+                                throw invalidWhere(search ? "Only one search condition is supported" : "The " +
+                                    "search operator is only supported by find and count, outside of or, not and xor");
+                            }
+                            cypher.search = self.buildSearch(model, k, cond, valueAnchor1, cypher.params, alias);
+                            conditions.push(" " + (alias || "n") + ":" + self.quotedLabel(model));
+                            break;
+                        default:
+                            throw invalidWhere("Unsupported where operator: " + spec);
                     }
                 } else {
                     if (null === cond) {
-                        conditions.push(" n." + k + " IS NULL");
+                        conditions.push(" " + ref + " IS NULL");
                     } else {
-                        conditions.push(" n." + k + " = {" + valueAnchor1 + "}");
-                        cypher.params[valueAnchor1] = cond;
+                        conditions.push(" " + ref + " = " + value(valueAnchor1, cond));
                     }
                 }
             } else {
-                conditions.push(" n." + k + " = {" + valueAnchor1 + "}");
-                cypher.params[valueAnchor1] = cond;
+                conditions.push(" " + ref + " = " + value(valueAnchor1, cond));
             }
         }
     });
@@ -319,15 +526,34 @@ Neo4j.prototype.buildWhere = function (where) {
     return cypher;
 };
 
+/**
+ * Hook telling LoopBack that `near` conditions are translated by the connector, see `buildWhere`, so that it does not
+ * fetch all the instances to filter them by distance itself.
+ *
+ * @param {Object} query - The filter
+ * @param {Object[]} near - The near conditions found in the where filter
+ */
+Neo4j.prototype.buildNearFilter = function (query, near) {
+    "use strict";
+    if (this.debug) {
+        debug("buildNearFilter:near:%j", near);
+    }
+};
+
 /**
  * Build sort statement.
  *
  * @param {Object} order - the sort order
+ * @param {string} [model] - the model name, needed to reference foreign keys persisted as relationships
+ * @param {string} [alias] - the variable bound to the model's nodes, "n" by default
+ * @param {Object} [search] - the source of the nodes matching a `search` condition, to sort by relevance score
  * @returns {string}
+ * @throws {Error} if a key is not a valid property name
  */
-Neo4j.prototype.buildSort = function (order) {
+Neo4j.prototype.buildSort = function (order, model, alias, search) {
     "use strict";
-    var sortQuery = "",
+    var self = this,
+        sortQuery = "",
         keys = {},
         index = 0,
         len = 0,
@@ -343,19 +569,64 @@ Neo4j.prototype.buildSort = function (order) {
         for (index = 0; index < len; index += 1) {
             m = keys[index].match(/\s+(A|DE)SC$/);
             key = keys[index].replace(/\s+(A|DE)SC$/, "").trim();
+            if (!search || search.property !== key) {
+                self.checkProperty(model, key);
+            }
             if (index > 0) {
                 sortQuery += ",";
             }
-            if (m && "DE" === m[1]) {
-                sortQuery = " n." + key + " DESC";
-            } else {
-                sortQuery = " n." + key;
-            }
+            sortQuery += " " + (search && search.property === key ? search.score :
+                self.propertyRef(model, key, alias)) + (m && "DE" === m[1] ? " DESC" : "");
         }
     }
     return sortQuery;
 };
 
+/**
+ * Get the property names selected by a fields filter.
+ *
+ * @param {String|String[]|Object} fields - the fields filter
+ * @returns {string[]}
+ */
+Neo4j.prototype.fieldNames = function (fields) {
+    "use strict";
+    if (!fields) {
+        return [];
+    }
+    if ("string" === typeof fields) {
+        return fields.split(",");
+    }
+    if (Array.isArray(fields)) {
+        return fields;
+    }
+    // Object
+    return Object.keys(fields).filter(function (key) {
+        return fields[key];
+    });
+};
+
+/**
+ * Build the RETURN items of a find query.
+ *
+ * @param {string} model - the model name
+ * @param {string[]} fields - the selected property names, all the properties if empty
+ * @returns {string}
+ * @throws {Error} if a field is not a valid property name
+ */
+Neo4j.prototype.buildFields = function (model, fields) {
+    "use strict";
+    var self = this;
+
+    if (!fields.length) {
+        return self.returnItems(model);
+    }
+    return fields.map(function (field) {
+        self.checkProperty(model, field);
+        return ("flatten" === self.nestedStore(model, field) ? self.flattenedItem(field) :
+            self.propertyRef(model, field)) + " AS " + self.variable(field);
+    }).join(", ");
+};
+
 /**
  * Return connector type.
  *
@@ -381,6 +652,16 @@ Neo4j.prototype.ping = function (callback) {
     if (self.debug) {
         debug("ping");
     }
+    if ("bolt" === self.transport) {
+        return self.db.ping(function (error, response) {
+            if (self.debug) {
+                debug("ping:error:%j,response:%j", error, response);
+            }
+            if (callback) {
+                callback(self.translateError(error) || null, error ? undefined : true);
+            }
+        });
+    }
     self.db.http({
         "method": "GET",
         "path": "/db/data"
@@ -390,7 +671,7 @@ Neo4j.prototype.ping = function (callback) {
         }
         if (callback) {
             if (error) {
-                callback(error);
+                callback(self.translateError(error));
             } else {
                 callback(null, true);
             }
@@ -398,6 +679,76 @@ Neo4j.prototype.ping = function (callback) {
     });
 };
 
+/**
+ * Connect to the server. Detects the server version, unless given by the `serverVersion` setting,
+ * and selects the matching Cypher dialect.
+ *
+ * @param {Function} callback - The callback function
+ */
+Neo4j.prototype.connect = function (callback) {
+    "use strict";
+    var self = this;
+
+    if (self.debug) {
+        debug("connect");
+    }
+    if (self.serverVersion) {
+        if (callback) {
+            process.nextTick(callback, null, self.serverVersion);
+        }
+        return;
+    }
+    self.db.cypher({
+        "query": Dialect.VERSION_QUERY
+    }, function (error, response) {
+        if (self.debug) {
+            debug("connect:error:%j,response:%j", error, response);
+        }
+        if (error && !/^Neo\./.test((error.neo4j && error.neo4j.code) || error.code)) {
+            // Not an error reported by the server, i.e. the server cannot be reached
+            if (callback) {
+                callback(self.translateError(error));
+            }
+            return;
+        }
+        if (response && response.length) {
+            self.serverVersion = response[0].version;
+            self.edition = response[0].edition;
+        } else {
+            // dbms.components() is missing or not allowed, keep the assumed version
+            self.serverVersion = self.dialect.version;
+        }
+        self.dialect = new Dialect(self.serverVersion);
+        if (callback) {
+            callback(null, self.serverVersion);
+        }
+    });
+};
+
+/**
+ * Disconnect from the server. Closes the pooled Bolt connections; the REST client holds no connections.
+ *
+ * @param {Function} callback - The callback function
+ */
+Neo4j.prototype.disconnect = function (callback) {
+    "use strict";
+    var self = this;
+
+    if (self.debug) {
+        debug("disconnect");
+    }
+    if ("bolt" === self.transport) {
+        return self.db.close(function (error) {
+            if (callback) {
+                callback(error);
+            }
+        });
+    }
+    if (callback) {
+        process.nextTick(callback);
+    }
+};
+
 /**
  * Create a new model instance for the given data.
  *
@@ -409,7 +760,11 @@ Neo4j.prototype.ping = function (callback) {
 Neo4j.prototype.create = function (model, data, options, callback) {
     "use strict";
     var self = this,
-        idName = self.getIdName(model);
+        idName = self.getIdName(model),
+        relationship = self.relationshipModel(model),
+        params = {},
+        query = "",
+        write = {};
 
     if (self.debug) {
         debug("create:model:%s,data:%j,options:%j", model, data, options);
@@ -418,15 +773,40 @@ Neo4j.prototype.create = function (model, data, options, callback) {
     if (!data[idName]) {
         data[idName] = uuid.v4();
     }
-    self.db.cypher({
-        "query": "CREATE (n:" + self.label(model) + " {properties})",
-        "params": {
-            "properties": data
+    try {
+        if (relationship) {
+            write = self.buildEndpoints(model, data, params);
+            if (!write.query) {
+                throw new Error(model + " requires both " + relationship.from.key + " and " + relationship.to.key);
+            }
+            query = write.query + " CREATE (n_from)-[n:" + self.quote(relationship.type) + " " +
+                self.dialect.param("properties") + "]->(n_to)";
+            write = self.toDatabase(model, write.properties, params);
+            query += write.query + " RETURN COUNT(n) AS count";
+        } else {
+            write = self.buildEdgeUpdates(model, data, params, true);
+            query = "CREATE (n:" + self.quotedLabel(model) + " " + self.dialect.param("properties") + ")" +
+                write.query;
         }
+    } catch (error) {
+        return process.nextTick(function () {
+            callback(error);
+        });
+    }
+    params.properties = write.properties;
+    self.writeEdgeKeys(model, data, options, function (writeOptions, done) {
+        self.cypher({
+            "query": query,
+            "params": params,
+            "idempotent": false
+        }, writeOptions, done);
     }, function (error, response) {
         if (self.debug) {
             debug("create:error:%j,response:%j", error, response);
         }
+        if (!error && relationship && !(response.length && response[0].count)) {
+            error = new Error("Cannot create " + model + ": the nodes to connect do not exist");
+        }
         if (callback) {
             callback(error, data[idName]);
         }
@@ -446,7 +826,8 @@ Neo4j.prototype.save = function (model, data, options, callback) {
     "use strict";
     var self = this,
         idName = self.getIdName(model),
-        params = {};
+        params = {},
+        query = "";
 
     if (self.debug) {
         debug("save:model:%s,data:%j,options:%j", model, data, options);
@@ -455,16 +836,33 @@ Neo4j.prototype.save = function (model, data, options, callback) {
     if (!data[idName]) {
         data[idName] = uuid.v4();
     }
-    params[idName] = data[idName];
-    params.properties = data;
-    self.db.cypher({
-        "query": "MERGE (n:" + self.label(model) + " {" + idName + ": {id}}) ON CREATE SET n = {properties} ON MATCH SET n = {properties} RETURN n",
-        "params": params
+    params.id = data[idName];
+    try {
+        query = self.buildUpsert(model, data, params, true);
+        if (!query) {
+            throw new Error(model + " requires both " + self.relationshipModel(model).from.key + " and " +
+                self.relationshipModel(model).to.key);
+        }
+    } catch (error) {
+        return process.nextTick(function () {
+            callback(error);
+        });
+    }
+    self.writeEdgeKeys(model, data, options, function (writeOptions, done) {
+        self.cypher({
+            "query": query,
+            "params": params
+        }, writeOptions, done);
     }, function (error, response) {
         if (self.debug) {
             debug("save:error:%j,response:%j", error, response);
         }
-        response = self.fromDatabase(model, response);
+        try {
+            response = self.toData(model, response && response[0]);
+        } catch (e) {
+            error = error || e;
+            response = null;
+        }
         if (callback) {
             callback(error, response);
         }
@@ -484,7 +882,12 @@ Neo4j.prototype.updateOrCreate = function (model, data, options, callback) {
     "use strict";
     var self = this,
         idName = self.getIdName(model),
-        params = {};
+        params = {},
+        match = {
+            "params": {}
+        },
+        query = "",
+        write = {};
 
     if (self.debug) {
         debug("updateOrCreate:model:%s,id:%j,options:%j", model, data, options);
@@ -493,16 +896,44 @@ Neo4j.prototype.updateOrCreate = function (model, data, options, callback) {
     if (!data[idName]) {
         data[idName] = uuid.v4();
     }
-    params[idName] = data[idName];
-    params.properties = data;
-    self.db.cypher({
-        "query": "MERGE (n:" + self.label(model) + " {" + idName + ": {id}}) ON CREATE SET n = {properties} ON MATCH SET n += {properties} RETURN n",
-        "params": params
+    params.id = data[idName];
+    try {
+        match.query = self.matchClause(model) + " WHERE " + self.propertyRef(model, idName) + " = " +
+            self.idParam(model, data[idName], match.params);
+        query = self.buildUpsert(model, data, params, false);
+        if (!query) {
+            // A relationship is only updated in place when the nodes it connects are not given
+            write = self.buildWrite(model, data, params);
+            params.properties = write.properties;
+            query = self.matchClause(model) + " WHERE " + self.propertyRef(model, idName) + " = " +
+                self.idParam(model, data[idName], params) + " SET n += " + self.dialect.param("properties") +
+                write.query + " RETURN " + self.returnItems(model);
+        }
+    } catch (error) {
+        return process.nextTick(function () {
+            callback(error);
+        });
+    }
+    self.writeEdgeKeys(model, data, options, function (edgeOptions, edgeDone) {
+        self.writeFlattened(model, match.query, match.params, [{
+            "data": data,
+            "properties": params.properties
+        }], edgeOptions, function (writeOptions, done) {
+            self.cypher({
+                "query": query,
+                "params": params
+            }, writeOptions, done);
+        }, edgeDone);
     }, function (error, response) {
         if (self.debug) {
             debug("updateOrCreate:error:%j,response:%j", error, response);
         }
-        response = self.fromDatabase(model, response[0].n.properties);
+        try {
+            response = self.toData(model, response && response[0]);
+        } catch (e) {
+            error = error || e;
+            response = null;
+        }
         if (callback) {
             callback(error, response);
         }
@@ -522,22 +953,29 @@ Neo4j.prototype.exists = function (model, id, options, callback) {
     "use strict";
     var self = this,
         idName = self.getIdName(model),
-        params = {};
+        params = {},
+        query = "";
 
     if (self.debug) {
         debug("exists:model:%s,id:%j,options:%j", model, id, options);
     }
-    params[idName] = id;
-    params.idName = idName;
-    self.db.cypher({
-        "query": "MATCH (n:" + self.label(model) + " {" + idName + ": {id}}) RETURN n.{idName}",
+    try {
+        query = self.matchClause(model) + " WHERE " + self.propertyRef(model, idName) + " = " +
+            self.idParam(model, id, params) + " RETURN " + self.propertyRef(model, idName) + " AS id";
+    } catch (error) {
+        return process.nextTick(function () {
+            callback(error);
+        });
+    }
+    self.cypher({
+        "query": query,
         "params": params
-    }, function (error, response) {
+    }, options, function (error, response) {
         if (self.debug) {
             debug("exists:error:%j,response:%j", error, response);
         }
         if (callback) {
-            callback(error, !!response);
+            callback(error, !!(response && response.length));
         }
     });
 };
@@ -554,20 +992,33 @@ Neo4j.prototype.find = function (model, id, options, callback) {
     "use strict";
     var self = this,
         idName = self.getIdName(model),
-        params = {};
+        params = {},
+        query = "";
 
     if (self.debug) {
         debug("find:model:%s,id:%j,options:%j", model, id, options);
     }
-    params[idName] = id;
-    self.db.cypher({
-        "query": "MATCH (n:" + self.label(model) + " {" + idName + ": {id}}) RETURN n",
+    try {
+        query = self.matchClause(model) + " WHERE " + self.propertyRef(model, idName) + " = " +
+            self.idParam(model, id, params) + " RETURN " + self.returnItems(model);
+    } catch (error) {
+        return process.nextTick(function () {
+            callback(error);
+        });
+    }
+    self.cypher({
+        "query": query,
         "params": params
-    }, function (error, response) {
+    }, options, function (error, response) {
         if (self.debug) {
             debug("find:error:%j,response:%j", error, response);
         }
-        response = self.fromDatabase(model, response);
+        try {
+            response = self.toData(model, response && response[0]);
+        } catch (e) {
+            error = error || e;
+            response = null;
+        }
         if (callback) {
             callback(error, response);
         }
@@ -585,58 +1036,55 @@ Neo4j.prototype.find = function (model, id, options, callback) {
 Neo4j.prototype.findOne = function (model, filter, options, callback) {
     "use strict";
     var self = this,
-        query = "MATCH (n:" + self.label(model) + ")",
+        query = self.matchClause(model),
         params = {},
         where = {},
         fields = [],
+        items = "",
         data = [];
 
     if (self.debug) {
         debug("findOne:model:%s,filter:%j,options:%j", model, filter, options);
     }
     filter = filter || {};
-    if (filter.where) {
-        where = self.buildWhere(filter.where);
-        if (self.debug) {
-            debug("findOne:where:%j", where);
-        }
-        if (where.query) {
-            query += " WHERE" + where.query;
-            params = where.params;
-        }
+    fields = self.fieldNames(filter.fields);
+    try {
+        where = self.buildWhere(filter.where, model);
+        items = self.buildFields(model, fields);
+    } catch (error) {
+        return process.nextTick(function () {
+            callback(error);
+        });
     }
-    query += " RETURN n";
-    if (filter.fields) {
-        if ("string" === typeof filter.fields) {
-            fields = filter.fields.split(",");
-        } else if (Array.isArray(filter.fields)) {
-            fields = filter.fields;
-        } else {
-            // Object
-            fields = Object.keys(filter.fields).filter(function (key) {
-                return filter.fields[key];
-            });
-        }
-        query += "." + fields.join(", n.");
+    if (self.debug) {
+        debug("findOne:where:%j", where);
+    }
+    if (where.query) {
+        query += " WHERE" + where.query;
+        params = where.params;
     }
+    query += " RETURN " + items;
     query += " LIMIT 1";
     if (self.debug) {
         debug("findOne:query:%s", query);
     }
-    self.db.cypher({
+    self.cypher({
         "query": query,
         "params": params
-    }, function (error, response) {
+    }, options, function (error, response) {
         if (self.debug) {
             debug("findOne:error:%j,response:%j", error, response);
         }
-        if (response) {
-            data = response.map(function (entry) {
-                return self.fromDatabase(model, entry.n.properties);
-            });
-            if (self.debug) {
-                debug("findOne:data:%j", data);
-            }
+        try {
+            data = response ? response.map(function (entry) {
+                return fields.length ? self.fromDatabase(model, entry) : self.toData(model, entry);
+            }) : data;
+        } catch (e) {
+            error = error || e;
+        }
+        if (self.debug) {
+            // JSON cannot hold the BigInt values of the bigint integer policy
+            debug("findOne:data:%o", data);
         }
         if (callback) {
             callback(error, data);
@@ -650,17 +1098,22 @@ Neo4j.prototype.findOne = function (model, filter, options, callback) {
  * @param {string} model - The model name
  * @param {Object} filter - The filter
  * @param {Object} data - The model instance data
+ * @param {Object} options - The model options
  * @param {Function} callback - The callback function
  */
-Neo4j.prototype.findOrCreate = function (model, filter, data, callback) {
+Neo4j.prototype.findOrCreate = function (model, filter, data, options, callback) {
     "use strict";
     var self = this,
         idName = self.getIdName(model);
 
+    if (!callback && "function" === typeof options) {
+        callback = options;
+        options = {};
+    }
     if (self.debug) {
         debug("findOrCreate:model:%s,filter:%j,data:%j", model, filter, data);
     }
-    self.findOne(model, filter, {}, function (error, response) {
+    self.findOne(model, filter, options, function (error, response) {
         if (self.debug) {
             debug("findOrCreate:error:%j,response:%j", error, response);
         }
@@ -669,12 +1122,13 @@ Neo4j.prototype.findOrCreate = function (model, filter, data, callback) {
                 callback(error);
             }
         } else if (response.length) {
-            response = self.fromDatabase(model, response[0]);
+            // findOne has converted the data already
+            response = response[0];
             if (callback) {
-                callback(error, response);
+                callback(error, response, false);
             }
         } else {
-            self.create(model, data, {}, function (error, response) {
+            self.create(model, data, options, function (error, response) {
                 if (self.debug) {
                     debug("findOrCreate:error1:%j,response1:%j", error, response);
                 }
@@ -685,7 +1139,7 @@ Neo4j.prototype.findOrCreate = function (model, filter, data, callback) {
                         if (!data[idName]) {
                             data[idName] = response;
                         }
-                        callback(error, data);
+                        callback(error, data, true);
                     }
                 }
             });
@@ -707,16 +1161,24 @@ Neo4j.prototype.destroy = function (model, id, options, callback) {
     "use strict";
     var self = this,
         idName = self.getIdName(model),
-        params = {};
+        params = {},
+        query = "";
 
     if (self.debug) {
         debug("destroy:model:%s,id:%j,options:%j", model, id, options);
     }
-    params[idName] = id;
-    self.db.cypher({
-        "query": "MATCH (n:" + self.label(model) + " {" + idName + ": {id}}) DETACH DELETE n",
+    try {
+        query = self.matchClause(model) + " WHERE " + self.propertyRef(model, idName) + " = " +
+            self.idParam(model, id, params) + self.deleteClause(model);
+    } catch (error) {
+        return process.nextTick(function () {
+            callback(error);
+        });
+    }
+    self.cypher({
+        "query": query,
         "params": params
-    }, function (error, response) {
+    }, options, function (error, response) {
         if (self.debug) {
             debug("destroy:error:%j,response:%j", error, response);
         }
@@ -728,7 +1190,7 @@ Neo4j.prototype.destroy = function (model, id, options, callback) {
 
 /**
  * Find matching model instances by the filter.
- * TODO: include filter.
+ * Includes are resolved within the same query when possible, see `buildInclude`.
  *
  * @param {string} model - The model name
  * @param {Object} filter - The filter
@@ -738,81 +1200,135 @@ Neo4j.prototype.destroy = function (model, id, options, callback) {
 Neo4j.prototype.all = function (model, filter, options, callback) {
     "use strict";
     var self = this,
-        query = "MATCH (n:" + self.label(model) + ")",
+        query = self.matchClause(model),
         params = {},
         where = {},
         order = "",
+        page = "",
         fields = [],
+        include = null,
+        includeParams = {},
+        items = "",
+        keys = null,
+        after = "",
+        score = "",
         data = [];
 
     if (self.debug) {
         debug("all:model:%s,filter:%j,options:%j", model, filter, options);
     }
     filter = filter || {};
-    if (filter.where) {
-        where = self.buildWhere(filter.where);
-        if (self.debug) {
-            debug("all:where:%j", where);
+    try {
+        where = self.buildWhere(filter.where, model, undefined, true);
+        if (filter.cursor || filter.after) {
+            // Keyset pagination, see lib/cursor.js
+            keys = self.cursorKeys(model, filter.order);
+            order = " ORDER BY" + self.buildSort(keys.map(function (key) {
+                return key.order;
+            }), model);
+            if (filter.after) {
+                after = self.buildAfter(model, keys, filter.after, where.params);
+                where.query = where.query ? " (" + where.query.trim() + ") AND" + after : after;
+            }
+        } else if (filter.order) {
+            order = " ORDER BY" + self.buildSort(filter.order, model, undefined, where.search);
+        } else if (where.search) {
+            // Most relevant first
+            order = " ORDER BY " + where.search.score + " DESC";
+        } else if (where.distance) {
+            // Nearest first
+            order = " ORDER BY " + where.distance;
         }
-        if (where.query) {
-            query += " WHERE" + where.query;
-            params = where.params;
+        if (filter.include && false !== self.settings.compileIncludes) {
+            include = self.buildInclude(model, "n", self.matchVariables(model), filter.include, includeParams);
         }
-    }
-    query += " RETURN n";
-    if (filter.fields) {
-        if ("string" === typeof filter.fields) {
-            fields = filter.fields.split(",");
-        } else if (Array.isArray(filter.fields)) {
-            fields = filter.fields;
-        } else {
-            // Object
-            fields = Object.keys(filter.fields).filter(function (key) {
-                return filter.fields[key];
-            });
+        if (!include) {
+            fields = self.fieldNames(filter.fields);
+            if (keys && fields.length) {
+                // The next cursor is built from the sort keys
+                fields = fields.concat(keys.map(function (key) {
+                    return key.key;
+                }).filter(function (key) {
+                    return -1 === fields.indexOf(key);
+                }));
+            }
+            items = self.buildFields(model, fields);
         }
-        fields = fields.map(function (field) {
-            return field + " AS " + field;
+    } catch (error) {
+        return process.nextTick(function () {
+            callback(error);
         });
-        query += "." + fields.join(", n.");
     }
-    if (filter.order) {
-        order = self.buildSort(filter.order);
-        query += " ORDER BY" + order;
+    if (self.debug) {
+        debug("all:where:%j", where);
+    }
+    if (where.search) {
+        query = where.search.query;
+        score = ", " + where.search.score + " AS " + self.variable(where.search.property);
+    }
+    if (where.query) {
+        query += " WHERE" + where.query;
+        params = where.params;
     }
     if (filter.skip) {
-        query += " SKIP {skip}";
+        page += " SKIP " + self.dialect.param("skip");
         params.skip = filter.skip;
     }
     if (filter.limit) {
-        query += " LIMIT {limit}";
+        page += " LIMIT " + self.dialect.param("limit");
         params.limit = filter.limit;
     }
+    if (include) {
+        // Page the instances before matching the related ones, the ordering is lost by collecting them
+        query += " WITH " + self.matchVariables(model).concat(where.search ? [where.search.score] : []).join(", ") +
+            order + page + include.query + " RETURN " + self.returnItems(model) + score +
+            include.columns.map(function (column) {
+                return ", " + column.variable + " AS " + self.quote("n_include_" + column.relation);
+            }).join("") + order;
+        Object.keys(includeParams).forEach(function (key) {
+            params[key] = includeParams[key];
+        });
+    } else {
+        query += " RETURN " + items + score + order + page;
+    }
     if (self.debug) {
         debug("all:query:%s", query);
     }
-    self.db.cypher({
+    self.cypher({
         "query": query,
         "params": params
-    }, function (error, response) {
+    }, options, function (error, response) {
         if (self.debug) {
             debug("all:error:%j,response:%j", error, response);
         }
+        try {
+            data = response ? response.map(function (entry) {
+                var instance = fields.length ? self.fromDatabase(model, entry) : self.toData(model, entry);
+
+                if (include) {
+                    instance.__cachedRelations = self.includedRelations(model, entry, filter.include);
+                }
+                if (where.search) {
+                    instance[where.search.property] = entry[where.search.property];
+                }
+                return instance;
+            }) : data;
+        } catch (e) {
+            // Integers which cannot be read exactly fail the query, see `Neo4j#readInteger`
+            error = error || e;
+            response = null;
+        }
         if (response) {
-            if (filter.fields) {
-                data = response.map(function (entry) {
-                    return self.fromDatabase(model, entry);
-                });
-            } else {
-                data = response.map(function (entry) {
-                    return self.fromDatabase(model, entry.n.properties);
-                });
-            }
             if (self.debug) {
-                debug("all:data:%j", data);
+                // JSON cannot hold the BigInt values of the bigint integer policy
+                debug("all:data:%o", data);
+            }
+            if (keys) {
+                data.nextCursor = filter.limit && data.length >= filter.limit ?
+                    self.encodeCursor(keys, data[data.length - 1]) : null;
             }
         }
-        if(filter && filter.include) {
+        if (filter.include && !include && !error) {
             self.getModelDefinition(model).model.include(
                 data, filter.include, options, callback);
         } else {
@@ -834,7 +1350,7 @@ Neo4j.prototype.all = function (model, filter, options, callback) {
 Neo4j.prototype.destroyAll = function (model, where, options, callback) {
     "use strict";
     var self = this,
-        query = "MATCH (n:" + self.label(model) + ")",
+        query = self.matchClause(model),
         params = {},
         cypher = {};
 
@@ -842,7 +1358,13 @@ Neo4j.prototype.destroyAll = function (model, where, options, callback) {
         debug("destroyAll:model:%s,where:%j,options:%j", model, where, options);
     }
     if (where) {
-        cypher = self.buildWhere(where);
+        try {
+            cypher = self.buildWhere(where, model);
+        } catch (error) {
+            return process.nextTick(function () {
+                callback(error);
+            });
+        }
         if (self.debug) {
             debug("destroyAll:where:%j", cypher);
         }
@@ -851,19 +1373,27 @@ Neo4j.prototype.destroyAll = function (model, where, options, callback) {
             params = cypher.params;
         }
     }
-    query += " DETACH DELETE n RETURN COUNT(n) AS count";
+    query += self.deleteClause(model) + " RETURN COUNT(n) AS count";
     if (self.debug) {
         debug("all:query:%s", query);
     }
-    self.db.cypher({
+    self.cypher({
         "query": query,
         "params": params
-    }, function (error, response) {
+    }, options, function (error, response) {
         if (self.debug) {
             debug("destroyAll:error:%j,response:%j", error, response);
         }
+        try {
+            response = response && {
+                "count": self.readCount(response[0].count)
+            };
+        } catch (e) {
+            error = error || e;
+            response = null;
+        }
         if (callback) {
-            callback(error, response[0]);
+            callback(error, response);
         }
     });
 };
@@ -880,7 +1410,7 @@ Neo4j.prototype.destroyAll = function (model, where, options, callback) {
 Neo4j.prototype.count = function (model, where, options, callback) {
     "use strict";
     var self = this,
-        query = "MATCH (n:" + self.label(model) + ")",
+        query = self.matchClause(model),
         params = {},
         cypher = {};
 
@@ -888,25 +1418,40 @@ Neo4j.prototype.count = function (model, where, options, callback) {
         debug("count:model:%s,where:%j,options:%j", model, where, options);
     }
     if (where) {
-        cypher = self.buildWhere(where);
+        try {
+            cypher = self.buildWhere(where, model, undefined, true);
+        } catch (error) {
+            return process.nextTick(function () {
+                callback(error);
+            });
+        }
         if (self.debug) {
             debug("count:where:%j", cypher);
         }
+        if (cypher.search) {
+            query = cypher.search.query;
+        }
         if (cypher.query) {
             query += " WHERE" + cypher.query;
             params = cypher.params;
         }
     }
     query += " RETURN COUNT(n) AS count";
-    self.db.cypher({
+    self.cypher({
         "query": query,
         "params": params
-    }, function (error, response) {
+    }, options, function (error, response) {
         if (self.debug) {
             debug("count:error:%j,response:%j", error, response);
         }
+        try {
+            response = response && self.readCount(response[0].count);
+        } catch (e) {
+            error = error || e;
+            response = null;
+        }
         if (callback) {
-            callback(error, response[0].count);
+            callback(error, response);
         }
     });
 };
@@ -924,16 +1469,33 @@ Neo4j.prototype.updateAttributes = function (model, id, data, options, callback)
     "use strict";
     var self = this,
         idName = self.getIdName(model),
-        params = {};
+        params = {},
+        match = "",
+        write = {};
 
     if (self.debug) {
         debug("updateAttributes:model:%s,id:%j,data:%j,options:%j", model, id, data, options);
     }
-    params[idName] = id;
-    params.properties = data;
-    self.db.cypher({
-        "query": "MATCH (n:" + self.label(model) + " {" + idName + ": {id}}) SET n += {properties}",
-        "params": params
+    try {
+        write = self.buildWrite(model, data, params);
+        match = self.matchClause(model) + " WHERE " + self.propertyRef(model, idName) + " = " +
+            self.idParam(model, id, params);
+    } catch (error) {
+        return process.nextTick(function () {
+            callback(error);
+        });
+    }
+    params.properties = write.properties;
+    self.writeEdgeKeys(model, data, options, function (edgeOptions, edgeDone) {
+        self.writeFlattened(model, match, params, [{
+            "data": data,
+            "properties": write.properties
+        }], edgeOptions, function (writeOptions, done) {
+            self.cypher({
+                "query": match + " SET n += " + self.dialect.param("properties") + write.query,
+                "params": params
+            }, writeOptions, done);
+        }, edgeDone);
     }, function (error, response) {
         if (self.debug) {
             debug("updateAttributes:error:%j,response:%j", error, response);
@@ -956,15 +1518,22 @@ Neo4j.prototype.updateAttributes = function (model, id, data, options, callback)
 Neo4j.prototype.updateAll = function (model, where, data, options, callback) {
     "use strict";
     var self = this,
-        query = "MATCH (n:" + self.label(model) + ")",
+        query = self.matchClause(model),
         params = {},
-        cypher = {};
+        cypher = {},
+        write = {};
 
     if (self.debug) {
         debug("updateAll:model:%s,where:%j,data:%j,options:%j", model, where, data, options);
     }
     if (where) {
-        cypher = self.buildWhere(where);
+        try {
+            cypher = self.buildWhere(where, model);
+        } catch (error) {
+            return process.nextTick(function () {
+                callback(error);
+            });
+        }
         if (self.debug) {
             debug("updateAll:where:%j", cypher);
         }
@@ -973,17 +1542,39 @@ Neo4j.prototype.updateAll = function (model, where, data, options, callback) {
             params = cypher.params;
         }
     }
-    query += " SET n += {properties} RETURN COUNT(n) AS count";
-    params.properties = data;
-    self.db.cypher({
-        "query": query,
-        "params": params
+    try {
+        write = self.buildWrite(model, data, params);
+    } catch (error) {
+        return process.nextTick(function () {
+            callback(error);
+        });
+    }
+    params.properties = write.properties;
+    self.writeEdgeKeys(model, data, options, function (edgeOptions, edgeDone) {
+        self.writeFlattened(model, query, params, [{
+            "data": data,
+            "properties": write.properties
+        }], edgeOptions, function (writeOptions, done) {
+            self.cypher({
+                "query": query + " SET n += " + self.dialect.param("properties") + write.query +
+                    " RETURN COUNT(DISTINCT n) AS count",
+                "params": params
+            }, writeOptions, done);
+        }, edgeDone);
     }, function (error, response) {
         if (self.debug) {
             debug("updateAll:error:%j,response:%j", error, response);
         }
+        try {
+            response = response && {
+                "count": self.readCount(response[0].count)
+            };
+        } catch (e) {
+            error = error || e;
+            response = null;
+        }
         if (callback) {
-            callback(error, response[0]);
+            callback(error, response);
         }
     });
 };
@@ -991,187 +1582,360 @@ Neo4j.prototype.updateAll = function (model, where, data, options, callback) {
 Neo4j.prototype.update = Neo4j.prototype.updateAll;
 
 /**
- * Execute cypher queries.
+ * Execute cypher queries. They are only retried after a connection error when the command is flagged
+ * `idempotent: true`.
  *
- * @param {String|Object} command - The cypher query
+ * @param {String|Object} command - The cypher query, `{query, params}` or `{queries: [...]}`
  * @param {*[]} params - An array of parameter values (unused)
- * @param {Object} options - the options
+ * @param {Object} options - the options, `options.transaction` (or a raw `options.tx`) runs the query in a transaction
  * @param {Function} callback - the callback function
  */
 Neo4j.prototype.execute = function (command, params, options, callback) {
     "use strict";
     var self = this,
-        cypher = {};
+        cypher = {
+            "idempotent": false
+        };
     if ("string" === typeof command) {
         cypher.query = command;
+    } else if (Array.isArray(command)) {
+        cypher.queries = command;
     } else {
-        cypher = command;
+        Object.keys(command || {}).forEach(function (key) {
+            cypher[key] = command[key];
+        });
     }
     if ("function" === typeof params) {
         callback = params;
+        options = {};
+    } else if ("function" === typeof options) {
+        callback = options;
+        options = {};
     }
 
     if (self.debug) {
         debug("execute:cypher:%j", cypher);
     }
-    return this.db.cypher(cypher, callback, options && options.tx ? options.tx : undefined);
+    self.cypher(cypher, options, callback);
+};
+
+/**
+ * Run cypher queries, within the transaction of the options if there is one. Outside of a transaction they are run
+ * again after a retryable error, see `Neo4j#retry`.
+ *
+ * @param {Object} cypher - `{query, params}` or `{queries: [...]}`, flagged `idempotent: false` if running the
+ * queries twice does not have the same effect as running them once
+ * @param {Object} options - The model options
+ * @param {Function} callback - The callback function
+ */
+Neo4j.prototype.cypher = function (cypher, options, callback) {
+    "use strict";
+    var self = this,
+        tx = self.getTransaction(options),
+        done = function (error, response) {
+            callback(self.translateError(error), response);
+        };
+
+    if (!tx) {
+        return self.retry("cypher", function (next) {
+            self.db.cypher(cypher, function (error, response) {
+                next(self.translateError(error), response);
+            });
+        }, false !== cypher.idempotent, callback);
+    }
+    if (self.debug) {
+        debug("cypher:transaction:%j", cypher);
+    }
+    // The REST endpoint rejects concurrent requests within a transaction, so they are queued
+    tx.pending = (tx.pending || Promise.resolve()).then(function () {
+        return new Promise(function (resolve) {
+            try {
+                tx.cypher(cypher, function (error, response) {
+                    resolve();
+                    done(error, response);
+                });
+            } catch (e) {
+                resolve();
+                done(e);
+            }
+        });
+    });
+};
+
+/**
+ * Prepare the filter of a model method the connector adds, the way `find` does: normalize it, apply the default scope
+ * and notify the `access` observers, which may replace it.
+ *
+ * @param {Function} Model - The model class
+ * @param {Object} filter - The filter, normalized in place
+ * @param {Object} options - The model options
+ * @param {Function} callback - Called with an error or the filter to run
+ */
+Neo4j.prototype.prepareFilter = function (Model, filter, options, callback) {
+    "use strict";
+    try {
+        Model._normalize(filter, options);
+    } catch (error) {
+        return process.nextTick(callback, error);
+    }
+    Model.applyScope(filter);
+    Model.notifyObserversOf("access", {
+        "Model": Model,
+        "query": filter,
+        "hookState": {},
+        "options": options
+    }, function (error, context) {
+        callback(error, context && context.query);
+    });
 };
 
 /**
- * Begin a transaction. Returns the Neo4j transaction object.
- * Note that this is not an implementation of native loopback transactions,
- * just a wrapper for using Neo4j transactions.
+ * Get the Neo4j transaction to run queries in from the model options.
+ * Only transactions begun by this connector are joined.
  *
+ * @param {Object} options - The model options
  * @returns {Object}
  */
-Neo4j.prototype.startTransaction = function () {
+Neo4j.prototype.getTransaction = function (options) {
     "use strict";
-    return this.db.beginTransaction();
+    var transaction = options && options.transaction;
+
+    if (transaction && transaction.connector === this && transaction.connection) {
+        return transaction.connection;
+    }
+    return (options && options.tx) || null;
 };
 
 /**
- * Perform auto update for the given models. It basically calls CREATE INDEX.
+ * Begin a transaction. Implements the LoopBack transaction contract, so `Model.beginTransaction()` works
+ * and CRUD methods join the transaction passed as `options.transaction`.
+ * Neo4j only provides the READ COMMITTED isolation level.
  *
- * @param {*} models - A model name or an array of model names or callback function if models is skipped. If not
- * present, apply to all models
+ * @param {string} isolationLevel - The isolation level
  * @param {Function} callback - The callback function
  */
-Neo4j.prototype.autoupdate = function (models, callback) {
+Neo4j.prototype.beginTransaction = function (isolationLevel, callback) {
     "use strict";
     var self = this,
-        queries = [];
+        config = {};
 
     if (self.debug) {
-        debug("autoupdate:models:%j", models);
+        debug("beginTransaction:isolationLevel:%s", isolationLevel);
     }
-    if (!callback && "function" === typeof models) {
-        callback = models;
-        models = undefined;
+    if (isolationLevel && Transaction.READ_COMMITTED !== isolationLevel) {
+        return process.nextTick(function () {
+            callback(new Error("Isolation level " + isolationLevel + " is not supported, Neo4j only provides " +
+                Transaction.READ_COMMITTED));
+        });
     }
-    // First argument is a model name
-    if ("string" === typeof models) {
-        models = [models];
+    if (self.settings.transactionTimeout) {
+        // Only the Bolt protocol lets the server enforce a timeout
+        config.timeout = self.settings.transactionTimeout;
     }
+    process.nextTick(function () {
+        callback(null, self.db.beginTransaction(config));
+    });
+};
 
-    models = models || Object.keys(self._models);
-    models.forEach(function (model) {
-        var indexes = self.getModelDefinition(model).settings.indexes || [],
-            properties = self.getModelDefinition(model).properties,
-            idName = self.getIdName(model),
-            indexNames = [],
-            index = {},
-            keyList = [],
-            indexProperties = {},
-            uniqueProperties = {},
-            existProperties = {},
-            propertyNames = Object.keys(properties),
-            indexPropertiesArray = [],
-            uniquePropertiesArray = [],
-            existPropertiesArray = [];
-
-        // Always ensure ID is unique
-        uniqueProperties[idName] = 1;
-        // Always ensure ID property exists
-        existProperties[idName] = 1;
-
-        // Get model global indexes
-        if ("object" === typeof indexes) {
-            indexNames = Object.keys(indexes);
-            indexNames.forEach(function (indexName) {
-                index = indexes[indexName];
-                if (index.keys) {
-                    keyList = Object.keys(index.keys);
-                    if (1 === keyList.length) {
-                        if (index.options && index.options.unique) {
-                            // Creating constraint will also create index, so we don't need to create index separately.
-                            uniqueProperties[keyList[0]] = 1;
-                        } else {
-                            indexProperties[keyList[0]] = 1;
-                        }
-                    } else if (keyList.length) {
-                        // Note that composite key unique constraints are not supported in Neo4j
-                        // at the time of writing this.
-                        keyList.forEach(function (key) {
-                            indexProperties[key] = 1;
-                        });
-                    }
-                } else {
-                    keyList = Object.keys(index);
-                    if (keyList.length) {
-                        keyList.forEach(function (key) {
-                            indexProperties[key] = 1;
-                        });
-                    }
+/**
+ * Commit or roll back a transaction once its queued queries are done.
+ *
+ * @param {Neo4j} connector - The connector
+ * @param {Object} tx - The Neo4j transaction
+ * @param {string} action - "commit" or "rollback"
+ * @param {Function} callback - The callback function
+ */
+var endTransaction = function (connector, tx, action, callback) {
+    "use strict";
+    (tx.pending || Promise.resolve()).then(function () {
+        if ("rollback" === action && "rolled back" === tx.state) {
+            // Neo4j already rolled back the transaction because one of its queries failed
+            return callback(null);
+        }
+        try {
+            tx[action](function (error) {
+                if (connector.debug) {
+                    debug("%s:error:%j", action, error);
                 }
+                callback(connector.translateError(error));
             });
-        } else if (Array.isArray(indexes)) {
-            indexes.forEach(function (key) {
-                indexProperties[key] = 1;
-            });
+        } catch (e) {
+            callback(connector.translateError(e));
         }
+    });
+};
 
-        // Get property local indexes
-        propertyNames.forEach(function (p) {
-            if (properties[p].index) {
-                if ("object" === typeof properties[p].index && properties[p].index.unique) {
-                    // Creating constraint will also create index, so we don't need to create index separately.
-                    uniqueProperties[p] = 1;
-                } else {
-                    indexProperties[p] = 1;
-                }
-            }
-        });
+/**
+ * Commit a transaction.
+ *
+ * @param {Object} tx - The Neo4j transaction
+ * @param {Function} callback - The callback function
+ */
+Neo4j.prototype.commit = function (tx, callback) {
+    "use strict";
+    if (this.debug) {
+        debug("commit");
+    }
+    endTransaction(this, tx, "commit", callback);
+};
 
-        if (self.debug) {
-            debug("autoupdate:indexes,unique,exist(%s): %j, %j, %j", model, indexProperties, uniqueProperties, existProperties);
-        }
+/**
+ * Roll back a transaction.
+ *
+ * @param {Object} tx - The Neo4j transaction
+ * @param {Function} callback - The callback function
+ */
+Neo4j.prototype.rollback = function (tx, callback) {
+    "use strict";
+    if (this.debug) {
+        debug("rollback");
+    }
+    endTransaction(this, tx, "rollback", callback);
+};
 
-        uniquePropertiesArray = Object.keys(uniqueProperties);
-        if (uniquePropertiesArray.length) {
-            uniquePropertiesArray.forEach(function (property) {
-                queries.push({
-                    "query": "CREATE CONSTRAINT ON (n:" + self.label(model) + ") ASSERT n." + property + " IS UNIQUE"
-                });
-            });
-        }
+/**
+ * Begin a transaction. Returns the Neo4j transaction object, which can be passed to `execute` as `options.tx`.
+ * Prefer `Model.beginTransaction()`, which works with all the CRUD methods.
+ *
+ * @returns {Object}
+ */
+Neo4j.prototype.startTransaction = function () {
+    "use strict";
+    return this.db.beginTransaction();
+};
 
-        indexPropertiesArray = Object.keys(indexProperties);
-        if (indexPropertiesArray.length) {
-            indexPropertiesArray.forEach(function (property) {
-                queries.push({
-                    "query": "CREATE INDEX ON :" + self.label(model) + "(" + property + ")"
-                });
+/**
+ * Run a transaction function: `work(options, done)` gets model options joining a new transaction, which is committed
+ * once it calls `done(null, result)` (or its promise resolves) and rolled back if it fails. The whole function is
+ * run again in a new transaction after a retryable error, see `Neo4j#retry`, so it should have no other side effects.
+ *
+ * @param {Function} work - The transaction function
+ * @param {Object} [options] - The options, `isolationLevel` is passed to `beginTransaction`
+ * @param {Function} [callback] - The callback function, receiving the result of the transaction function
+ * @returns {Promise} A promise when called without callback
+ */
+Neo4j.prototype.runTransaction = function (work, options, callback) {
+    "use strict";
+    var self = this,
+        attempt = function (next) {
+            self.beginTransaction(options.isolationLevel, function (error, connection) {
+                var transaction = null,
+                    finished = false,
+                    done = function (error, result) {
+                        if (finished) {
+                            return;
+                        }
+                        finished = true;
+                        if (error) {
+                            return transaction.rollback(function () {
+                                next(error);
+                            });
+                        }
+                        transaction.commit(function (error) {
+                            next(error, result);
+                        });
+                    },
+                    result = null;
+
+                if (error) {
+                    return next(error);
+                }
+                transaction = new Transaction(self, connection);
+                try {
+                    result = work({
+                        "transaction": transaction
+                    }, done);
+                } catch (e) {
+                    return done(e);
+                }
+                if (result && "function" === typeof result.then) {
+                    result.then(function (value) {
+                        done(null, value);
+                    }, done);
+                }
             });
-        }
+        },
+        run = function (callback) {
+            self.retry("runTransaction", attempt, true, callback);
+        };
 
-        // Property existence constraint requires Neo4j Enterprise Edition
-        if (self.settings.enterprise) {
-            existPropertiesArray = Object.keys(existProperties);
-            if (existPropertiesArray.length) {
-                existPropertiesArray.forEach(function (property) {
-                    queries.push({
-                        "query": "CREATE CONSTRAINT ON (n:" + self.label(model) + ") ASSERT EXISTS(n." + property + ")"
-                    });
-                });
-            }
-        }
-    });
+    if ("function" === typeof options) {
+        callback = options;
+        options = {};
+    }
+    options = options || {};
+    if (self.debug) {
+        debug("runTransaction:options:%j", options);
+    }
+    if (callback) {
+        return run(callback);
+    }
+    return Promise.fromCallback(run);
+};
 
-    if (queries.length) {
+/**
+ * Perform auto update for the given models: create the indexes and constraints of `modelSchema` missing from the
+ * server, see `schemaDiff`. Those of the server no model declares are left in place unless the `drop` option is set.
+ *
+ * @param {*} models - A model name or an array of model names or callback function if models is skipped. If not
+ * present, apply to all models
+ * @param {Object} [options] - `{dryRun: true}` only returns the statements which would be run, `{drop: true}` also
+ * drops the indexes and constraints of the labels and relationship types of the models no model declares
+ * @param {Function} callback - The callback function
+ */
+Neo4j.prototype.autoupdate = function (models, options, callback) {
+    "use strict";
+    var self = this;
+
+    if (self.debug) {
+        debug("autoupdate:models:%j", models);
+    }
+    if ("function" === typeof models) {
+        callback = models;
+        models = undefined;
+        options = {};
+    } else if ("function" === typeof options) {
+        callback = options;
+        options = {};
+    }
+    options = options || {};
+    callback = callback || function () {
+        return undefined;
+    };
+
+    self.schemaDiff(models, function (error, diff) {
+        var queries = [];
+
+        if (error) {
+            return callback(self.translateError(error));
+        }
+        // Drop constraints before indexes, and both before creating, as a constraint cannot be created on the
+        // properties of an index left in place
+        queries = (options.drop ? diff.drop : []).concat(diff.create).map(function (entry) {
+            return {
+                "query": entry.query
+            };
+        });
         if (self.debug) {
             debug("autoupdate:queries: %j", queries);
         }
+        if (options.dryRun) {
+            return callback(null, queries.map(function (entry) {
+                return entry.query;
+            }));
+        }
+        if (!queries.length) {
+            return callback();
+        }
         self.db.cypher({
             "queries": queries
         }, function (error, response) {
             if (self.debug) {
                 debug("autoupdate:error:%j,response:%j", error, response);
             }
-            if (callback) {
-                callback(error, response);
-            }
+            callback(self.translateError(error), response);
         });
-    }
+    });
 };
 
 /**
@@ -1183,10 +1947,8 @@ Neo4j.prototype.autoupdate = function (models, callback) {
 Neo4j.prototype.automigrate = function (models, callback) {
     "use strict";
     var self = this,
-        labels = {},
-        neo4jHttp = Promise.promisify(self.db.http, {
-            "context": self.db
-        }),
+        // The labels and relationship types of the models, see `schemaTarget`
+        targets = {},
         neo4jCypher = Promise.promisify(self.db.cypher, {
             "context": self.db
         });
@@ -1205,12 +1967,19 @@ Neo4j.prototype.automigrate = function (models, callback) {
 
     models = models || Object.keys(self._models);
     models.forEach(function (model) {
-        labels[self.label(model)] = 1;
+        targets[self.schemaTarget(model)] = 1;
     });
-    neo4jHttp({
-        "method": "GET",
-        "path": "/db/data/schema/constraint"
-    })
+    // The schema statements depend on the server version
+    Promise.promisify(self.connect, {
+        "context": self
+    })()
+        .then(function () {
+            // Fail before dropping anything if the server cannot create the schema of the models
+            self.schemaStatements(models);
+            return neo4jCypher({
+                "query": self.dialect.listConstraints()
+            });
+        })
         .then(function (response) {
             var queries = [];
 
@@ -1219,15 +1988,13 @@ Neo4j.prototype.automigrate = function (models, callback) {
             }
             // Drop uniqueness constraints first, because indexes created by those cannot be dropped directly
             response.forEach(function (entry) {
-                /* jscs:disable requireCamelCaseOrUpperCaseIdentifiers */
-                if ("UNIQUENESS" === entry.type && labels[entry.label]) {
-                    // Note that composite key unique constraints are not supported in Neo4j
-                    // at the time of writing this.
+                var constraint = self.dialect.parseConstraint(entry);
+
+                if (targets[constraint.entityType + ":" + constraint.labels[0]]) {
                     queries.push({
-                        "query": "DROP CONSTRAINT ON (n:" + entry.label + ") ASSERT n." + entry.property_keys[0] + " IS UNIQUE"
+                        "query": self.dialect.dropConstraint(constraint)
                     });
                 }
-                /* jscs:enable requireCamelCaseOrUpperCaseIdentifiers */
             });
             if (queries.length) {
                 if (self.debug) {
@@ -1244,9 +2011,8 @@ Neo4j.prototype.automigrate = function (models, callback) {
             }
         })
         .then(function () {
-            return neo4jHttp({
-                "method": "GET",
-                "path": "/db/data/schema/index"
+            return neo4jCypher({
+                "query": self.dialect.listIndexes()
             });
         })
         .then(function (response) {
@@ -1256,15 +2022,14 @@ Neo4j.prototype.automigrate = function (models, callback) {
                 debug("automigrate:response2:%j", response);
             }
             response.forEach(function (entry) {
-                /* jscs:disable requireCamelCaseOrUpperCaseIdentifiers */
-                if (labels[entry.label]) {
-                    // Note that composite key indexes are not supported in Neo4j
-                    // at the time of writing this.
+                var index = self.dialect.parseIndex(entry);
+
+                // Indexes backing a constraint are dropped together with the constraint
+                if (targets[index.entityType + ":" + index.labels[0]] && index.properties.length && !index.unique) {
                     queries.push({
-                        "query": "DROP INDEX ON :" + entry.label + "(" + entry.property_keys[0] + ")"
+                        "query": self.dialect.dropIndex(index)
                     });
                 }
-                /* jscs:enable requireCamelCaseOrUpperCaseIdentifiers */
             });
             if (queries.length) {
                 if (self.debug) {
@@ -1279,14 +2044,16 @@ Neo4j.prototype.automigrate = function (models, callback) {
             if (self.debug) {
                 debug("automigrate:response3:%j", response);
             }
-            self.autoupdate(models, callback);
-        })
-        .catch(function (error) {
+            // Continue outside of the promise chain, so errors thrown by the callback are not swallowed
+            process.nextTick(function () {
+                self.autoupdate(models, callback);
+            });
+        }, function (error) {
             if (self.debug) {
                 debug("automigrate:error:%j", error);
             }
             if (callback) {
-                callback(error);
+                process.nextTick(callback, self.translateError(error));
             }
         });
 };
@@ -0,0 +1,289 @@
+/**
+ * Nested properties: Neo4j properties cannot hold maps or lists of maps, so properties typed `Object`, typed with a
+ * model (including the anonymous models of nested definitions like `{address: {city: String}}`) or arrays of those
+ * are stored in one of two ways, chosen by the `store` of the property's `neo4j` settings, else by the `nested`
+ * setting of the data source:
+ *
+ * - `json` (the default): a JSON string, parsed when read.
+ * - `flatten`: one property per leaf value, named by its dotted path, e.g. `address.city`, which `where` filters and
+ *   `order` can refer to. Arrays of objects cannot be flattened and are always stored as JSON.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * Create the error reported for a value or a filter which cannot be used with a nested property.
+     *
+     * @param {string} message - The error message
+     * @returns {Error}
+     */
+    var invalidNested = function (message) {
+        var error = new Error(message);
+
+        error.statusCode = 400;
+        return error;
+    };
+
+    /**
+     * Check whether a property type holds objects: `Object` or a model.
+     *
+     * @param {*} type - The property type
+     * @returns {boolean}
+     */
+    var isObjectType = function (type) {
+        return "function" === typeof type && (Object === type || !!type.definition);
+    };
+
+    /**
+     * Check whether a value is a map of properties, as opposed to a leaf value.
+     *
+     * @param {*} value - The value
+     * @returns {boolean}
+     */
+    var isMap = function (value) {
+        return null !== value && "object" === typeof value && !Array.isArray(value);
+    };
+
+    /**
+     * Get the dotted paths of the leaf properties a model type declares, e.g. `["city", "geo.lat"]`.
+     *
+     * @param {*} type - The property type
+     * @returns {string[]}
+     */
+    var declaredPaths = function (type) {
+        var properties = (isObjectType(type) && type.definition && type.definition.properties) || {};
+
+        return Object.keys(properties).reduce(function (paths, key) {
+            var nested = properties[key].type;
+
+            if (isObjectType(nested) && nested.definition) {
+                return paths.concat(declaredPaths(nested).map(function (path) {
+                    return key + "." + path;
+                }));
+            }
+            return paths.concat([key]);
+        }, []);
+    };
+
+    /**
+     * Flatten a map into dotted property names.
+     *
+     * @param {string} prefix - The path of the map
+     * @param {Object} value - The map, holding JSON values
+     * @param {Object} properties - The properties to add the leaf values to
+     * @throws {Error} with status code 400 if the map holds arrays of objects
+     */
+    var flatten = function (prefix, value, properties) {
+        Object.keys(value).forEach(function (key) {
+            var path = prefix + "." + key;
+
+            if (isMap(value[key])) {
+                flatten(path, value[key], properties);
+            } else if (Array.isArray(value[key]) && value[key].some(isMap)) {
+                throw invalidNested("Cannot flatten the array of objects " + path + ", store it as JSON");
+            } else {
+                properties[path] = value[key];
+            }
+        });
+    };
+
+    /**
+     * Set a value at a dotted path of a map, creating the intermediate maps.
+     *
+     * @param {Object} map - The map
+     * @param {string} path - The path
+     * @param {*} value - The value
+     */
+    var setPath = function (map, path, value) {
+        var keys = path.split("."),
+            last = keys.pop();
+
+        keys.forEach(function (key) {
+            if (!isMap(map[key])) {
+                map[key] = {};
+            }
+            map = map[key];
+        });
+        map[last] = value;
+    };
+
+    /**
+     * Get how a nested property is stored, see the module documentation.
+     *
+     * @param {string} model - The model name
+     * @param {string} property - The property name
+     * @returns {string} "json" or "flatten", or null for properties which are not nested
+     */
+    Neo4j.prototype.nestedStore = function (model, property) {
+        var definition = this.getModelDefinition(model).properties[property],
+            type = definition && definition.type,
+            store = "";
+
+        if (Array.isArray(type)) {
+            return isObjectType(type[0]) ? "json" : null;
+        }
+        if (!isObjectType(type)) {
+            return null;
+        }
+        store = (definition.neo4j && definition.neo4j.store) || this.settings.nested;
+        return "flatten" === store ? "flatten" : "json";
+    };
+
+    /**
+     * Convert the value of a nested property to the properties storing it. A flattened value also clears the leaf
+     * properties its model type declares but it lacks, so they do not outlive an update.
+     *
+     * @param {string} model - The model name
+     * @param {string} property - The property name
+     * @param {*} value - The value
+     * @param {Object} properties - The properties to write, extended with the stored ones
+     * @throws {Error} with status code 400 if the value cannot be flattened
+     */
+    Neo4j.prototype.storeNested = function (model, property, value, properties) {
+        var flattened = {};
+
+        if (undefined === value) {
+            return;
+        }
+        // Model instances and dates become the JSON LoopBack would send
+        value = null === value ? null : JSON.parse(JSON.stringify(value));
+        if ("json" === this.nestedStore(model, property)) {
+            properties[property] = null === value ? null : JSON.stringify(value);
+            return;
+        }
+        if (null !== value && !isMap(value)) {
+            throw invalidNested("The property " + property + " of " + model + " must be an object");
+        }
+        declaredPaths(this.getModelDefinition(model).properties[property].type).forEach(function (path) {
+            flattened[property + "." + path] = null;
+        });
+        if (value) {
+            flatten(property, value, flattened);
+        }
+        Object.keys(flattened).forEach(function (key) {
+            properties[key] = flattened[key];
+        });
+    };
+
+    /**
+     * Run a write replacing the whole value of the flattened properties it sets: the dotted keys the matched nodes or
+     * relationships hold for them but the write leaves out are set to null. The leaf paths of an `Object` are only
+     * known by reading them, so the keys are read, locking the matched nodes or relationships, in the transaction of
+     * the write, a new one unless the options give one.
+     *
+     * @param {string} model - The model name
+     * @param {string} match - The clauses binding the nodes or relationships to `n`
+     * @param {Object} params - The parameters of the match
+     * @param {Object[]} writes - The written data and the properties storing it, `[{data, properties}]`, the
+     * properties being extended with the stale keys
+     * @param {Object} options - The options of the write
+     * @param {Function} write - Runs the write, `write(options, callback)`, with the options joining the transaction
+     * @param {Function} callback - Called with the outcome of the write
+     */
+    Neo4j.prototype.writeFlattened = function (model, match, params, writes, options, write, callback) {
+        var self = this,
+            id = "n." + self.quote(self.getIdName(model)),
+            prefixes = [],
+            clear = function (options, done) {
+                self.cypher({
+                    // Setting a property locks the entity until the write is committed
+                    "query": match + " SET " + id + " = " + id + " WITH DISTINCT n UNWIND [key IN keys(n) WHERE " +
+                        prefixes.map(function (prefix) {
+                            return "key STARTS WITH " + self.quoteString(prefix);
+                        }).join(" OR ") + "] AS key RETURN DISTINCT key",
+                    "params": params
+                }, options, function (error, response) {
+                    if (error) {
+                        return done(error);
+                    }
+                    writes.forEach(function (entry) {
+                        response.forEach(function (row) {
+                            var property = row.key.slice(0, row.key.indexOf("."));
+
+                            if (undefined !== entry.data[property] && !entry.properties.hasOwnProperty(row.key)) {
+                                entry.properties[row.key] = null;
+                            }
+                        });
+                    });
+                    write(options, done);
+                });
+            };
+
+        writes.forEach(function (entry) {
+            Object.keys(entry.data).forEach(function (property) {
+                if (undefined !== entry.data[property] && "flatten" === self.nestedStore(model, property) &&
+                        -1 === prefixes.indexOf(property + ".")) {
+                    prefixes.push(property + ".");
+                }
+            });
+        });
+        if (!prefixes.length) {
+            return write(options, callback);
+        }
+        if (self.getTransaction(options)) {
+            return clear(options, callback);
+        }
+        self.runTransaction(function (transaction, done) {
+            clear(Object.assign({}, options, transaction), done);
+        }, callback);
+    };
+
+    /**
+     * Convert the stored nested properties of model data back to their values, in place.
+     *
+     * @param {string} model - The model name
+     * @param {Object} data - The data read from the database
+     * @returns {Object} The data
+     */
+    Neo4j.prototype.reviveNested = function (model, data) {
+        var self = this;
+
+        Object.keys(self.getModelDefinition(model).properties).forEach(function (property) {
+            var store = self.nestedStore(model, property),
+                prefix = property + ".",
+                value = null;
+
+            if ("json" === store && "string" === typeof data[property]) {
+                try {
+                    data[property] = JSON.parse(data[property]);
+                } catch (e) {
+                    // Leave values written before the property was nested as they are
+                }
+            } else if ("flatten" === store && !isMap(data[property])) {
+                // A projected field holds the [path, value] pairs read by `flattenedItem`, a map has been revived
+                (Array.isArray(data[property]) ? data[property] : []).concat(Object.keys(data).filter(function (key) {
+                    return 0 === key.indexOf(prefix);
+                }).map(function (key) {
+                    var pair = [key, data[key]];
+
+                    delete data[key];
+                    return pair;
+                })).forEach(function (pair) {
+                    if (null !== pair[1] && undefined !== pair[1]) {
+                        value = value || {};
+                        setPath(value, pair[0].slice(prefix.length), pair[1]);
+                    }
+                });
+                if (value || undefined !== data[property]) {
+                    data[property] = value;
+                }
+            }
+        });
+        return data;
+    };
+
+    /**
+     * Build the expression reading a flattened property as a field: the list of its `[path, value]` pairs.
+     *
+     * @param {string} property - The property name
+     * @param {string} [alias] - The variable bound to the nodes or relationships, "n" by default
+     * @returns {string}
+     */
+    Neo4j.prototype.flattenedItem = function (property, alias) {
+        alias = alias || "n";
+        return "[key IN keys(" + alias + ") WHERE key STARTS WITH " + this.quoteString(property + ".") + " | [key, " +
+            alias + "[key]]]";
+    };
+};
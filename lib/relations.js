@@ -0,0 +1,623 @@
+/**
+ * Relation mode: persists LoopBack relations as Neo4j relationships instead of foreign key properties.
+ *
+ * A relation is persisted as a relationship when the model declaring it has `relationMode: "edge"` in its `neo4j`
+ * settings, or when the relation is listed in `neo4j.relationships`:
+ *
+ *     "neo4j": {
+ *         "label": "Customer",
+ *         "relationMode": "edge",
+ *         "relationships": {
+ *             "orders": {"type": "PLACED"}
+ *         }
+ *     }
+ *
+ * `hasMany`, `hasOne` and `belongsTo` foreign keys become relationships pointing from the parent to the child node,
+ * e.g. `(:Customer)-[:PLACED]->(:Order)`. The foreign key is no longer stored on the child node, it is read from the
+ * relationship, so relation methods, `where` conditions and includes keep working on it. A write giving a foreign key
+ * which refers to no node fails with a 404 error, as there is nothing to connect.
+ * The through model of a `hasAndBelongsToMany` (or `hasMany` through) relation becomes the relationship itself,
+ * e.g. `(:Assembly)-[:USES]->(:Part)`, its own properties being stored on the relationship.
+ *
+ * A model can also be declared as a relationship model, whose instances are relationships between two nodes
+ * identified by their model ids:
+ *
+ *     "neo4j": {
+ *         "relationship": {"type": "RATED", "from": "User", "to": "Movie"}
+ *     }
+ *
+ * `from` and `to` are a model name or `{model, key, property}`, `key` being the foreign key exposed on the
+ * relationship model (`userId` by default) and `property` the property of the node it refers to (its id by default).
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * Convert a name to upper snake case, the naming convention of relationship types.
+     *
+     * @param {string} name - The name
+     * @returns {string}
+     */
+    var toRelationshipType = function (name) {
+        return name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").replace(/[^A-Za-z0-9]+/g, "_").toUpperCase();
+    };
+
+    /**
+     * Get the cache of `edgeKeys` and `relationshipModel`. Relations are declared after their models, without telling
+     * the connector, so the cache is emptied when the number of models or relations changes, and by `define`.
+     *
+     * @param {Neo4j} self - The connector
+     * @returns {Object} `{edgeKeys, relationshipModels}`, by model name
+     */
+    var relationCache = function (self) {
+        var models = Object.keys(self._models),
+            signature = models.length + ":" + models.reduce(function (count, model) {
+                return count + Object.keys(self._models[model].model.relations || {}).length;
+            }, 0);
+
+        if (!self.relationCache || self.relationCache.signature !== signature) {
+            self.relationCache = {
+                "signature": signature,
+                "edgeKeys": {},
+                "relationshipModels": {}
+            };
+        }
+        return self.relationCache;
+    };
+
+    /**
+     * Get the relationship settings of a relation.
+     *
+     * @param {string} model - The name of the model declaring the relation
+     * @param {string} name - The relation name
+     * @returns {Object} `{type}` if the relation is persisted as a relationship, null otherwise
+     */
+    Neo4j.prototype.relationSettings = function (model, name) {
+        var modelClass = this.getModelDefinition(model),
+            settings = (modelClass && modelClass.settings.neo4j) || {},
+            entry = (settings.relationships || {})[name];
+
+        if ("string" === typeof entry) {
+            return {
+                "type": entry,
+                "explicit": true
+            };
+        }
+        if (entry) {
+            return {
+                "type": entry.type,
+                "explicit": true
+            };
+        }
+        return "edge" === settings.relationMode ? {} : null;
+    };
+
+    /**
+     * Iterate over the relations of the models attached to this connector.
+     *
+     * @param {Function} fn - Called with the model name, the relation name and the relation definition
+     */
+    Neo4j.prototype.eachRelation = function (fn) {
+        var self = this;
+
+        Object.keys(self._models).forEach(function (model) {
+            var relations = self._models[model].model.relations || {};
+
+            Object.keys(relations).forEach(function (name) {
+                fn(model, name, relations[name]);
+            });
+        });
+    };
+
+    /**
+     * Get the foreign keys of a model which are persisted as relationships from the parent node.
+     *
+     * @param {string} model - The model name
+     * @returns {Object} Keyed by foreign key: `{type, model, property}`, where `model` is the parent model and
+     * `property` the parent property the foreign key refers to
+     */
+    Neo4j.prototype.edgeKeys = function (model) {
+        var self = this,
+            cache = relationCache(self).edgeKeys,
+            keys = {},
+            add = function (key, parent, property, settings, fromParent) {
+                if (!self._models[parent]) {
+                    // The parent is stored elsewhere, keep the foreign key property
+                    return;
+                }
+                keys[key] = keys[key] || {
+                    "model": parent,
+                    "property": property,
+                    "type": null
+                };
+                // The parent side wins if both sides name the relationship
+                if (settings.type && (!keys[key].type || fromParent)) {
+                    keys[key].type = settings.type;
+                }
+            };
+
+        if (cache.hasOwnProperty(model)) {
+            return cache[model];
+        }
+        self.eachRelation(function (owner, name, relation) {
+            var settings = null;
+
+            if (relation.polymorphic || relation.modelThrough) {
+                return;
+            }
+            if ("belongsTo" === relation.type && owner === model) {
+                settings = self.relationSettings(owner, name);
+                if (settings) {
+                    add(relation.keyFrom, relation.modelTo.modelName, relation.keyTo, settings, false);
+                }
+            } else if (("hasMany" === relation.type || "hasOne" === relation.type) &&
+                relation.modelTo.modelName === model) {
+                settings = self.relationSettings(owner, name);
+                if (settings) {
+                    add(relation.keyTo, owner, relation.keyFrom, settings, true);
+                }
+            }
+        });
+        Object.keys(keys).forEach(function (key) {
+            keys[key].type = keys[key].type || toRelationshipType(key.replace(/_?id$/i, ""));
+        });
+        cache[model] = keys;
+        return keys;
+    };
+
+    /**
+     * Normalise an end of a declared relationship model to `{key, model, property}`.
+     *
+     * @param {String|Object} end - The model name or `{model, key, property}`
+     * @returns {Object}
+     */
+    Neo4j.prototype.relationshipEnd = function (end) {
+        var spec = "string" === typeof end ? {"model": end} : (end || {});
+
+        return {
+            "key": spec.key || spec.model.charAt(0).toLowerCase() + spec.model.slice(1) + "Id",
+            "model": spec.model,
+            "property": spec.property || (this._models[spec.model] ? this.getIdName(spec.model) : "id")
+        };
+    };
+
+    /**
+     * Get the relationship a model is persisted as, if any.
+     *
+     * @param {string} model - The model name
+     * @returns {Object} `{type, from: {key, model, property}, to: {key, model, property}}` or null for node models.
+     * `key` is the foreign key property of the model, `model` and `property` the node it refers to.
+     */
+    Neo4j.prototype.relationshipModel = function (model) {
+        var self = this,
+            cache = relationCache(self).relationshipModels,
+            modelClass = self.getModelDefinition(model),
+            declared = modelClass && modelClass.settings.neo4j && modelClass.settings.neo4j.relationship,
+            found = null;
+
+        if (cache.hasOwnProperty(model)) {
+            return cache[model];
+        }
+        if (declared) {
+            cache[model] = {
+                "explicit": true,
+                "type": declared.type || toRelationshipType(model),
+                "from": self.relationshipEnd(declared.from),
+                "to": self.relationshipEnd(declared.to)
+            };
+            return cache[model];
+        }
+        self.eachRelation(function (owner, name, relation) {
+            var settings = null;
+
+            if ("hasMany" !== relation.type || !relation.modelThrough || relation.modelThrough.modelName !== model ||
+                (found && found.explicit)) {
+                return;
+            }
+            settings = self.relationSettings(owner, name);
+            if (settings && self._models[relation.modelTo.modelName]) {
+                found = {
+                    "explicit": !!settings.explicit,
+                    "type": settings.type || toRelationshipType(model),
+                    "from": {
+                        "key": relation.keyTo,
+                        "model": owner,
+                        "property": relation.keyFrom
+                    },
+                    "to": {
+                        "key": relation.keyThrough,
+                        "model": relation.modelTo.modelName,
+                        "property": self.getIdName(relation.modelTo.modelName)
+                    }
+                };
+            }
+        });
+        cache[model] = found;
+        return found;
+    };
+
+    /**
+     * Get the foreign keys of a model which are not stored as properties, but read from relationships.
+     *
+     * @param {string} model - The model name
+     * @returns {string[]}
+     */
+    Neo4j.prototype.virtualKeys = function (model) {
+        var relationship = this.relationshipModel(model);
+
+        if (relationship) {
+            return [relationship.from.key, relationship.to.key];
+        }
+        return Object.keys(this.edgeKeys(model));
+    };
+
+    /**
+     * Reference a model property in a query.
+     *
+     * @param {string} model - The model name
+     * @param {string} property - The property name
+     * @param {string} [alias] - The variable bound to the model's nodes or relationships, "n" by default
+     * @returns {string}
+     */
+    Neo4j.prototype.propertyRef = function (model, property, alias) {
+        var relationship = model ? this.relationshipModel(model) : null;
+
+        alias = alias || "n";
+        if (relationship) {
+            if (property === relationship.from.key) {
+                return alias + "_from." + this.quote(relationship.from.property);
+            }
+            if (property === relationship.to.key) {
+                return alias + "_to." + this.quote(relationship.to.property);
+            }
+        } else if (model && this.edgeKeys(model)[property]) {
+            // Bound by the projection of the MATCH clause
+            return this.variable(alias + "_" + property);
+        }
+        return alias + "." + this.quote(property);
+    };
+
+    /**
+     * Build the projection binding the foreign keys read from relationships to variables.
+     *
+     * @param {string} model - The model name
+     * @param {string} [alias] - The variable bound to the model's nodes, "n" by default
+     * @param {string[]} [carry] - Other variables to keep in scope
+     * @returns {string}
+     */
+    Neo4j.prototype.edgeKeyProjection = function (model, alias, carry) {
+        var self = this,
+            keys = self.edgeKeys(model),
+            names = Object.keys(keys);
+
+        alias = alias || "n";
+        if (!names.length) {
+            return "";
+        }
+        return " WITH " + (carry || []).concat(alias).join(", ") + names.map(function (key, index) {
+            var parent = alias + "_e" + index;
+
+            return ", head([(" + alias + ")<-[:" + self.quote(keys[key].type) + "]-(" + parent + ":" +
+                self.quotedLabel(keys[key].model) + ") | " + parent + "." + self.quote(keys[key].property) + "]) AS " +
+                self.variable(alias + "_" + key);
+        }).join("");
+    };
+
+    /**
+     * Build the MATCH clause binding an alias to the nodes, or relationships, of a model.
+     *
+     * @param {string} model - The model name
+     * @param {string} [alias] - The variable to bind, "n" by default
+     * @returns {string}
+     */
+    Neo4j.prototype.matchClause = function (model, alias) {
+        var self = this,
+            relationship = self.relationshipModel(model);
+
+        alias = alias || "n";
+        if (relationship) {
+            return "MATCH (" + alias + "_from:" + self.quotedLabel(relationship.from.model) + ")-[" + alias + ":" +
+                self.quote(relationship.type) + "]->(" + alias + "_to:" + self.quotedLabel(relationship.to.model) + ")";
+        }
+        return "MATCH (" + alias + ":" + self.quotedLabel(model) + ")" + self.edgeKeyProjection(model, alias);
+    };
+
+    /**
+     * Get the variables bound by `matchClause` which the RETURN items of a model refer to.
+     *
+     * @param {string} model - The model name
+     * @param {string} [alias] - The variable bound to the model's nodes or relationships, "n" by default
+     * @returns {string[]}
+     */
+    Neo4j.prototype.matchVariables = function (model, alias) {
+        var self = this;
+
+        alias = alias || "n";
+        if (self.relationshipModel(model)) {
+            return [alias, alias + "_from", alias + "_to"];
+        }
+        return [alias].concat(Object.keys(self.edgeKeys(model)).map(function (key) {
+            return self.variable(alias + "_" + key);
+        }));
+    };
+
+    /**
+     * Build the RETURN items for the instances of a model, see `toData`.
+     *
+     * @param {string} model - The model name
+     * @param {string} [alias] - The variable bound to the model's nodes or relationships, "n" by default
+     * @returns {string}
+     */
+    Neo4j.prototype.returnItems = function (model, alias) {
+        var self = this;
+
+        alias = alias || "n";
+        return [alias].concat(self.virtualKeys(model).map(function (key) {
+            var ref = self.propertyRef(model, key, alias),
+                variable = self.variable(alias + "_" + key);
+
+            return ref === variable ? ref : ref + " AS " + variable;
+        })).join(", ");
+    };
+
+    /**
+     * Convert a row returned for `returnItems` to model data.
+     *
+     * @param {string} model - The model name
+     * @param {Object} row - The row
+     * @param {string} [alias] - The variable bound to the model's nodes or relationships, "n" by default
+     * @returns {Object}
+     */
+    Neo4j.prototype.toData = function (model, row, alias) {
+        var data = {};
+
+        alias = alias || "n";
+        if (!row || !row[alias]) {
+            return null;
+        }
+        Object.keys(row[alias].properties).forEach(function (key) {
+            data[key] = row[alias].properties[key];
+        });
+        this.virtualKeys(model).forEach(function (key) {
+            if (undefined !== row[alias + "_" + key]) {
+                data[key] = row[alias + "_" + key];
+            }
+        });
+        return this.fromDatabase(model, data);
+    };
+
+    /**
+     * Build the DELETE clause for the instances of a model.
+     *
+     * @param {string} model - The model name
+     * @param {string} [alias] - The variable bound to the model's nodes or relationships, "n" by default
+     * @returns {string}
+     */
+    Neo4j.prototype.deleteClause = function (model, alias) {
+        alias = alias || "n";
+        return (this.relationshipModel(model) ? " DELETE " : " DETACH DELETE ") + alias;
+    };
+
+    /**
+     * Split the foreign keys persisted as relationships off the data of a node and build the clauses
+     * replacing the relationships they stand for, after the ones setting native values, see `toDatabase`.
+     *
+     * @param {string} model - The model name
+     * @param {Object} data - The model data
+     * @param {Object} params - The query parameters, extended with the foreign key values
+     * @param {boolean} created - Whether the node has just been created, so it has no relationships yet
+     * @param {string} [alias] - The variable bound to the node, "n" by default
+     * @returns {Object} `{properties, query}`
+     */
+    Neo4j.prototype.buildEdgeUpdates = function (model, data, params, created, alias) {
+        var self = this,
+            keys = self.edgeKeys(model),
+            properties = {},
+            query = "",
+            write = {};
+
+        alias = alias || "n";
+        Object.keys(data).forEach(function (key) {
+            if (!keys[key]) {
+                properties[key] = data[key];
+            }
+        });
+        write = self.toDatabase(model, properties, params, alias);
+        properties = write.properties;
+        query = write.query;
+        Object.keys(keys).forEach(function (key, index) {
+            var edge = keys[key],
+                parent = alias + "_p" + index,
+                param = alias + "_fk" + index;
+
+            if (undefined === data[key]) {
+                return;
+            }
+            if (!created) {
+                query += " WITH DISTINCT " + alias + " OPTIONAL MATCH (" + alias + ")<-[" + alias + "_r" + index + ":" +
+                    self.quote(edge.type) + "]-(:" + self.quotedLabel(edge.model) + ") DELETE " + alias + "_r" + index;
+            }
+            if (null !== data[key]) {
+                params[param] = data[key];
+                query += " WITH DISTINCT " + alias + " OPTIONAL MATCH (" + parent + ":" + self.quotedLabel(edge.model) +
+                    " {" + self.quote(edge.property) + ": " + self.dialect.param(param) +
+                    "}) FOREACH (ignored IN CASE WHEN " + parent + " IS NULL THEN [] ELSE [1] END | MERGE (" + parent +
+                    ")-[:" + self.quote(edge.type) + "]->(" + alias + "))";
+            }
+        });
+        return {
+            "properties": properties,
+            "query": query
+        };
+    };
+
+    /**
+     * Run a write of foreign keys persisted as relationships, see `buildEdgeUpdates`, failing with a 404 error without
+     * writing when a node they refer to does not exist. The nodes are looked up, locking them so they cannot be
+     * deleted before the relationships are created, in the transaction of the write, a new one unless the options
+     * give one.
+     *
+     * @param {string} model - The model name
+     * @param {Object} data - The written data
+     * @param {Object} options - The options of the write
+     * @param {Function} write - Runs the write, `write(options, callback)`, with the options joining the transaction
+     * @param {Function} callback - Called with the outcome of the write
+     */
+    Neo4j.prototype.writeEdgeKeys = function (model, data, options, write, callback) {
+        var self = this,
+            keys = self.relationshipModel(model) ? {} : self.edgeKeys(model),
+            given = Object.keys(keys).filter(function (key) {
+                return null !== data[key] && undefined !== data[key];
+            }),
+            counts = [],
+            query = "",
+            params = {},
+            check = function (options, done) {
+                self.cypher({
+                    "query": query + " RETURN [" + counts.join(", ") + "] AS counts",
+                    "params": params
+                }, options, function (error, response) {
+                    var missing = [];
+
+                    if (error) {
+                        return done(error);
+                    }
+                    missing = given.filter(function (key, index) {
+                        return !(response.length && response[0].counts[index]);
+                    });
+                    if (missing.length) {
+                        error = new Error(missing.map(function (key) {
+                            return "The " + keys[key].model + " referred to by " + model + "." + key +
+                                " does not exist";
+                        }).join("; "));
+                        error.statusCode = 404;
+                        return done(error);
+                    }
+                    write(options, done);
+                });
+            };
+
+        if (!given.length) {
+            return write(options, callback);
+        }
+        given.forEach(function (key, index) {
+            var edge = keys[key],
+                parent = "n_p" + index,
+                property = parent + "." + self.quote(edge.property);
+
+            params["n_fk" + index] = data[key];
+            // Setting a property locks the node until the write is committed
+            query += (index ? " " : "") + "OPTIONAL MATCH (" + parent + ":" + self.quotedLabel(edge.model) + " {" +
+                self.quote(edge.property) + ": " + self.dialect.param("n_fk" + index) + "}) SET " + property + " = " +
+                property + " WITH " + counts.concat("count(" + parent + ") AS n_c" + index).join(", ");
+            counts.push("n_c" + index);
+        });
+        if (self.getTransaction(options)) {
+            return check(options, callback);
+        }
+        self.runTransaction(function (transaction, done) {
+            check(Object.assign({}, options, transaction), done);
+        }, callback);
+    };
+
+    /**
+     * Split the foreign keys persisted as relationships off the data of an update and build the clauses
+     * replacing the relationships they stand for. The nodes a relationship model instance connects are not
+     * changed by an update, its foreign keys are ignored.
+     *
+     * @param {string} model - The model name
+     * @param {Object} data - The data to update
+     * @param {Object} params - The query parameters, extended with the foreign key values
+     * @param {string} [alias] - The variable bound to the nodes or relationships, "n" by default
+     * @returns {Object} `{properties, query}`
+     */
+    Neo4j.prototype.buildWrite = function (model, data, params, alias) {
+        if (this.relationshipModel(model)) {
+            return this.toDatabase(model, this.buildEndpoints(model, data, {}, alias).properties, params, alias);
+        }
+        return this.buildEdgeUpdates(model, data, params, false, alias);
+    };
+
+    /**
+     * Split the foreign keys of a relationship model off its data and build the clause matching the nodes
+     * the relationship connects.
+     *
+     * @param {string} model - The model name
+     * @param {Object} data - The model data
+     * @param {Object} params - The query parameters, extended with the foreign key values
+     * @param {string} [alias] - The variable to bind the relationship to, "n" by default
+     * @returns {Object} `{properties, query}`, `query` being null if the data lacks either foreign key
+     */
+    Neo4j.prototype.buildEndpoints = function (model, data, params, alias) {
+        var self = this,
+            relationship = self.relationshipModel(model),
+            properties = {};
+
+        alias = alias || "n";
+        Object.keys(data).forEach(function (key) {
+            if (key !== relationship.from.key && key !== relationship.to.key) {
+                properties[key] = data[key];
+            }
+        });
+        if (null === data[relationship.from.key] || undefined === data[relationship.from.key] ||
+            null === data[relationship.to.key] || undefined === data[relationship.to.key]) {
+            return {
+                "properties": properties,
+                "query": null
+            };
+        }
+        params[alias + "_from"] = data[relationship.from.key];
+        params[alias + "_to"] = data[relationship.to.key];
+        return {
+            "properties": properties,
+            "query": "MATCH (" + alias + "_from:" + self.quotedLabel(relationship.from.model) + " {" +
+                self.quote(relationship.from.property) + ": " + self.dialect.param(alias + "_from") + "}), (" + alias +
+                "_to:" + self.quotedLabel(relationship.to.model) + " {" + self.quote(relationship.to.property) + ": " +
+                self.dialect.param(alias + "_to") + "})"
+        };
+    };
+
+    /**
+     * Build the query creating or updating an instance by id and returning it, see `returnItems`.
+     * A relationship cannot be moved to other nodes, so a relationship model instance is deleted and created again
+     * between the nodes given by its foreign keys.
+     *
+     * @param {string} model - The model name
+     * @param {Object} data - The model data, including the id
+     * @param {Object} params - The query parameters, extended with `properties` and the foreign key values
+     * @param {boolean} replace - Whether to replace all the properties or only the given ones
+     * @returns {string} The query, or null if a relationship model instance lacks either foreign key
+     */
+    Neo4j.prototype.buildUpsert = function (model, data, params, replace) {
+        var self = this,
+            idName = self.getIdName(model),
+            relationship = self.relationshipModel(model),
+            query = "",
+            write = {};
+
+        params.id = data[idName];
+        if (relationship) {
+            write = self.buildEndpoints(model, data, params);
+            if (!write.query) {
+                return null;
+            }
+            query = write.query;
+            write = self.toDatabase(model, write.properties, params);
+            params.properties = write.properties;
+            return query + " OPTIONAL MATCH ()-[n_old:" + self.quote(relationship.type) + "]->() WHERE n_old." +
+                self.quote(idName) + " = " + self.idParam(model, data[idName], params) +
+                " WITH n_from, n_to, n_old, properties(n_old) AS old DELETE n_old CREATE (n_from)-[n:" +
+                self.quote(relationship.type) + "]->(n_to)" +
+                (replace ? "" : " SET n = coalesce(old, {})") + " SET n += " + self.dialect.param("properties") +
+                write.query + " RETURN " + self.returnItems(model);
+        }
+        write = self.buildEdgeUpdates(model, data, params, false);
+        params.properties = write.properties;
+        return "MERGE (n:" + self.quotedLabel(model) + " {" + self.quote(idName) + ": " +
+            self.idParam(model, data[idName], params) + "}) ON CREATE SET n = " + self.dialect.param("properties") +
+            " ON MATCH SET n " + (replace ? "=" : "+=") + " " + self.dialect.param("properties") + write.query +
+            self.edgeKeyProjection(model) + " RETURN " + self.returnItems(model);
+    };
+};
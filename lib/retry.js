@@ -0,0 +1,140 @@
+var debug = require("debug")("loopback:connector:neo4j-graph");
+
+/**
+ * Retries: statements run outside of a transaction and transaction functions (`runTransaction`) are run again when
+ * they fail with a retryable error, e.g. a deadlock, a leader switch or a connection reset, waiting longer before each
+ * attempt. The policy comes from the `retry` data source setting:
+ *
+ * - `maxAttempts` - the number of attempts, 3 by default. `retry: false` disables retries, a number sets this.
+ * - `initialDelay` - the delay before the second attempt in milliseconds, 100 by default, multiplied by `factor`
+ *   (2 by default) before each next attempt, up to `maxDelay` (5000 by default).
+ * - `jitter` - the part of the delay drawn at random, 0.5 by default, so that concurrent jobs do not collide again.
+ * - `errors` - the Neo4j status codes (e.g. "Neo.TransientError.Transaction.DeadlockDetected"), status code prefixes
+ *   (e.g. "Neo.TransientError") or driver and system error codes (e.g. "ECONNRESET") to retry. By default the errors
+ *   flagged `retryable` by `translateError` are.
+ *
+ * Statements which are not idempotent, like the `CREATE` of `create`, are only retried after errors reported by the
+ * server, which rolled them back: after a connection error they may have been run.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * The default policy.
+     */
+    var DEFAULTS = {
+        "maxAttempts": 3,
+        "initialDelay": 100,
+        "maxDelay": 5000,
+        "factor": 2,
+        "jitter": 0.5,
+        "errors": null
+    };
+
+    /**
+     * Get the code of an error, the Neo4j status code if the server reported it.
+     *
+     * @param {Error} error - The error
+     * @returns {string}
+     */
+    var errorCode = function (error) {
+        return String((error.neo4j && error.neo4j.code) || error.code || "");
+    };
+
+    /**
+     * Get the retry policy from the `retry` data source setting, see the module documentation.
+     *
+     * @returns {Object} `{maxAttempts, initialDelay, maxDelay, factor, jitter, errors}`
+     */
+    Neo4j.prototype.retryPolicy = function () {
+        var setting = this.settings.retry,
+            policy = {};
+
+        if (false === setting) {
+            setting = {
+                "maxAttempts": 1
+            };
+        } else if ("number" === typeof setting) {
+            setting = {
+                "maxAttempts": setting
+            };
+        }
+        Object.keys(DEFAULTS).forEach(function (key) {
+            policy[key] = setting && undefined !== setting[key] ? setting[key] : DEFAULTS[key];
+        });
+        return policy;
+    };
+
+    /**
+     * Check whether an operation which failed may be run again.
+     *
+     * @param {Object} policy - The retry policy
+     * @param {Error} error - The error, translated by `translateError`
+     * @param {boolean} idempotent - Whether running the operation twice has the same effect as running it once
+     * @returns {boolean}
+     */
+    Neo4j.prototype.isRetryable = function (policy, error, idempotent) {
+        var code = "";
+
+        if (!error || "object" !== typeof error) {
+            return false;
+        }
+        code = errorCode(error);
+        if (!idempotent && !/^Neo\./.test(code)) {
+            return false;
+        }
+        if (Array.isArray(policy.errors)) {
+            return policy.errors.some(function (prefix) {
+                return code === prefix || 0 === code.indexOf(prefix + ".");
+            });
+        }
+        return true === error.retryable;
+    };
+
+    /**
+     * Get the delay before an attempt: an exponential backoff with jitter.
+     *
+     * @param {Object} policy - The retry policy
+     * @param {number} attempt - The number of the next attempt, 2 for the first retry
+     * @returns {number} The delay in milliseconds
+     */
+    Neo4j.prototype.retryDelay = function (policy, attempt) {
+        var delay = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.factor, attempt - 2));
+
+        return Math.round(delay - delay * policy.jitter * Math.random());
+    };
+
+    /**
+     * Run an operation, again after a retryable error until the policy's attempts are exhausted.
+     *
+     * @param {string} name - The name of the operation, for the debug output
+     * @param {Function} operation - The operation, called with a callback taking an error and a result
+     * @param {boolean} idempotent - Whether running the operation twice has the same effect as running it once
+     * @param {Function} callback - The callback function, receiving the last error or the result
+     */
+    Neo4j.prototype.retry = function (name, operation, idempotent, callback) {
+        var self = this,
+            policy = self.retryPolicy(),
+            attempt = 1,
+            run = function () {
+                operation(function (error, result) {
+                    var delay = 0;
+
+                    if (!error || attempt >= policy.maxAttempts || !self.isRetryable(policy, error, idempotent)) {
+                        return callback(error, result);
+                    }
+                    attempt += 1;
+                    delay = self.retryDelay(policy, attempt);
+                    if (self.debug) {
+                        debug("retry:%s:attempt %d/%d in %dms after %s: %s", name, attempt, policy.maxAttempts, delay,
+                            errorCode(error), error.message);
+                    }
+                    setTimeout(run, delay);
+                });
+            };
+
+        run();
+    };
+};
@@ -0,0 +1,415 @@
+var Promise = require("bluebird");
+var debug = require("debug")("loopback:connector:neo4j-graph");
+
+/**
+ * Schema of the models: the indexes and constraints `autoupdate` creates for them.
+ *
+ * Besides the uniqueness constraint on the id, every property with an `index` setting gets an index, or a uniqueness
+ * constraint with `{unique: true}`, and every GeoPoint property a point index. A model index covering several
+ * properties becomes a composite index, a composite uniqueness constraint with the `unique` option or a node key with
+ * the `key` option, and a model index with the `propertyType` option a property type constraint on each property:
+ *
+ *     "indexes": {
+ *         "tenant_sku": {"keys": {"tenantId": 1, "sku": 1}, "options": {"unique": true}},
+ *         "tenant_code": {"keys": {"tenantId": 1, "code": 1}, "options": {"key": true}},
+ *         "price_type": {"keys": {"price": 1}, "options": {"propertyType": "FLOAT"}}
+ *     }
+ *
+ * The indexes and constraints of a model persisted as relationships apply to the properties of its relationships.
+ *
+ * `schemaDiff` compares them with the indexes and constraints of the server, so `autoupdate` only creates the missing
+ * ones, and `isActual` tells whether there is anything to create. The ones no model declares may belong to another
+ * application sharing the labels, `autoupdate` only drops them with the `drop` option.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * Run a query.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {string} query - The query
+     * @returns {Promise} The rows
+     */
+    var run = function (self, query) {
+        return Promise.fromCallback(function (done) {
+            self.cypher({
+                "query": query,
+                "params": {}
+            }, {}, done);
+        });
+    };
+
+    /**
+     * Get the label or relationship type an index or constraint of the server applies to, see `schemaTarget`.
+     *
+     * @param {Object} entry - The index or constraint, see `Dialect#parseIndex` and `Dialect#parseConstraint`
+     * @returns {string} The target, or null for an index or constraint of several labels or types
+     */
+    var entryTarget = function (entry) {
+        return entry.labels && 1 === entry.labels.length ? entry.entityType + ":" + entry.labels[0] : null;
+    };
+
+    /**
+     * Get the kind of an index or constraint of the server, as in `modelSchema`.
+     *
+     * @param {Object} entry - The index or constraint
+     * @param {boolean} constraint - Whether the entry is a constraint
+     * @returns {string} The kind, or null for the indexes models do not declare: those owned by a constraint, token
+     * lookup, text and vector indexes
+     */
+    var entryKind = function (entry, constraint) {
+        var type = String(entry.type || "").toUpperCase();
+
+        if (constraint) {
+            if (/KEY/.test(type)) {
+                return "key";
+            }
+            if (/UNIQUE/.test(type)) {
+                return "unique";
+            }
+            if (/PROPERTY_TYPE/.test(type)) {
+                return "type";
+            }
+            return /EXISTENCE/.test(type) ? "exists" : null;
+        }
+        if (entry.unique || !entry.properties.length) {
+            return null;
+        }
+        if (/FULLTEXT/.test(type)) {
+            return "fulltext";
+        }
+        if (/POINT/.test(type)) {
+            return "point";
+        }
+        return /LOOKUP|TEXT|VECTOR/.test(type) ? null : "index";
+    };
+
+    /**
+     * Identify an index or constraint by what it enforces or indexes. Names only matter for full-text indexes, which
+     * are queried by name.
+     *
+     * @param {string} kind - The kind
+     * @param {string} target - The label or relationship type, see `schemaTarget`
+     * @param {Object} entry - The index or constraint, with its `properties`, `propertyType` and `name`
+     * @returns {string}
+     */
+    var signature = function (kind, target, entry) {
+        return JSON.stringify([kind, target, entry.properties, "fulltext" === kind ? entry.name :
+            String(entry.propertyType || "").toUpperCase().replace(/\s+/g, " ")]);
+    };
+
+    /**
+     * Kinds of the constraints, see `Dialect#createConstraint`. The other kinds are indexes, see `Dialect#createIndex`.
+     */
+    var CONSTRAINT_KINDS = ["unique", "key", "type", "exists"];
+
+    /**
+     * Check whether a schema definition is a constraint.
+     *
+     * @param {Object} definition - The index or constraint definition
+     * @returns {boolean}
+     */
+    Neo4j.prototype.isConstraint = function (definition) {
+        return -1 !== CONSTRAINT_KINDS.indexOf(definition.kind);
+    };
+
+    /**
+     * Get the label or relationship type the indexes and constraints of a model apply to, prefixed with the entity
+     * type.
+     *
+     * @param {string} model - The model name
+     * @returns {string} e.g. "NODE:User" or "RELATIONSHIP:RATED"
+     */
+    Neo4j.prototype.schemaTarget = function (model) {
+        var relationship = this.relationshipModel(model);
+
+        return relationship ? "RELATIONSHIP:" + relationship.type : "NODE:" + this.label(model);
+    };
+
+    /**
+     * Get the indexes and constraints of a model, in the order they are created: the uniqueness constraints and keys,
+     * whose indexes make other indexes on the same properties useless, the indexes, the full-text indexes, the
+     * property type constraints and, with the `enterprise` data source setting, the existence of the id.
+     *
+     * @param {string} model - The model name
+     * @returns {Object[]} `[{kind, entityType, label, properties, [propertyType]}]`, `label` being the relationship
+     * type of a model persisted as relationships
+     */
+    Neo4j.prototype.modelSchema = function (model) {
+        var self = this,
+            definition = self.getModelDefinition(model),
+            relationship = self.relationshipModel(model),
+            indexes = definition.settings.indexes || [],
+            properties = definition.properties,
+            virtualKeys = self.virtualKeys(model),
+            entries = {
+                "unique": [],
+                "key": [],
+                "index": [],
+                "point": [],
+                "type": [],
+                "exists": []
+            },
+            backed = {},
+            add = function (kind, keys, propertyType) {
+                var entry = {
+                        "kind": kind,
+                        "entityType": relationship ? "RELATIONSHIP" : "NODE",
+                        "label": relationship ? relationship.type : self.label(model),
+                        "properties": keys.filter(function (key) {
+                            // Foreign keys persisted as relationships are not properties
+                            return -1 === virtualKeys.indexOf(key);
+                        })
+                    },
+                    signature = entry.properties.join(",");
+
+                if (propertyType) {
+                    entry.propertyType = propertyType;
+                }
+                if (entry.properties.length && !entries[kind].some(function (other) {
+                    return other.properties.join(",") === signature && other.propertyType === entry.propertyType;
+                })) {
+                    entries[kind].push(entry);
+                }
+            },
+            addIndex = function (keys, options) {
+                options = options || {};
+                if (options.propertyType) {
+                    keys.forEach(function (key) {
+                        add("type", [key], options.propertyType);
+                    });
+                } else if (options.key) {
+                    add("key", keys);
+                } else if (options.unique) {
+                    add("unique", keys);
+                } else {
+                    add("index", keys);
+                }
+            };
+
+        if (!relationship) {
+            // Always ensure ID is unique and exists
+            add("unique", [self.getIdName(model)]);
+            add("exists", [self.getIdName(model)]);
+        }
+
+        // Get model global indexes
+        if (Array.isArray(indexes)) {
+            indexes.forEach(function (key) {
+                add("index", [key]);
+            });
+        } else if ("object" === typeof indexes) {
+            Object.keys(indexes).forEach(function (indexName) {
+                var index = indexes[indexName];
+
+                if (self.isFulltextIndex(index)) {
+                    // See `fulltextIndexes`
+                    return;
+                }
+                if (index.keys) {
+                    addIndex(Object.keys(index.keys), index.options);
+                } else {
+                    addIndex(Object.keys(index));
+                }
+            });
+        }
+
+        // Get property local indexes, GeoPoint properties always get a point index
+        Object.keys(properties).forEach(function (property) {
+            var index = properties[property].index;
+
+            if ("GeoPoint" === self.propertyType(model, property)) {
+                add("point", [property]);
+            } else if (index && !self.isFulltextIndex(index)) {
+                addIndex([property], "object" === typeof index ? index : null);
+            }
+        });
+
+        // Creating a uniqueness constraint or key also creates an index
+        entries.unique.concat(entries.key).forEach(function (constraint) {
+            backed[constraint.properties.join(",")] = true;
+        });
+        return entries.unique.concat(entries.key, entries.index.filter(function (index) {
+            return !backed[index.properties.join(",")] && !entries.point.some(function (point) {
+                return point.properties[0] === index.properties[0] && 1 === index.properties.length;
+            });
+        }), entries.point, self.fulltextIndexes(model), entries.type, self.settings.enterprise ? entries.exists : []);
+    };
+
+    /**
+     * Build the statement creating an index or constraint of `modelSchema`.
+     *
+     * @param {Object} definition - The index or constraint definition
+     * @returns {string}
+     * @throws {Error} if the server does not support the index or constraint
+     */
+    Neo4j.prototype.createSchema = function (definition) {
+        return this.isConstraint(definition) ? this.dialect.createConstraint(definition) :
+            this.dialect.createIndex(definition);
+    };
+
+    /**
+     * Build the statements creating the indexes and constraints of models.
+     *
+     * @param {string[]} models - The model names
+     * @returns {Object[]} `[{query}]`
+     * @throws {Error} if the server does not support an index or constraint
+     */
+    Neo4j.prototype.schemaStatements = function (models) {
+        var self = this,
+            queries = [];
+
+        models.forEach(function (model) {
+            self.modelSchema(model).forEach(function (definition) {
+                queries.push({
+                    "query": self.createSchema(definition)
+                });
+            });
+        });
+        return queries;
+    };
+
+    /**
+     * Read the indexes and constraints of the server.
+     *
+     * @param {Function} callback - The callback function, called with `{indexes, constraints}`, see
+     * `Dialect#parseIndex` and `Dialect#parseConstraint`
+     */
+    Neo4j.prototype.readSchema = function (callback) {
+        var self = this;
+
+        Promise.all([
+            run(self, self.dialect.listConstraints()),
+            run(self, self.dialect.listIndexes())
+        ]).then(function (results) {
+            callback(null, {
+                "constraints": results[0].map(function (row) {
+                    return self.dialect.parseConstraint(row);
+                }),
+                "indexes": results[1].map(function (row) {
+                    return self.dialect.parseIndex(row);
+                })
+            });
+        }, callback);
+    };
+
+    /**
+     * Compare the indexes and constraints of models with those of the server. The labels and relationship types of
+     * the models should have the indexes and constraints of every model sharing them and no other, names aside.
+     *
+     * @param {string|string[]} [models] - A model name or an array of model names, all models by default
+     * @param {Function} callback - The callback function, called with `{create, drop}`: the definitions of
+     * `modelSchema` missing from the server and the indexes and constraints of the server no model declares, each with
+     * the `query` creating or dropping it. They are only reported, see `autoupdate` for dropping them.
+     */
+    Neo4j.prototype.schemaDiff = function (models, callback) {
+        var self = this;
+
+        if (!callback && "function" === typeof models) {
+            callback = models;
+            models = undefined;
+        }
+        if ("string" === typeof models) {
+            models = [models];
+        }
+        models = models || Object.keys(self._models);
+        // The schema statements depend on the server version
+        if (!self.serverVersion) {
+            return self.connect(function (error) {
+                if (error) {
+                    return callback(error);
+                }
+                self.schemaDiff(models, callback);
+            });
+        }
+        self.readSchema(function (error, existing) {
+            var targets = {},
+                wanted = {},
+                keys = [],
+                diff = {
+                    "create": [],
+                    "drop": []
+                },
+                compare = function (entry, constraint) {
+                    var kind = entryKind(entry, constraint),
+                        key = signature(kind, entryTarget(entry), entry);
+
+                    if (!kind || !targets[entryTarget(entry)]) {
+                        return;
+                    }
+                    if (wanted[key]) {
+                        delete wanted[key];
+                        return;
+                    }
+                    diff.drop.push(Object.assign({
+                        "kind": kind,
+                        "query": constraint ? self.dialect.dropConstraint(entry) : self.dialect.dropIndex(entry)
+                    }, entry));
+                };
+
+            if (error) {
+                return callback(error);
+            }
+            models.forEach(function (model) {
+                targets[self.schemaTarget(model)] = true;
+            });
+            try {
+                Object.keys(self._models).filter(function (model) {
+                    return targets[self.schemaTarget(model)];
+                }).forEach(function (model) {
+                    self.modelSchema(model).forEach(function (definition) {
+                        // Point properties get a plain index before Neo4j 5
+                        var kind = "point" === definition.kind && !self.dialect.atLeast(5) ? "index" : definition.kind,
+                            key = signature(kind, definition.entityType + ":" + definition.label, definition);
+
+                        if (!wanted[key]) {
+                            wanted[key] = Object.assign({
+                                "query": self.createSchema(definition)
+                            }, definition);
+                            keys.push(key);
+                        }
+                    });
+                });
+            } catch (e) {
+                return callback(e);
+            }
+            existing.constraints.forEach(function (constraint) {
+                compare(constraint, true);
+            });
+            existing.indexes.forEach(function (index) {
+                compare(index, false);
+            });
+            diff.create = keys.filter(function (key) {
+                return wanted[key];
+            }).map(function (key) {
+                return wanted[key];
+            });
+            if (self.debug) {
+                debug("schemaDiff:models:%j,diff:%j", models, diff);
+            }
+            callback(null, diff);
+        });
+    };
+
+    /**
+     * Check whether the indexes and constraints of the server are those of the models, see `schemaDiff`.
+     *
+     * @param {string|string[]} [models] - A model name or an array of model names, all models by default
+     * @param {Function} callback - The callback function, called with `true` if `autoupdate` has nothing to create
+     */
+    Neo4j.prototype.isActual = function (models, callback) {
+        if (!callback && "function" === typeof models) {
+            callback = models;
+            models = undefined;
+        }
+        this.schemaDiff(models, function (error, diff) {
+            if (error) {
+                return callback(error);
+            }
+            callback(null, !diff.create.length);
+        });
+    };
+};
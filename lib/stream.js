@@ -0,0 +1,156 @@
+var Readable = require("stream").Readable;
+var debug = require("debug")("loopback:connector:neo4j-graph");
+
+/**
+ * Streams: `stream(model, filter, options)` reads the instances matching a filter page by page instead of buffering
+ * them all, as an object mode Readable, which is also an async iterable (`for await (const entry of stream)`).
+ *
+ * A page of `pageSize` instances (the `pageSize` option or data source setting, 1000 by default) is only fetched when
+ * the consumer has read the previous one. The pages are read with cursors (see lib/cursor.js), so the instances are
+ * sorted by the filter's `order` followed by the id and deep pages cost no more than the first one. Destroying the
+ * stream, or breaking out of the loop reading it, cancels the query: no other page is fetched.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * Number of instances per page unless set by the `pageSize` option or data source setting.
+     */
+    var DEFAULT_PAGE_SIZE = 1000;
+
+    /**
+     * Create a stream reading the instances of a model page by page.
+     *
+     * @param {Neo4j} connector - The connector
+     * @param {string} model - The model name
+     * @param {Function} prepare - Called with a callback, to be called with an error or the filter
+     * @param {Object} options - The model options, `pageSize` sets the number of instances per page
+     * @param {Function} hydrate - Converts the data of an instance to the object the stream emits
+     * @returns {Readable}
+     */
+    var createStream = function (connector, model, prepare, options, hydrate) {
+        var pageSize = parseInt(options.pageSize || connector.settings.pageSize || DEFAULT_PAGE_SIZE, 10),
+            filter = null,
+            after = null,
+            remaining = Infinity,
+            fetching = false,
+            stream = null,
+            fetch = function () {
+                var page = {},
+                    size = Math.min(pageSize, remaining);
+
+                Object.keys(filter).forEach(function (key) {
+                    page[key] = filter[key];
+                });
+                page.cursor = true;
+                page.limit = size;
+                if (after) {
+                    // Only the first page skips instances
+                    page.after = after;
+                    delete page.skip;
+                    delete page.offset;
+                }
+                if (connector.debug) {
+                    debug("stream:model:%s,after:%s,limit:%d", model, after, size);
+                }
+                connector.all(model, page, options, function (error, data) {
+                    fetching = false;
+                    if (stream.destroyed) {
+                        return;
+                    }
+                    if (error) {
+                        return stream.destroy(error);
+                    }
+                    after = data.nextCursor;
+                    remaining -= data.length;
+                    data.forEach(function (entry) {
+                        stream.push(hydrate(entry));
+                    });
+                    if (!after || remaining <= 0) {
+                        stream.push(null);
+                    }
+                });
+            };
+
+        if (isNaN(pageSize) || pageSize < 1) {
+            pageSize = DEFAULT_PAGE_SIZE;
+        }
+        stream = new Readable({
+            "objectMode": true,
+            "highWaterMark": pageSize,
+            "read": function () {
+                if (fetching) {
+                    return;
+                }
+                fetching = true;
+                if (filter) {
+                    return fetch();
+                }
+                prepare(function (error, prepared) {
+                    if (stream.destroyed) {
+                        return;
+                    }
+                    if (error) {
+                        return stream.destroy(error);
+                    }
+                    filter = prepared || {};
+                    if (filter.limit) {
+                        remaining = parseInt(filter.limit, 10);
+                    }
+                    if (remaining <= 0) {
+                        return stream.push(null);
+                    }
+                    fetch();
+                });
+            },
+            "destroy": function (error, callback) {
+                if (connector.debug) {
+                    debug("stream:model:%s,destroyed:%s", model, error ? error.message : "cancelled");
+                }
+                callback(error);
+            }
+        });
+        return stream;
+    };
+
+    /**
+     * Stream the instances matching a filter, see the module documentation.
+     *
+     * @param {string} model - The model name
+     * @param {Object} [filter] - The filter, as for `all`
+     * @param {Object} [options] - The model options, `pageSize` sets the number of instances per page
+     * @returns {Readable} An object mode stream of the instance data
+     */
+    Neo4j.prototype.stream = function (model, filter, options) {
+        return createStream(this, model, function (callback) {
+            process.nextTick(callback, null, filter);
+        }, options || {}, function (entry) {
+            return entry;
+        });
+    };
+
+    /**
+     * Expose the streams on a model: `Model.stream(filter, options)` emits model instances. The filter goes through
+     * the default scope and the `access` hooks, like the one of `find`, see `Neo4j#prepareFilter`.
+     *
+     * @param {Function} Model - The model class
+     */
+    Neo4j.prototype.defineStreamMethods = function (Model) {
+        var self = this;
+
+        Model.stream = function (filter, options) {
+            filter = filter || {};
+            options = options || {};
+            return createStream(self, Model.modelName, function (callback) {
+                self.prepareFilter(Model, filter, options, callback);
+            }, options, function (entry) {
+                return new Model(entry, {
+                    "applySetters": false,
+                    "persisted": true
+                });
+            });
+        };
+    };
+};
@@ -0,0 +1,521 @@
+var Readable = require("stream").Readable;
+var Promise = require("bluebird");
+var debug = require("debug")("loopback:connector:neo4j-graph");
+
+/**
+ * Export and import of a graph, or of the part of it made of some labels, as records in the JSON format of APOC's
+ * `apoc.export.json`:
+ *
+ *     {"type": "node", "id": 7, "labels": ["Person"], "properties": {"name": "Ann"}}
+ *     {"type": "relationship", "id": 3, "label": "KNOWS", "start": {"id": 7, "labels": ["Person"]},
+ *         "end": {"id": 8, "labels": ["Person"]}, "properties": {"since": 2020}}
+ *
+ * The ids are those of the exporting server, only used to connect the relationships to the nodes when importing:
+ * the imported nodes are created with an `_Import` label and their exported id as `_importId`, both removed once the
+ * relationships are created. Temporal values are exported as ISO strings and imported as such.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * Number of records per query unless set by the `pageSize` or `batchSize` option or data source setting.
+     */
+    var DEFAULT_PAGE_SIZE = 1000;
+
+    /**
+     * Label of the nodes being imported.
+     */
+    var IMPORT_LABEL = "_Import";
+
+    /**
+     * Property holding the exported id of the nodes being imported.
+     */
+    var IMPORT_ID = "_importId";
+
+    /**
+     * Create the error reported for an invalid import.
+     *
+     * @param {string} message - The error message
+     * @param {number} statusCode - The status code
+     * @returns {Error}
+     */
+    var transferError = function (message, statusCode) {
+        var error = new Error(message);
+
+        error.statusCode = statusCode;
+        return error;
+    };
+
+    /**
+     * Get the number of records per query.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {*} size - The size from the options
+     * @returns {number}
+     */
+    var batchSize = function (self, size) {
+        var result = parseInt(size || self.settings.pageSize || DEFAULT_PAGE_SIZE, 10);
+
+        return isNaN(result) || result < 1 ? DEFAULT_PAGE_SIZE : result;
+    };
+
+    /**
+     * Run a query.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {string} query - The query
+     * @param {Object} params - The query parameters
+     * @returns {Promise} The rows
+     */
+    var run = function (self, query, params) {
+        return Promise.fromCallback(function (done) {
+            self.cypher({
+                "query": query,
+                "params": params,
+                "idempotent": false
+            }, {}, done);
+        });
+    };
+
+    /**
+     * Build the condition restricting a variable to nodes having one of the labels.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {string} variable - The variable
+     * @param {string[]} labels - The labels
+     * @returns {string}
+     */
+    var labelCondition = function (self, variable, labels) {
+        return "(" + labels.map(function (label) {
+            return variable + ":" + self.quote(label);
+        }).join(" OR ") + ")";
+    };
+
+    /**
+     * Build the query reading a page of the nodes or relationships to export, after the one with the `after` id.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {string} type - "node" or "relationship"
+     * @param {string[]} [labels] - The labels of the nodes to export, those of both ends of the relationships
+     * @returns {string}
+     */
+    var exportQuery = function (self, type, labels) {
+        var variable = "node" === type ? "n" : "r",
+            conditions = [self.dialect.param("after") + " IS NULL OR " + self.dialect.entityId(variable) + " > " +
+                self.dialect.param("after")];
+
+        if (labels) {
+            conditions = ("node" === type ? [labelCondition(self, "n", labels)] : [labelCondition(self, "a", labels),
+                labelCondition(self, "b", labels)]).concat("(" + conditions[0] + ")");
+        }
+        if ("node" === type) {
+            return "MATCH (n) WHERE " + conditions.join(" AND ") + " RETURN " + self.dialect.entityId("n") +
+                " AS id, labels(n) AS labels, properties(n) AS properties ORDER BY id LIMIT " +
+                self.dialect.param("limit");
+        }
+        return "MATCH (a)-[r]->(b) WHERE " + conditions.join(" AND ") + " RETURN " + self.dialect.entityId("r") +
+            " AS id, type(r) AS label, " + self.dialect.entityId("a") + " AS start, labels(a) AS startLabels, " +
+            self.dialect.entityId("b") + " AS end, labels(b) AS endLabels, properties(r) AS properties ORDER BY id " +
+            "LIMIT " + self.dialect.param("limit");
+    };
+
+    /**
+     * Convert an exported row to a record.
+     *
+     * @param {string} type - "node" or "relationship"
+     * @param {Object} row - The row
+     * @returns {Object}
+     */
+    var exportRecord = function (type, row) {
+        if ("node" === type) {
+            return {
+                "type": "node",
+                "id": row.id,
+                "labels": row.labels,
+                "properties": row.properties
+            };
+        }
+        return {
+            "type": "relationship",
+            "id": row.id,
+            "label": row.label,
+            "start": {
+                "id": row.start,
+                "labels": row.startLabels
+            },
+            "end": {
+                "id": row.end,
+                "labels": row.endLabels
+            },
+            "properties": row.properties
+        };
+    };
+
+    /**
+     * Export the nodes, then the relationships, page by page, see the module documentation.
+     *
+     * @param {Object} [options] - `labels` only exports the nodes having one of the labels and the relationships
+     * between them, `pageSize` sets the number of records per query
+     * @returns {Readable} An object mode stream of the records
+     */
+    Neo4j.prototype.exportGraph = function (options) {
+        var self = this,
+            labels = null,
+            pageSize = 0,
+            types = ["node", "relationship"],
+            after = null,
+            fetching = false,
+            stream = null,
+            fetch = function () {
+                var type = types[0],
+                    query = "";
+
+                try {
+                    query = exportQuery(self, type, labels);
+                } catch (e) {
+                    return stream.destroy(e);
+                }
+                if (self.debug) {
+                    debug("exportGraph:type:%s,after:%s,limit:%d", type, after, pageSize);
+                }
+                self.cypher({
+                    "query": query,
+                    "params": {
+                        "after": after,
+                        "limit": pageSize
+                    }
+                }, {}, function (error, rows) {
+                    fetching = false;
+                    if (stream.destroyed) {
+                        return;
+                    }
+                    if (error) {
+                        return stream.destroy(error);
+                    }
+                    rows.forEach(function (row) {
+                        stream.push(exportRecord(type, row));
+                    });
+                    if (rows.length === pageSize) {
+                        after = rows[rows.length - 1].id;
+                        return;
+                    }
+                    types.shift();
+                    after = null;
+                    if (!types.length) {
+                        return stream.push(null);
+                    }
+                    if (!rows.length) {
+                        // Nothing was pushed, so the stream will not ask for more
+                        fetching = true;
+                        fetch();
+                    }
+                });
+            };
+
+        options = options || {};
+        labels = options.labels ? [].concat(options.labels) : null;
+        pageSize = batchSize(self, options.pageSize);
+        stream = new Readable({
+            "objectMode": true,
+            "highWaterMark": pageSize,
+            "read": function () {
+                if (fetching) {
+                    return;
+                }
+                fetching = true;
+                if (self.serverVersion) {
+                    return fetch();
+                }
+                // The identifier function depends on the server version
+                self.connect(function (error) {
+                    if (stream.destroyed) {
+                        return;
+                    }
+                    if (error) {
+                        return stream.destroy(error);
+                    }
+                    fetch();
+                });
+            }
+        });
+        return stream;
+    };
+
+    /**
+     * Check that no other import is running or was left unfinished, and create the index of the exported ids unless
+     * it exists.
+     *
+     * @param {Neo4j} self - The connector
+     * @returns {Promise} Whether the index was created
+     * @throws {Error} with status code 409 if nodes still have the import label
+     */
+    var prepareImport = function (self) {
+        var index = {
+            "kind": "index",
+            "label": IMPORT_LABEL,
+            "properties": [IMPORT_ID]
+        };
+
+        return Promise.fromCallback(function (done) {
+            self.connect(done);
+        }).then(function () {
+            return run(self, "MATCH (n:" + self.quote(IMPORT_LABEL) + ") RETURN count(n) AS count", {});
+        }).then(function (rows) {
+            if (rows[0].count) {
+                throw transferError(rows[0].count + " nodes are labelled " + IMPORT_LABEL + " by another import, " +
+                    "running or interrupted", 409);
+            }
+            return Promise.fromCallback(function (done) {
+                self.readSchema(done);
+            });
+        }).then(function (schema) {
+            var exists = schema.indexes.some(function (entry) {
+                return -1 !== (entry.labels || []).indexOf(IMPORT_LABEL) && 1 === entry.properties.length &&
+                    IMPORT_ID === entry.properties[0];
+            });
+
+            if (exists) {
+                return false;
+            }
+            return run(self, self.dialect.createIndex(index), {}).then(function () {
+                return run(self, "CALL db.awaitIndexes(300)", {});
+            }).then(function () {
+                return true;
+            });
+        });
+    };
+
+    /**
+     * Remove the import label and ids, or the imported nodes and their relationships when the import failed, and the
+     * index created for the ids.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {number} size - The number of nodes per query
+     * @param {boolean} dropIndex - Whether the index was created by the import
+     * @param {boolean} discard - Whether to delete the imported nodes
+     * @returns {Promise}
+     */
+    var endImport = function (self, size, dropIndex, discard) {
+        var label = self.quote(IMPORT_LABEL),
+            clean = function () {
+                return run(self, "MATCH (n:" + label + ") WITH n LIMIT " + self.dialect.param("limit") + " " +
+                    (discard ? "DETACH DELETE n" : "REMOVE n:" + label + ", n." + self.quote(IMPORT_ID)) +
+                    " RETURN count(*) AS count", {
+                        "limit": size
+                    }).then(function (rows) {
+                    return rows[0].count === size ? clean() : null;
+                });
+            };
+
+        return clean().then(function () {
+            if (dropIndex) {
+                return run(self, self.dialect.dropIndex({
+                    "name": self.dialect.schemaName({
+                        "kind": "index",
+                        "label": IMPORT_LABEL,
+                        "properties": [IMPORT_ID]
+                    }),
+                    "labels": [IMPORT_LABEL],
+                    "properties": [IMPORT_ID]
+                }), {});
+            }
+        });
+    };
+
+    /**
+     * Create the importer of the records: it buffers them and creates the nodes, grouped by labels, and the
+     * relationships, grouped by type, a batch at a time.
+     *
+     * @param {Neo4j} self - The connector
+     * @param {number} size - The number of records per batch
+     * @returns {Object} `{add(record), flush(), counts}`, the methods returning promises
+     */
+    var createImporter = function (self, size) {
+        var pending = [],
+            pendingType = null,
+            importer = {
+                "counts": {
+                    "nodes": 0,
+                    "relationships": 0
+                }
+            },
+            received = 0,
+            present = function (value) {
+                return undefined !== value && null !== value;
+            },
+            endId = function (end) {
+                return end && "object" === typeof end ? end.id : end;
+            },
+            groups = function (key) {
+                var result = {};
+
+                pending.forEach(function (record) {
+                    var name = key(record);
+
+                    result[name] = result[name] || [];
+                    result[name].push(record);
+                });
+                return result;
+            },
+            createNodes = function (records) {
+                var labels = records[0].labels.concat(IMPORT_LABEL).map(function (label) {
+                    return self.quote(label);
+                });
+
+                return run(self, "UNWIND " + self.dialect.param("rows") + " AS row CREATE (n:" + labels.join(":") +
+                    ") SET n = row.properties, n." + self.quote(IMPORT_ID) + " = row.id", {
+                    "rows": records.map(function (record) {
+                        return {
+                            "id": record.id,
+                            "properties": record.properties || {}
+                        };
+                    })
+                }).then(function () {
+                    importer.counts.nodes += records.length;
+                });
+            },
+            createRelationships = function (records) {
+                var label = self.quote(IMPORT_LABEL),
+                    id = self.quote(IMPORT_ID);
+
+                return run(self, "UNWIND " + self.dialect.param("rows") + " AS row MATCH (a:" + label + " {" + id +
+                    ": row.start}) MATCH (b:" + label + " {" + id + ": row.end}) CREATE (a)-[r:" +
+                    self.quote(records[0].label) + "]->(b) SET r = row.properties RETURN count(r) AS count", {
+                        "rows": records.map(function (record) {
+                            return {
+                                "start": endId(record.start),
+                                "end": endId(record.end),
+                                "properties": record.properties || {}
+                            };
+                        })
+                    }).then(function (rows) {
+                    if (rows[0].count !== records.length) {
+                        throw transferError((records.length - rows[0].count) + " " + records[0].label +
+                            " relationships connect nodes missing from the import", 400);
+                    }
+                    importer.counts.relationships += records.length;
+                });
+            };
+
+        importer.flush = function () {
+            var batches = "node" === pendingType ? groups(function (record) {
+                return JSON.stringify(record.labels.slice().sort());
+            }) : groups(function (record) {
+                return record.label;
+            });
+
+            if (self.debug) {
+                debug("importGraph:type:%s,records:%d", pendingType, pending.length);
+            }
+            return Promise.each(Object.keys(batches), function (key) {
+                return "node" === pendingType ? createNodes(batches[key]) : createRelationships(batches[key]);
+            }).then(function () {
+                pending = [];
+            });
+        };
+
+        importer.add = function (record) {
+            var valid = !!record && present(record.id) && ("node" === record.type ? Array.isArray(record.labels) :
+                "relationship" === record.type && "string" === typeof record.label && present(endId(record.start)) &&
+                present(endId(record.end)));
+
+            received += 1;
+            if (!valid) {
+                return Promise.reject(transferError("Record " + received + " is neither a node nor a relationship: " +
+                    JSON.stringify(record), 400));
+            }
+            // Nodes and relationships are not batched together, the relationships needing the nodes
+            return (pendingType === record.type ? Promise.resolve() : importer.flush()).then(function () {
+                pendingType = record.type;
+                pending.push(record);
+                if (pending.length >= size) {
+                    return importer.flush();
+                }
+            });
+        };
+        return importer;
+    };
+
+    /**
+     * Import records, as exported by `exportGraph`, creating new nodes and relationships. A relationship may only
+     * connect nodes imported before it. Each batch is committed on its own, so a failed import deletes the nodes and
+     * relationships it created. While nodes have the `_Import` label, left by a running or interrupted import, imports
+     * fail with a 409 error.
+     *
+     * @param {Object[]|Readable} records - The records, or an object mode stream of them
+     * @param {Object} [options] - `batchSize` sets the number of records per query
+     * @param {Function} [callback] - The callback function, called with the number of `{nodes, relationships}`
+     * created
+     * @returns {Promise} A promise when called without callback
+     */
+    Neo4j.prototype.importGraph = function (records, options, callback) {
+        var self = this,
+            execute = function (done) {
+                var size = batchSize(self, options.batchSize),
+                    importer = createImporter(self, size),
+                    prepared = false,
+                    dropIndex = false;
+
+                prepareImport(self).then(function (created) {
+                    prepared = true;
+                    dropIndex = created;
+                    if (Array.isArray(records)) {
+                        return Promise.each(records, importer.add);
+                    }
+                    return new Promise(function (resolve, reject) {
+                        var adding = Promise.resolve();
+
+                        records.on("data", function (record) {
+                            records.pause();
+                            adding = importer.add(record).then(function () {
+                                records.resume();
+                            }, function (error) {
+                                records.destroy();
+                                reject(error);
+                            });
+                        }).on("end", function () {
+                            // The stream ends once the last record is read, not added
+                            adding.then(resolve);
+                        }).on("error", function (error) {
+                            adding.then(function () {
+                                reject(error);
+                            });
+                        });
+                    });
+                }).then(function () {
+                    return importer.flush();
+                }).then(function () {
+                    return endImport(self, size, dropIndex, false);
+                }).then(function () {
+                    done(null, importer.counts);
+                }).catch(function (error) {
+                    if (!prepared) {
+                        return done(self.translateError(error));
+                    }
+                    // Another import may not be started until the nodes created so far are deleted
+                    endImport(self, size, dropIndex, true).finally(function () {
+                        done(self.translateError(error));
+                    }).catch(function (cleanup) {
+                        if (self.debug) {
+                            debug("importGraph:cleanup:error:%s", cleanup.message);
+                        }
+                    });
+                });
+            };
+
+        if ("function" === typeof options) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        if (self.debug) {
+            debug("importGraph:options:%j", options);
+        }
+        if (callback) {
+            return execute(callback);
+        }
+        return Promise.fromCallback(execute);
+    };
+};
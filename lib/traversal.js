@@ -0,0 +1,449 @@
+var Promise = require("bluebird");
+
+/**
+ * Graph traversals: neighbours, variable length paths and shortest paths between model instances.
+ *
+ * Paths are returned in the same shape whatever the transport:
+ *
+ *     {
+ *         "length": 2,
+ *         "nodes": [{"model": "Customer", "labels": ["Customer"], "data": {...}}, ...],
+ *         "relationships": [{"type": "PLACED", "start": 0, "end": 1, "properties": {...}}, ...]
+ *     }
+ *
+ * `start` and `end` are the positions in `nodes` of the nodes a relationship goes from and to, which may be
+ * reversed compared to the path when it was traversed against its direction. `model` is null for nodes whose labels
+ * match no model of the data source.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * Parse a depth option to `{min, max}`.
+     *
+     * @param {Number|Number[]|Object} depth - `max`, `[min, max]` or `{min, max}`
+     * @param {number} min - The default minimum depth
+     * @param {number} max - The default maximum depth
+     * @returns {Object}
+     */
+    var parseDepth = function (depth, min, max) {
+        var range = {
+            "min": min,
+            "max": max
+        };
+
+        if (Array.isArray(depth)) {
+            range.min = depth[0];
+            range.max = depth[1];
+        } else if (depth && "object" === typeof depth) {
+            range.min = undefined !== depth.min ? depth.min : min;
+            range.max = undefined !== depth.max ? depth.max : max;
+        } else if (undefined !== depth && null !== depth) {
+            range.max = depth;
+        }
+        range.min = parseInt(range.min, 10);
+        range.max = parseInt(range.max, 10);
+        if (isNaN(range.min) || isNaN(range.max) || range.min < 0 || range.max < range.min) {
+            throw new Error("Invalid traversal depth: " + JSON.stringify(depth));
+        }
+        return range;
+    };
+
+    /**
+     * Build a relationship pattern, e.g. `-[:PLACED|SHIPPED*1..3]->`.
+     *
+     * @param {Neo4j} connector - The connector, quoting the relationship types
+     * @param {Object} options - `{relType, direction}`, the direction being "out", "in" or "both"
+     * @param {string} length - The length part of the pattern, e.g. "*1..3"
+     * @returns {string}
+     */
+    var relationshipPattern = function (connector, options, length) {
+        var types = [].concat(options.relType || []),
+            direction = options.direction || "both",
+            pattern = "[" + (types.length ? ":" + types.map(function (type) {
+                return connector.quote(String(type));
+            }).join("|") : "") + length + "]";
+
+        if ("out" === direction) {
+            return "-" + pattern + "->";
+        }
+        if ("in" === direction) {
+            return "<-" + pattern + "-";
+        }
+        if ("both" === direction) {
+            return "-" + pattern + "-";
+        }
+        throw new Error("Invalid traversal direction: " + direction);
+    };
+
+    /**
+     * Build the condition matching the first and last instances of a path, `a` and `b`, by id, the ids being
+     * converted like the stored id properties.
+     *
+     * @param {Neo4j} connector - The connector
+     * @param {string} fromModel - The model name of the first instance
+     * @param {*} fromId - The id of the first instance
+     * @param {string} toModel - The model name of the last instance
+     * @param {*} toId - The id of the last instance
+     * @param {Object} params - The query parameters, extended with `from` and `to`
+     * @returns {string}
+     */
+    var endsCondition = function (connector, fromModel, fromId, toModel, toId, params) {
+        var fromName = connector.getIdName(fromModel),
+            toName = connector.getIdName(toModel);
+
+        return connector.propertyRef(null, fromName, "a") + " = " +
+            connector.valueParam(fromModel, fromName, fromId, "from", params) + " AND " +
+            connector.propertyRef(null, toName, "b") + " = " +
+            connector.valueParam(toModel, toName, toId, "to", params);
+    };
+
+    /**
+     * Run a function which may throw while building a query, reporting the error to the callback.
+     *
+     * @param {Function} fn - The function
+     * @param {Function} callback - The callback function
+     */
+    var attempt = function (fn, callback) {
+        try {
+            fn();
+        } catch (error) {
+            process.nextTick(function () {
+                callback(error);
+            });
+        }
+    };
+
+    /**
+     * Find the model whose nodes carry the given labels.
+     *
+     * @param {string[]} labels - The node labels
+     * @returns {string} The model name or null
+     */
+    Neo4j.prototype.modelForLabels = function (labels) {
+        var self = this,
+            found = null;
+
+        Object.keys(self._models).forEach(function (model) {
+            if (!found && !self.relationshipModel(model) && (labels || []).indexOf(self.label(model)) !== -1) {
+                found = model;
+            }
+        });
+        return found;
+    };
+
+    /**
+     * Convert the nodes and relationships of a path to the traversal path shape.
+     *
+     * @param {Object[]} nodes - The nodes of the path
+     * @param {Object[]} relationships - The relationships of the path
+     * @returns {Object}
+     */
+    Neo4j.prototype.toPath = function (nodes, relationships) {
+        var self = this,
+            positions = {};
+
+        nodes = nodes || [];
+        relationships = relationships || [];
+        nodes.forEach(function (node, index) {
+            positions[node._id] = index;
+        });
+        return {
+            "length": relationships.length,
+            "nodes": nodes.map(function (node) {
+                var model = self.modelForLabels(node.labels);
+
+                return {
+                    "model": model,
+                    "labels": node.labels,
+                    "data": model ? self.fromDatabase(model, node.properties) : node.properties
+                };
+            }),
+            "relationships": relationships.map(function (relationship) {
+                return {
+                    "type": relationship.type,
+                    "start": positions[relationship._fromId],
+                    "end": positions[relationship._toId],
+                    "properties": relationship.properties
+                };
+            })
+        };
+    };
+
+    /**
+     * Find the nodes reachable from a model instance.
+     *
+     * @param {string} model - The model name
+     * @param {*} id - The id of the instance to start from
+     * @param {Object} [options] - The traversal options:
+     * - `relType` - a relationship type or an array of types, any type by default
+     * - `direction` - "out", "in" or "both" (default)
+     * - `depth` - the maximum depth, `[min, max]` or `{min, max}`, 1 by default
+     * - `model` - only return the instances of this model
+     * - `where` - conditions on the returned instances, requires `model`
+     * - `limit` - the maximum number of nodes to return
+     * - `transaction` - the transaction to run the query in
+     * @param {Function} callback - Called with the nodes as `{model, data, depth}`, `depth` being the length of the
+     * shortest path to the node, sorted by depth
+     */
+    Neo4j.prototype.neighbors = function (model, id, options, callback) {
+        var self = this;
+
+        if (!callback && "function" === typeof options) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        attempt(function () {
+            var depth = parseDepth(options.depth, 1, 1),
+                target = options.model || null,
+                params = {},
+                where = {},
+                query = "MATCH p = (n:" + self.quotedLabel(model) + ")" + relationshipPattern(self, options, "*" +
+                    depth.min + ".." + depth.max) + "(m" + (target ? ":" + self.quotedLabel(target) : "") + ") WHERE " +
+                    self.propertyRef(null, self.getIdName(model)) + " = " + self.idParam(model, id, params) +
+                    " AND m <> n WITH m, min(length(p)) AS depth";
+
+            if (options.where && !target) {
+                throw new Error("Traversal conditions require the model of the neighbors");
+            }
+            if (target) {
+                query += self.edgeKeyProjection(target, "m", ["depth"]);
+                where = options.where ? self.buildWhere(options.where, target, "m") : {};
+                if (where.query) {
+                    query += " WHERE" + where.query;
+                    Object.keys(where.params).forEach(function (key) {
+                        params[key] = where.params[key];
+                    });
+                }
+                query += " RETURN " + self.returnItems(target, "m") + ", depth";
+            } else {
+                query += " RETURN m, depth";
+            }
+            query += " ORDER BY depth";
+            if (options.limit) {
+                query += " LIMIT " + self.dialect.param("limit");
+                params.limit = options.limit;
+            }
+            self.cypher({
+                "query": query,
+                "params": params
+            }, options, function (error, response) {
+                var results = [];
+
+                if (error) {
+                    return callback(error);
+                }
+                try {
+                    results = response.map(function (row) {
+                        var found = target || self.modelForLabels(row.m.labels);
+
+                        return {
+                            "model": found,
+                            "data": target ? self.toData(target, row, "m") :
+                                    (found ? self.fromDatabase(found, row.m.properties) : row.m.properties),
+                            "depth": row.depth
+                        };
+                    });
+                } catch (e) {
+                    return callback(e);
+                }
+                callback(null, results);
+            });
+        }, callback);
+    };
+
+    /**
+     * Find the paths between two model instances, shortest first.
+     *
+     * @param {string} fromModel - The model name of the first instance
+     * @param {*} fromId - The id of the first instance
+     * @param {string} toModel - The model name of the last instance
+     * @param {*} toId - The id of the last instance
+     * @param {Object} [options] - The traversal options:
+     * - `relType` - a relationship type or an array of types, any type by default
+     * - `direction` - "out", "in" or "both" (default)
+     * - `maxDepth` - the maximum path length, 5 by default
+     * - `minDepth` - the minimum path length, 1 by default
+     * - `limit` - the maximum number of paths to return
+     * - `transaction` - the transaction to run the query in
+     * @param {Function} callback - Called with the paths
+     */
+    Neo4j.prototype.paths = function (fromModel, fromId, toModel, toId, options, callback) {
+        var self = this;
+
+        if (!callback && "function" === typeof options) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        attempt(function () {
+            var depth = parseDepth({
+                    "min": options.minDepth,
+                    "max": options.maxDepth
+                }, 1, 5),
+                params = {},
+                query = "MATCH p = (a:" + self.quotedLabel(fromModel) + ")" + relationshipPattern(self, options, "*" +
+                    depth.min + ".." + depth.max) + "(b:" + self.quotedLabel(toModel) + ") WHERE " +
+                    endsCondition(self, fromModel, fromId, toModel, toId, params) +
+                    " RETURN nodes(p) AS nodes, relationships(p) AS relationships ORDER BY length(p)";
+
+            if (options.limit) {
+                query += " LIMIT " + self.dialect.param("limit");
+                params.limit = options.limit;
+            }
+            self.cypher({
+                "query": query,
+                "params": params
+            }, options, function (error, response) {
+                var paths = [];
+
+                if (error) {
+                    return callback(error);
+                }
+                try {
+                    paths = response.map(function (row) {
+                        return self.toPath(row.nodes, row.relationships);
+                    });
+                } catch (e) {
+                    return callback(e);
+                }
+                callback(null, paths);
+            });
+        }, callback);
+    };
+
+    /**
+     * Find the shortest path between two model instances.
+     *
+     * @param {string} fromModel - The model name of the first instance
+     * @param {*} fromId - The id of the first instance
+     * @param {string} toModel - The model name of the last instance
+     * @param {*} toId - The id of the last instance
+     * @param {Object} [options] - The traversal options:
+     * - `relType` - a relationship type or an array of types, any type by default
+     * - `direction` - "out", "in" or "both" (default)
+     * - `maxDepth` - the maximum path length, 15 by default
+     * - `all` - return all the shortest paths instead of one
+     * - `transaction` - the transaction to run the query in
+     * @param {Function} callback - Called with the path, or null if the instances are not connected. With `all`,
+     * called with an array of paths
+     */
+    Neo4j.prototype.shortestPath = function (fromModel, fromId, toModel, toId, options, callback) {
+        var self = this;
+
+        if (!callback && "function" === typeof options) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        attempt(function () {
+            var depth = parseDepth(options.maxDepth, 1, 15),
+                params = {},
+                query = "MATCH (a:" + self.quotedLabel(fromModel) + "), (b:" + self.quotedLabel(toModel) + ") WHERE " +
+                    endsCondition(self, fromModel, fromId, toModel, toId, params) +
+                    " MATCH p = " + (options.all ? "allShortestPaths" : "shortestPath") + "((a)" +
+                    relationshipPattern(self, options, "*.." + depth.max) + "(b))" +
+                    " RETURN nodes(p) AS nodes, relationships(p) AS relationships";
+
+            self.cypher({
+                "query": query,
+                "params": params
+            }, options, function (error, response) {
+                var paths = [];
+
+                if (error) {
+                    return callback(error);
+                }
+                try {
+                    paths = response.map(function (row) {
+                        return self.toPath(row.nodes, row.relationships);
+                    });
+                } catch (e) {
+                    return callback(e);
+                }
+                callback(null, options.all ? paths : (paths[0] || null));
+            });
+        }, callback);
+    };
+
+    /**
+     * Expose the traversals on a model: `Model.neighbors(id, options, cb)`, `Model.paths(id, toModel, toId, options,
+     * cb)` and `Model.shortestPath(id, toModel, toId, options, cb)`. `toModel` is a model class or name. The nodes of
+     * the results are model instances when their model is known, and the methods return a promise when called
+     * without a callback.
+     *
+     * @param {Function} Model - The model class
+     */
+    Neo4j.prototype.defineTraversals = function (Model) {
+        var self = this,
+            instance = function (node) {
+                var ModelClass = node.model && self.getModelDefinition(node.model).model;
+
+                return ModelClass ? new ModelClass(node.data, {
+                    "applySetters": false,
+                    "persisted": true
+                }) : node.data;
+            },
+            hydrate = function (path) {
+                path.nodes.forEach(function (node) {
+                    node.data = instance(node);
+                });
+                return path;
+            },
+            modelName = function (model) {
+                return "string" === typeof model ? model : model.modelName;
+            },
+            invoke = function (fn, callback) {
+                if (callback) {
+                    return fn(callback);
+                }
+                return Promise.fromCallback(fn);
+            };
+
+        Model.neighbors = function (id, options, callback) {
+            if (!callback && "function" === typeof options) {
+                callback = options;
+                options = {};
+            }
+            options = Object.assign({}, options);
+            if (options.model) {
+                options.model = modelName(options.model);
+            }
+            return invoke(function (done) {
+                self.neighbors(Model.modelName, id, options, function (error, nodes) {
+                    done(error, nodes && nodes.map(instance));
+                });
+            }, callback);
+        };
+        Model.paths = function (id, toModel, toId, options, callback) {
+            if (!callback && "function" === typeof options) {
+                callback = options;
+                options = {};
+            }
+            return invoke(function (done) {
+                self.paths(Model.modelName, id, modelName(toModel), toId, options, function (error, paths) {
+                    done(error, paths && paths.map(hydrate));
+                });
+            }, callback);
+        };
+        Model.shortestPath = function (id, toModel, toId, options, callback) {
+            if (!callback && "function" === typeof options) {
+                callback = options;
+                options = {};
+            }
+            return invoke(function (done) {
+                self.shortestPath(Model.modelName, id, modelName(toModel), toId, options, function (error, path) {
+                    if (Array.isArray(path)) {
+                        path = path.map(hydrate);
+                    } else if (path) {
+                        path = hydrate(path);
+                    }
+                    done(error, path);
+                });
+            }, callback);
+        };
+    };
+};
@@ -0,0 +1,533 @@
+var debug = require("debug")("loopback:connector:neo4j-graph");
+
+/**
+ * Property types stored as native Neo4j values rather than as the JSON LoopBack would send.
+ *
+ * `GeoPoint` properties are stored as WGS-84 points, `point({latitude, longitude})`, so they can be indexed and
+ * searched by distance with `near`. They are read back as `{lat, lng}` whatever the transport returns: a driver
+ * `Point` (`{srid, x, y}`) over Bolt or a GeoJSON like `{type: "Point", coordinates: [x, y]}` over REST.
+ *
+ * `Date` properties are stored as `datetime` values, which filters and sorts compare in time rather than as strings.
+ * The `temporal` setting of a property's `neo4j` settings picks another temporal type, `date`, `localdatetime` or
+ * `duration`, for properties of any type, or false to store ISO strings, like the `temporal` data source setting does
+ * for all the `Date` properties. Both transports read temporal values back as ISO strings, which `Date` properties
+ * convert to dates.
+ *
+ * @param {Function} Neo4j - The connector constructor
+ */
+module.exports = function (Neo4j) {
+    "use strict";
+
+    /**
+     * Number of instances `migrateTemporals` converts per statement unless set by the `batchSize` option or data
+     * source setting.
+     */
+    var DEFAULT_BATCH_SIZE = 10000;
+
+    /**
+     * ISO 8601 durations in units, e.g. "P1DT2H3.5S", which `duration()` parses.
+     */
+    var ISO_DURATION = new RegExp("^P(?=-?\\d|T-?\\d)(?:-?\\d+Y)?(?:-?\\d+M)?(?:-?\\d+W)?(?:-?\\d+D)?" +
+        "(?:T(?=-?\\d)(?:-?\\d+H)?(?:-?\\d+M)?(?:-?\\d+(?:\\.\\d+)?S)?)?$");
+
+    /**
+     * Meters per distance unit, the units of LoopBack's GeoPoint. Radians and degrees are angles at the center of
+     * the earth, Neo4j computes WGS-84 distances on a sphere of radius 6378140 meters.
+     */
+    var METERS = {
+        "meters": 1,
+        "kilometers": 1000,
+        "miles": 1609.344,
+        "feet": 0.3048,
+        "radians": 6378140,
+        "degrees": 6378140 * Math.PI / 180
+    };
+
+    /**
+     * Create the error reported for a value which cannot be converted.
+     *
+     * @param {string} message - The error message
+     * @returns {Error}
+     */
+    var invalidValue = function (message) {
+        var error = new Error(message);
+
+        error.statusCode = 400;
+        return error;
+    };
+
+    /**
+     * Convert a GeoPoint, `{lat, lng}`, `[lat, lng]` or `"lat,lng"` to the map `point()` expects.
+     *
+     * @param {Object|Number[]|string} value - The location
+     * @returns {Object} `{latitude, longitude}`, or null for a null value
+     * @throws {Error} if the value is not a location
+     */
+    var toPoint = function (value) {
+        var parts = value;
+
+        if (null === value || undefined === value) {
+            return null;
+        }
+        if ("string" === typeof value) {
+            parts = value.split(/\s*,\s*/);
+        }
+        if (Array.isArray(parts)) {
+            parts = {
+                "lat": parts[0],
+                "lng": parts[1]
+            };
+        }
+        if ("object" !== typeof parts || isNaN(parseFloat(parts.lat)) || isNaN(parseFloat(parts.lng))) {
+            throw invalidValue("Invalid location: " + JSON.stringify(value));
+        }
+        return {
+            "latitude": parseFloat(parts.lat),
+            "longitude": parseFloat(parts.lng)
+        };
+    };
+
+    /**
+     * Convert a point read from the database to `{lat, lng}`.
+     *
+     * @param {Object} value - A driver Point or a GeoJSON point
+     * @returns {Object}
+     */
+    var fromPoint = function (value) {
+        if (!value || "object" !== typeof value) {
+            return value;
+        }
+        if (Array.isArray(value.coordinates)) {
+            return {
+                "lat": value.coordinates[1],
+                "lng": value.coordinates[0]
+            };
+        }
+        if (undefined !== value.x && undefined !== value.y) {
+            return {
+                "lat": value.y,
+                "lng": value.x
+            };
+        }
+        return value;
+    };
+
+    /**
+     * Convert a temporal value read from the database to a Date. Local date times, which have no time zone, are
+     * taken as UTC, the way they are written.
+     *
+     * @param {string} value - The ISO string, e.g. "2024-03-05T10:00:00.123000000+01:00[Europe/Paris]"
+     * @returns {Date}
+     */
+    var parseDate = function (value) {
+        value = value.replace(/\[.*\]$/, "");
+        return new Date(/T[0-9:.]+$/.test(value) ? value + "Z" : value);
+    };
+
+    /**
+     * Convert a date, a date string or a number of milliseconds since the epoch to an ISO string in UTC.
+     *
+     * @param {Date|string|number} value - The date
+     * @returns {string}
+     * @throws {Error} if the value is not a date
+     */
+    var toISOString = function (value) {
+        var date = value instanceof Date ? value : new Date(value);
+
+        if (isNaN(date.getTime())) {
+            throw invalidValue("Invalid date: " + JSON.stringify(value));
+        }
+        return date.toISOString();
+    };
+
+    /**
+     * Convert a duration, an ISO 8601 string or a number of milliseconds, to the string `duration()` expects.
+     *
+     * @param {string|number} value - The duration
+     * @returns {string}
+     */
+    var toDuration = function (value) {
+        return "number" === typeof value ? "PT" + value / 1000 + "S" : value;
+    };
+
+    /**
+     * Convert a duration read from the database to a number of milliseconds, counting days as 24 hours.
+     *
+     * @param {string} value - The ISO 8601 duration, e.g. "P1DT2H3.5S"
+     * @returns {number} The milliseconds, or NaN if the duration has months or years
+     */
+    var durationMillis = function (value) {
+        var match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(-?\d+)H)?(?:(-?\d+)M)?(?:(-?[\d.]+)S)?)?$/.exec(value);
+
+        if (!match) {
+            return NaN;
+        }
+        return Math.round(((parseInt(match[1] || 0, 10) * 7 + parseInt(match[2] || 0, 10)) * 86400 +
+            parseInt(match[3] || 0, 10) * 3600 + parseInt(match[4] || 0, 10) * 60 + parseFloat(match[5] || 0)) * 1000);
+    };
+
+    /**
+     * Check that a string is an ISO 8601 duration `duration()` parses.
+     *
+     * @param {string} value - The duration
+     * @returns {string} The duration
+     * @throws {Error} if the value is not a duration
+     */
+    var checkDuration = function (value) {
+        if (!ISO_DURATION.test(value)) {
+            throw invalidValue("Invalid duration: " + JSON.stringify(value));
+        }
+        return value;
+    };
+
+    /**
+     * Build the native type of a temporal Cypher function: its values are compared and sorted in time.
+     *
+     * @param {string} name - The function, e.g. "datetime"
+     * @param {Function} toParam - Converts a value to the string the function parses
+     * @param {Function} fromDatabase - Converts the ISO string read back for a property of the given type
+     * @returns {Object}
+     */
+    var temporalType = function (name, toParam, fromDatabase) {
+        return {
+            "toParam": function (value) {
+                return null === value || undefined === value ? null : toParam(value);
+            },
+            "expression": function (ref) {
+                return name + "(" + ref + ")";
+            },
+            "fromDatabase": function (value, type) {
+                return "string" === typeof value ? fromDatabase(value, type) : value;
+            },
+            "migrate": function (value) {
+                // Strings written by earlier versions are ISO date times, even for dates
+                return "duration" === name ? checkDuration(value) : toParam(toISOString(value));
+            }
+        };
+    };
+
+    /**
+     * Convert a date or date time read from the database for a property of the given type.
+     *
+     * @param {string} value - The ISO string
+     * @param {string} type - The property type name
+     * @returns {Date|string}
+     */
+    var fromDateTime = function (value, type) {
+        return "Date" === type ? parseDate(value) : value;
+    };
+
+    /**
+     * Native types by LoopBack type name or temporal function: `toParam` converts a value to a query parameter,
+     * `expression` builds the Cypher expression storing a parameter and `fromDatabase` converts a stored value back,
+     * given the property type name. Temporal types also have `migrate`, which converts a string written by an earlier
+     * version to a query parameter, or throws if it cannot be parsed, see `migrateTemporals`.
+     */
+    var NATIVE_TYPES = {
+        "GeoPoint": {
+            "toParam": toPoint,
+            "expression": function (ref) {
+                // point(null) is null, which removes the property
+                return "point(" + ref + ")";
+            },
+            "fromDatabase": fromPoint
+        },
+        "datetime": temporalType("datetime", toISOString, fromDateTime),
+        "date": temporalType("date", function (value) {
+            return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : toISOString(value).slice(0, 10);
+        }, fromDateTime),
+        "localdatetime": temporalType("localdatetime", function (value) {
+            // Without a time zone, a string is already a local date time
+            return /^\d{4}-\d{2}-\d{2}T[0-9:.]+$/.test(value) ? value : toISOString(value).slice(0, 23);
+        }, fromDateTime),
+        "duration": temporalType("duration", toDuration, function (value, type) {
+            return "Number" === type ? durationMillis(value) : value;
+        })
+    };
+
+    /**
+     * Get the name of the type of a model property, e.g. "GeoPoint" or "String".
+     *
+     * @param {string} model - The model name
+     * @param {string} property - The property name
+     * @returns {string} The type name, or null for unknown properties
+     */
+    Neo4j.prototype.propertyType = function (model, property) {
+        var definition = this.getModelDefinition(model).properties[property],
+            type = definition && definition.type;
+
+        if (!type) {
+            return null;
+        }
+        return "string" === typeof type ? type : type.modelName || type.name || null;
+    };
+
+    /**
+     * Get the native type a model property is stored as, see `NATIVE_TYPES`.
+     *
+     * @param {string} model - The model name
+     * @param {string} property - The property name
+     * @returns {Object} The native type, or null for properties stored as they are
+     */
+    Neo4j.prototype.nativeType = function (model, property) {
+        var definition = this.getModelDefinition(model).properties[property],
+            type = this.propertyType(model, property),
+            temporal = definition && definition.neo4j && definition.neo4j.temporal;
+
+        if (definition && definition.neo4j && definition.neo4j.integer) {
+            return this.integerType(model, property);
+        }
+        if (undefined === temporal && "Date" === type) {
+            temporal = false === this.settings.temporal ? false : "datetime";
+        }
+        if (false === temporal) {
+            return null;
+        }
+        return NATIVE_TYPES[temporal || type] || null;
+    };
+
+    /**
+     * Add a value compared to a property to the query parameters, converted the way the property is stored.
+     *
+     * @param {string} model - The model name
+     * @param {string} property - The property name
+     * @param {*} value - The value
+     * @param {string} name - The parameter name
+     * @param {Object} params - The query parameters
+     * @returns {string} The expression of the value, e.g. `datetime($name)`
+     * @throws {Error} with status code 400 if the value cannot be converted
+     */
+    Neo4j.prototype.valueParam = function (model, property, value, name, params) {
+        var native = model ? this.nativeType(model, property) : null;
+
+        if (!native || null === value || undefined === value) {
+            params[name] = value;
+            return this.dialect.param(name);
+        }
+        params[name] = native.toParam(value);
+        return native.expression(this.dialect.param(name));
+    };
+
+    /**
+     * Add an id to the query parameters as `id`, converted the way the id property is stored, see `valueParam`.
+     *
+     * @param {string} model - The model name
+     * @param {*} id - The id value
+     * @param {Object} params - The query parameters
+     * @returns {string} The expression of the id, e.g. `toInteger($id)`
+     * @throws {Error} with status code 400 if the id cannot be converted
+     */
+    Neo4j.prototype.idParam = function (model, id, params) {
+        return this.valueParam(model, this.getIdName(model), id, "id", params);
+    };
+
+    /**
+     * Split the properties stored as native Neo4j values off the properties of a write and build the clause
+     * setting them, e.g. ` SET n.location = point($n_v0)`. Nested properties are converted to the properties
+     * storing them, see `storeNested`.
+     *
+     * @param {string} model - The model name
+     * @param {Object} properties - The properties to write
+     * @param {Object} params - The query parameters, extended with the native values
+     * @param {string} [alias] - The variable bound to the nodes or relationships, "n" by default
+     * @returns {Object} `{properties, query}`, `properties` being the ones which can be written as a map parameter
+     */
+    Neo4j.prototype.toDatabase = function (model, properties, params, alias) {
+        var self = this,
+            plain = {},
+            clauses = [];
+
+        alias = alias || "n";
+        Object.keys(properties).forEach(function (key) {
+            var param = alias + "_v" + clauses.length,
+                native = self.nativeType(model, key);
+
+            if (native && undefined !== properties[key]) {
+                params[param] = native.toParam(properties[key]);
+                clauses.push(alias + "." + self.quote(key) + " = " + native.expression(self.dialect.param(param)));
+            } else if (self.nestedStore(model, key)) {
+                self.storeNested(model, key, properties[key], plain);
+            } else {
+                plain[key] = properties[key];
+            }
+        });
+        return {
+            "properties": plain,
+            "query": clauses.length ? " SET " + clauses.join(", ") : ""
+        };
+    };
+
+    /**
+     * Build a `near` condition: `{near, maxDistance, minDistance, unit}`, the distances being in `unit` (miles by
+     * default, like LoopBack's GeoPoint).
+     *
+     * @param {string} ref - The reference to the property, e.g. "n.location"
+     * @param {Object} cond - The near condition
+     * @param {string} anchor - The name of the parameter holding the location, prefixing the distance ones
+     * @param {Object} params - The query parameters, extended with the location and the distances
+     * @returns {Object} `{query, distance}`, `distance` being the expression of the distance to the location
+     * @throws {Error} if the location or the unit is invalid
+     */
+    Neo4j.prototype.buildNear = function (ref, cond, anchor, params) {
+        var self = this,
+            unit = cond.unit || "miles",
+            distance = "",
+            conditions = [];
+
+        if (!METERS[unit]) {
+            throw invalidValue("Unsupported distance unit: " + unit);
+        }
+        params[anchor] = toPoint(cond.near);
+        if (!params[anchor]) {
+            throw invalidValue("The near operator requires a location");
+        }
+        distance = self.dialect.distanceFunction() + "(" + ref + ", point(" + self.dialect.param(anchor) + "))";
+        if (undefined !== cond.maxDistance && null !== cond.maxDistance) {
+            params[anchor + "_max"] = cond.maxDistance * METERS[unit];
+            conditions.push(" " + distance + " <= " + self.dialect.param(anchor + "_max"));
+        }
+        if (undefined !== cond.minDistance && null !== cond.minDistance) {
+            params[anchor + "_min"] = cond.minDistance * METERS[unit];
+            conditions.push(" " + distance + " >= " + self.dialect.param(anchor + "_min"));
+        }
+        if (!conditions.length) {
+            conditions.push(" " + ref + " IS NOT NULL");
+        }
+        return {
+            "query": conditions.join(" AND"),
+            "distance": distance
+        };
+    };
+
+    /**
+     * Convert the temporal properties of the existing instances of a model which are still strings, written before
+     * the properties were stored natively, to their temporal type. Each transaction converts a batch of instances, so
+     * that large graphs are not converted in a single transaction. Strings which cannot be parsed are left as they
+     * are and reported by the ids of their instances.
+     *
+     * @param {string} model - The model name
+     * @param {Object} [options] - `properties` lists the properties to convert, all the temporal ones by default, and
+     * `batchSize` overrides the data source setting
+     * @param {Function} callback - Called with `{converted, failed}`, the number of converted instances and the ids
+     * of the instances which could not be converted by property
+     */
+    Neo4j.prototype.migrateTemporals = function (model, options, callback) {
+        var self = this,
+            size = 0,
+            properties = [],
+            result = {
+                "converted": {},
+                "failed": {}
+            },
+            entity = self.dialect.entityId("n"),
+            next = null;
+
+        if ("function" === typeof options) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        size = parseInt(options.batchSize || self.settings.batchSize || DEFAULT_BATCH_SIZE, 10);
+        properties = options.properties || Object.keys(self.getModelDefinition(model).properties).filter(function (p) {
+            var native = self.nativeType(model, p);
+
+            return native && native.migrate;
+        });
+        next = function (index) {
+            var property = properties[index],
+                native = null,
+                ref = "",
+                skipped = [],
+                batch = null,
+                convert = null;
+
+            if (index >= properties.length) {
+                return callback(null, result);
+            }
+            native = self.nativeType(model, property);
+            if (!native || !native.migrate) {
+                return callback(invalidValue("The property " + property + " of " + model + " is not temporal"));
+            }
+            ref = self.propertyRef(model, property);
+            result.converted[property] = 0;
+            result.failed[property] = [];
+            convert = function (transaction, done) {
+                self.cypher({
+                    // A string equals its conversion to a string, temporal values do not
+                    "query": self.matchClause(model) + " WHERE " + ref + " = toString(" + ref + ") AND NOT " + entity +
+                        " IN " + self.dialect.param("skipped") + " WITH n LIMIT " + self.dialect.param("limit") +
+                        " RETURN " + entity + " AS entity, " + self.propertyRef(model, self.getIdName(model)) +
+                        " AS id, " + ref + " AS value",
+                    "params": {
+                        "skipped": skipped,
+                        "limit": size
+                    }
+                }, transaction, function (error, response) {
+                    var rows = [],
+                        failed = [];
+
+                    if (error) {
+                        return done(error);
+                    }
+                    response.forEach(function (row) {
+                        try {
+                            rows.push({
+                                "entity": row.entity,
+                                "value": native.migrate(row.value)
+                            });
+                        } catch (e) {
+                            failed.push(row);
+                        }
+                    });
+                    if (!rows.length) {
+                        return done(null, {
+                            "read": response.length,
+                            "count": 0,
+                            "failed": failed
+                        });
+                    }
+                    self.cypher({
+                        "query": "UNWIND " + self.dialect.param("rows") + " AS row MATCH " +
+                            (self.relationshipModel(model) ? "()-[n]->()" : "(n)") + " WHERE " + entity +
+                            " = row.entity SET " + ref + " = " + native.expression("row.value") +
+                            " RETURN count(n) AS count",
+                        "params": {
+                            "rows": rows
+                        }
+                    }, transaction, function (error, written) {
+                        done(error, error ? null : {
+                            "read": response.length,
+                            "count": written[0] ? written[0].count : 0,
+                            "failed": failed
+                        });
+                    });
+                });
+            };
+            batch = function () {
+                if (self.debug) {
+                    debug("migrateTemporals:model:%s,property:%s,converted:%d,failed:%d", model, property,
+                        result.converted[property], skipped.length);
+                }
+                self.runTransaction(convert, function (error, outcome) {
+                    if (error) {
+                        return callback(error);
+                    }
+                    result.converted[property] += outcome.count;
+                    outcome.failed.forEach(function (row) {
+                        // Skipped by the next batches rather than read again
+                        skipped.push(row.entity);
+                        result.failed[property].push(row.id);
+                    });
+                    if (outcome.read >= size) {
+                        return batch();
+                    }
+                    next(index + 1);
+                });
+            };
+            batch();
+        };
+        process.nextTick(function () {
+            next(0);
+        });
+    };
+};
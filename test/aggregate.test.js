@@ -0,0 +1,135 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db, Sale;
+
+describe("neo4j-graph aggregations", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        Sale = db.define("AggregateSale", {
+            "region": String,
+            "product": String,
+            "amount": Number
+        });
+        db.connector.execute("MATCH (n:AggregateSale) DETACH DELETE n", function () {
+            Sale.createAll([{
+                "region": "north",
+                "product": "tea",
+                "amount": 10
+            }, {
+                "region": "north",
+                "product": "coffee",
+                "amount": 30
+            }, {
+                "region": "south",
+                "product": "tea",
+                "amount": 5
+            }, {
+                "region": "south",
+                "product": "tea",
+                "amount": 15
+            }, {
+                "region": "west",
+                "product": "cocoa",
+                "amount": 1
+            }], done);
+        });
+    });
+
+    it("should aggregate the instances by group", function (done) {
+        Sale.aggregate({
+            "where": {
+                "amount": {
+                    "gt": 1
+                }
+            },
+            "groupBy": "region",
+            "aggregates": {
+                "total": {
+                    "sum": "amount"
+                },
+                "average": {
+                    "avg": "amount"
+                },
+                "largest": {
+                    "max": "amount"
+                },
+                "sales": {
+                    "count": "*"
+                },
+                "products": {
+                    "count": "product",
+                    "distinct": true
+                }
+            },
+            "order": "total DESC"
+        }, function (err, groups) {
+            should.not.exist(err);
+            groups.should.eql([{
+                "region": "north",
+                "total": 40,
+                "average": 20,
+                "largest": 30,
+                "sales": 2,
+                "products": 2
+            }, {
+                "region": "south",
+                "total": 20,
+                "average": 10,
+                "largest": 15,
+                "sales": 2,
+                "products": 1
+            }]);
+            done();
+        });
+    });
+
+    it("should aggregate all the instances without groupBy", function () {
+        return Sale.aggregate({
+            "aggregates": {
+                "smallest": {
+                    "min": "amount"
+                },
+                "sales": {
+                    "count": "*"
+                }
+            }
+        }).then(function (groups) {
+            groups.should.eql([{
+                "smallest": 1,
+                "sales": 5
+            }]);
+        });
+    });
+
+    it("should reject unknown aggregating functions", function (done) {
+        Sale.aggregate({
+            "aggregates": {
+                "middle": {
+                    "median": "amount"
+                }
+            }
+        }, function (err) {
+            should.exist(err);
+            err.statusCode.should.equal(400);
+            done();
+        });
+    });
+
+    it("should list the distinct values of a property", function (done) {
+        Sale.distinct("product", {
+            "region": {
+                "neq": "west"
+            }
+        }, function (err, products) {
+            should.not.exist(err);
+            products.should.eql(["coffee", "tea"]);
+            done();
+        });
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n:AggregateSale) DETACH DELETE n", done);
+    });
+});
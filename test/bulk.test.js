@@ -0,0 +1,137 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db, Product;
+
+describe("neo4j-graph bulk writes", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        Product = db.define("BulkProduct", {
+            "sku": String,
+            "name": String,
+            "price": Number,
+            "released": Date
+        }, {
+            "neo4j": {
+                "naturalKey": "sku"
+            }
+        });
+        db.connector.execute("MATCH (n:BulkProduct) DETACH DELETE n", function () {
+            db.autoupdate("BulkProduct", done);
+        });
+    });
+
+    it("should create instances in batches and return their ids in order", function (done) {
+        var spy = sinon.spy(db.connector, "cypher"),
+            data = [];
+
+        while (data.length < 25) {
+            data.push({
+                "sku": "P-" + data.length,
+                "price": data.length
+            });
+        }
+        Product.createAll(data, {
+            "batchSize": 10
+        }, function (err, products) {
+            spy.restore();
+            should.not.exist(err);
+            spy.callCount.should.equal(3);
+            products.should.have.lengthOf(25);
+            products[24].sku.should.equal("P-24");
+            db.connector.execute("MATCH (n:BulkProduct) WHERE n.sku = 'P-24' RETURN n.id AS id", function (err, rows) {
+                should.not.exist(err);
+                rows[0].id.should.equal(products[24].id);
+                done();
+            });
+        });
+    });
+
+    it("should report the instances violating a constraint", function (done) {
+        Product.findOne({
+            "where": {
+                "sku": "P-1"
+            }
+        }, function (err, existing) {
+            should.not.exist(err);
+            Product.createAll([{
+                "sku": "N-1"
+            }, {
+                "id": existing.id,
+                "sku": "N-2"
+            }, {
+                "sku": "N-3"
+            }], function (err, products) {
+                should.exist(err);
+                err.failures.map(function (failure) {
+                    return failure.index;
+                }).should.eql([1]);
+                should.not.exist(products[1]);
+                products[2].sku.should.equal("N-3");
+                Product.count({
+                    "sku": {
+                        "inq": ["N-1", "N-2", "N-3"]
+                    }
+                }, function (err, count) {
+                    count.should.equal(2);
+                    done(err);
+                });
+            });
+        });
+    });
+
+    it("should upsert instances on their natural key", function (done) {
+        Product.findOne({
+            "where": {
+                "sku": "P-2"
+            }
+        }, function (err, existing) {
+            should.not.exist(err);
+            Product.upsertAll([{
+                "sku": "P-2",
+                "name": "Updated"
+            }, {
+                "sku": "U-1",
+                "name": "New"
+            }]).then(function (products) {
+                products[0].id.should.equal(existing.id);
+                products[1].id.should.be.a.String();
+                return Product.findById(existing.id);
+            }).then(function (product) {
+                product.name.should.equal("Updated");
+                product.price.should.equal(2);
+                done();
+            }).catch(done);
+        });
+    });
+
+    it("should upsert instances on a key stored as a native value", function (done) {
+        var released = new Date("2020-05-01T00:00:00Z");
+
+        Product.upsertAll([{
+            "sku": "D-1",
+            "released": released
+        }], {
+            "key": "released"
+        }).then(function (products) {
+            return Product.upsertAll([{
+                "name": "Dated",
+                "released": released
+            }], {
+                "key": "released"
+            }).then(function (updated) {
+                updated[0].id.should.equal(products[0].id);
+                return Product.findById(products[0].id);
+            });
+        }).then(function (product) {
+            product.sku.should.equal("D-1");
+            product.name.should.equal("Dated");
+            done();
+        }).catch(done);
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n:BulkProduct) DETACH DELETE n", done);
+    });
+});
@@ -0,0 +1,178 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var Writable = require("stream").Writable;
+var cli = require("../lib/cli");
+
+var db, directory;
+
+/**
+ * Create a stream collecting what is written to it as `text`.
+ */
+var collect = function () {
+    "use strict";
+    var output = new Writable({
+        "write": function (chunk, encoding, callback) {
+            output.text += chunk.toString();
+            callback();
+        }
+    });
+
+    output.text = "";
+    return output;
+};
+
+describe("neo4j-graph command line", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "neo4j-graph-cli-"));
+        fs.writeFileSync(path.join(directory, "datasources.json"), JSON.stringify({
+            "db": {
+                "connector": "memory"
+            },
+            "graph": Object.assign({
+                "connector": "neo4j-graphs"
+            }, config)
+        }));
+        db.connector.execute("MATCH (n) WHERE n:CliPerson OR n:CliCity DETACH DELETE n", done);
+    });
+
+    it("should parse options, flags and arguments", function () {
+        cli.parse(["--config", "ds.json", "migrate", "down", "--steps=2", "--dry-run", "--param", "a=1",
+            "--param", "b=x"]).should.eql({
+            "args": ["migrate", "down"],
+            "options": {
+                "config": "ds.json",
+                "steps": "2",
+                "dryRun": true,
+                "param": ["a=1", "b=x"]
+            }
+        });
+        (function () {
+            cli.parse(["export", "--out"]);
+        }).should.throw(/needs a value/);
+    });
+
+    it("should read the data source of a datasources.json and the environment", function () {
+        var settings = cli.settings({
+            "config": path.join(directory, "datasources.json")
+        }, {
+            "NEO4J_PASS": "secret"
+        });
+
+        should.not.exist(settings.connector);
+        settings.host.should.equal(config.host);
+        settings.password.should.equal("secret");
+        (function () {
+            cli.settings({
+                "config": path.join(directory, "datasources.json"),
+                "datasource": "missing"
+            }, {});
+        }).should.throw(/no data source missing/);
+    });
+
+    it("should run a file of statements with parameters", function (done) {
+        var output = collect();
+
+        fs.writeFileSync(path.join(directory, "people.cypher"), "CREATE (:CliPerson {name: $name});\n" +
+            "MATCH (n:CliPerson) RETURN n.name AS name, $age AS age;\n");
+        cli.run(["--config", path.join(directory, "datasources.json"), "cypher", path.join(directory, "people.cypher"),
+            "--param", "name=Ann", "--param", "age=42", "--transaction"], output, function (err) {
+            should.not.exist(err);
+            output.text.should.equal("{\"name\":\"Ann\",\"age\":42}\n");
+            done();
+        });
+    });
+
+    it("should parse JSON lines split inside a character", function (done) {
+        var records = [],
+            bytes = Buffer.from("{\"name\":\"Zoë\"}\n{\"name\":\"日本\"}"),
+            lines = cli.jsonLines();
+
+        lines.on("data", function (record) {
+            records.push(record);
+        }).on("error", done).on("end", function () {
+            records.should.eql([{
+                "name": "Zoë"
+            }, {
+                "name": "日本"
+            }]);
+            done();
+        });
+        // Both chunk boundaries fall within a multibyte character
+        lines.write(bytes.slice(0, 12));
+        lines.write(bytes.slice(12, 26));
+        lines.end(bytes.slice(26));
+    });
+
+    it("should export and import the nodes and relationships of labels", function (done) {
+        var records = [];
+
+        db.connector.execute("CREATE (:CliPerson {name: 'Bob'})-[:LIVES_IN {since: 2020}]->(:CliCity {name: 'Oslo'})",
+            function (err) {
+                should.not.exist(err);
+                db.connector.exportGraph({
+                    "labels": ["CliPerson", "CliCity"],
+                    "pageSize": 2
+                }).on("data", function (record) {
+                    records.push(record);
+                }).on("error", done).on("end", function () {
+                    records.map(function (record) {
+                        return record.type;
+                    }).should.eql(["node", "node", "node", "relationship"]);
+                    db.connector.importGraph(records, function (err, counts) {
+                        should.not.exist(err);
+                        counts.should.eql({
+                            "nodes": 3,
+                            "relationships": 1
+                        });
+                        db.connector.execute("MATCH (p:CliPerson)-[r:LIVES_IN]->(c:CliCity) RETURN count(r) AS " +
+                            "count, sum(r.since) AS since", function (err, rows) {
+                            should.not.exist(err);
+                            rows.should.eql([{
+                                "count": 2,
+                                "since": 4040
+                            }]);
+                            done();
+                        });
+                    });
+                });
+            });
+    });
+
+    it("should delete the nodes of a failed import", function (done) {
+        db.connector.importGraph([{
+            "type": "node",
+            "id": 1,
+            "labels": ["CliPerson"],
+            "properties": {}
+        }, {
+            "type": "relationship",
+            "id": 1,
+            "label": "KNOWS",
+            "start": {
+                "id": 1
+            },
+            "end": {
+                "id": 2
+            },
+            "properties": {}
+        }], function (err) {
+            should.exist(err);
+            err.statusCode.should.equal(400);
+            db.connector.execute("MATCH (n) WHERE n:CliPerson OR n:_Import RETURN count(n) AS count",
+                function (err, rows) {
+                    should.not.exist(err);
+                    rows[0].count.should.equal(3);
+                    done();
+                });
+        });
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n) WHERE n:CliPerson OR n:CliCity DETACH DELETE n", done);
+    });
+});
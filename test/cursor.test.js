@@ -0,0 +1,120 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db, Entry;
+
+describe("neo4j-graph cursor pagination", function () {
+    "use strict";
+    before(function (done) {
+        var data = [];
+
+        db = getDataSource();
+        Entry = db.define("CursorEntry", {
+            "rank": Number
+        });
+        while (data.length < 25) {
+            data.push({
+                "rank": data.length % 4
+            });
+        }
+        db.connector.execute("MATCH (n:CursorEntry) DETACH DELETE n", function () {
+            Entry.createAll(data, done);
+        });
+    });
+
+    it("should page through the instances with cursors", function (done) {
+        var ids = [],
+            ranks = [],
+            next = function (after) {
+                Entry.findPage({
+                    "order": "rank DESC",
+                    "limit": 10,
+                    "after": after
+                }, function (err, page) {
+                    should.not.exist(err);
+                    page.data.forEach(function (entry) {
+                        ids.push(entry.id);
+                        ranks.push(entry.rank);
+                    });
+                    if (page.nextCursor) {
+                        return next(page.nextCursor);
+                    }
+                    ids.should.have.lengthOf(25);
+                    ids.filter(function (id, index) {
+                        return ids.indexOf(id) === index;
+                    }).should.have.lengthOf(25);
+                    ranks.should.eql(ranks.slice().sort().reverse());
+                    done();
+                });
+            };
+
+        next();
+    });
+
+    it("should page through the instances with cursors and selected fields", function (done) {
+        var ids = [],
+            next = function (after) {
+                Entry.findPage({
+                    "fields": ["id"],
+                    "order": "rank DESC",
+                    "limit": 10,
+                    "after": after
+                }, function (err, page) {
+                    should.not.exist(err);
+                    page.data.forEach(function (entry) {
+                        should.not.exist(entry.rank);
+                        ids.push(entry.id);
+                    });
+                    if (page.nextCursor) {
+                        return next(page.nextCursor);
+                    }
+                    ids.filter(function (id, index) {
+                        return ids.indexOf(id) === index;
+                    }).should.have.lengthOf(25);
+                    done();
+                });
+            };
+
+        next();
+    });
+
+    it("should return the next cursor with the instances of all", function (done) {
+        db.connector.all("CursorEntry", {
+            "cursor": true,
+            "limit": 20
+        }, {}, function (err, entries) {
+            should.not.exist(err);
+            entries.nextCursor.should.be.a.String();
+            db.connector.all("CursorEntry", {
+                "after": entries.nextCursor,
+                "limit": 20
+            }, {}, function (err, entries) {
+                should.not.exist(err);
+                entries.should.have.lengthOf(5);
+                should(entries.nextCursor).be.null();
+                done();
+            });
+        });
+    });
+
+    it("should reject a cursor built for another order", function (done) {
+        db.connector.all("CursorEntry", {
+            "cursor": true,
+            "limit": 5
+        }, {}, function (err, entries) {
+            should.not.exist(err);
+            Entry.find({
+                "order": "rank",
+                "after": entries.nextCursor
+            }, function (err) {
+                should.exist(err);
+                err.statusCode.should.equal(400);
+                done();
+            });
+        });
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n:CursorEntry) DETACH DELETE n", done);
+    });
+});
@@ -0,0 +1,90 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db;
+
+describe("neo4j-graph discovery", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        db.connector.execute("MATCH (n) WHERE n:DiscoveredCustomer OR n:DiscoveredOrder DETACH DELETE n", function () {
+            db.connector.execute("CREATE (c:DiscoveredCustomer {id: 'c1', name: 'Ann', `address.city`: 'Paris'}) " +
+                "CREATE (c)-[:DISCOVERED_PLACED]->(:DiscoveredOrder {id: 'o1', total: 12.5, tags: ['a']}) " +
+                "CREATE (c)-[:DISCOVERED_PLACED]->(:DiscoveredOrder {id: 'o2', total: 20, tags: []})", done);
+        });
+    });
+
+    it("should list labels and relationship types", function (done) {
+        db.discoverModelDefinitions(function (err, definitions) {
+            should.not.exist(err);
+            definitions.should.containEql({
+                "type": "table",
+                "name": "DiscoveredOrder",
+                "owner": null
+            });
+            definitions.should.containEql({
+                "type": "relationship",
+                "name": "DISCOVERED_PLACED",
+                "owner": null
+            });
+            done();
+        });
+    });
+
+    it("should infer the properties of a label", function (done) {
+        db.discoverSchema("DiscoveredCustomer", function (err, schema) {
+            should.not.exist(err);
+            schema.options.neo4j.label.should.equal("DiscoveredCustomer");
+            schema.properties.id.should.eql({
+                "type": "string",
+                "id": true
+            });
+            schema.properties.address.should.eql({
+                "type": {
+                    "city": {
+                        "type": "string"
+                    }
+                },
+                "neo4j": {
+                    "store": "flatten"
+                }
+            });
+            done();
+        });
+    });
+
+    it("should infer relations from relationships", function (done) {
+        db.discoverSchemas("DiscoveredOrder", {
+            "relations": true
+        }, function (err, schemas) {
+            should.not.exist(err);
+            schemas.DiscoveredOrder.properties.total.type.should.equal("number");
+            schemas.DiscoveredOrder.properties.tags.type.should.eql(["string"]);
+            schemas.DiscoveredOrder.options.relations.discoveredCustomer.should.eql({
+                "type": "belongsTo",
+                "model": "DiscoveredCustomer",
+                "foreignKey": "discoveredCustomerId"
+            });
+            schemas.DiscoveredCustomer.options.relations.discoveredPlaced.model.should.equal("DiscoveredOrder");
+            schemas.DiscoveredCustomer.options.neo4j.relationships.discoveredPlaced.should.eql({
+                "type": "DISCOVERED_PLACED"
+            });
+            done();
+        });
+    });
+
+    it("should describe relationships as foreign keys", function (done) {
+        db.discoverForeignKeys("DiscoveredOrder", function (err, keys) {
+            should.not.exist(err);
+            keys.should.have.lengthOf(1);
+            keys[0].fkColumnName.should.equal("discoveredCustomerId");
+            keys[0].pkTableName.should.equal("DiscoveredCustomer");
+            keys[0].relationshipType.should.equal("DISCOVERED_PLACED");
+            done();
+        });
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n) WHERE n:DiscoveredCustomer OR n:DiscoveredOrder DETACH DELETE n", done);
+    });
+});
@@ -0,0 +1,119 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db, Book;
+
+describe("neo4j-graph full-text search", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        Book = db.define("FulltextBook", {
+            "title": {
+                "type": String,
+                "index": {
+                    "fulltext": true
+                }
+            },
+            "year": Number
+        });
+        db.connector.execute("MATCH (n:FulltextBook) DETACH DELETE n", function () {
+            db.autoupdate("FulltextBook", function (err) {
+                should.not.exist(err);
+                db.connector.execute("CALL db.awaitIndexes()", function (err) {
+                    should.not.exist(err);
+                    Book.create([{
+                        "title": "Graph databases",
+                        "year": 2015
+                    }, {
+                        "title": "Graph algorithms on graph databases",
+                        "year": 2019
+                    }, {
+                        "title": "Relational databases",
+                        "year": 2001
+                    }], done);
+                });
+            });
+        });
+    });
+
+    it("should find instances by relevance", function (done) {
+        Book.find({
+            "where": {
+                "title": {
+                    "search": "graph"
+                }
+            }
+        }, function (err, books) {
+            should.not.exist(err);
+            books.should.have.lengthOf(2);
+            books[0].title.should.equal("Graph algorithms on graph databases");
+            books[0]._score.should.be.above(books[1]._score);
+            done();
+        });
+    });
+
+    it("should combine a search with other conditions and orders", function (done) {
+        Book.find({
+            "where": {
+                "and": [{
+                    "title": {
+                        "search": "databases"
+                    }
+                }, {
+                    "year": {
+                        "gt": 2010
+                    }
+                }]
+            },
+            "order": "_score ASC"
+        }, function (err, books) {
+            should.not.exist(err);
+            books.map(function (book) {
+                return book.year;
+            }).should.eql([2019, 2015]);
+            done();
+        });
+    });
+
+    it("should count the instances found", function (done) {
+        Book.count({
+            "title": {
+                "search": "relational OR algorithms"
+            }
+        }, function (err, count) {
+            should.not.exist(err);
+            count.should.equal(2);
+            done();
+        });
+    });
+
+    it("should reject a search of a property without full-text index", function (done) {
+        Book.find({
+            "where": {
+                "year": {
+                    "search": "2015"
+                }
+            }
+        }, function (err) {
+            should.exist(err);
+            err.statusCode.should.equal(400);
+            done();
+        });
+    });
+
+    it("should bind the nodes found to the alias of the filter", function () {
+        var cypher = db.connector.buildWhere({
+            "title": {
+                "search": "graph"
+            }
+        }, "FulltextBook", "b", true);
+
+        cypher.search.query.should.match(/YIELD node AS b, score AS b_score/);
+        cypher.search.score.should.equal("b_score");
+        cypher.query.should.equal(" b:`FulltextBook`");
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n:FulltextBook) DETACH DELETE n", done);
+    });
+});
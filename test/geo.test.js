@@ -0,0 +1,124 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db, Store;
+
+describe("neo4j-graph geospatial queries", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        Store = db.define("GeoStore", {
+            "name": String,
+            "location": "GeoPoint"
+        });
+        db.connector.execute("MATCH (n:GeoStore) DETACH DELETE n", function () {
+            db.autoupdate("GeoStore", function (err) {
+                should.not.exist(err);
+                Store.create([{
+                    "name": "Louvre",
+                    "location": {
+                        "lat": 48.8606,
+                        "lng": 2.3376
+                    }
+                }, {
+                    "name": "Versailles",
+                    "location": {
+                        "lat": 48.8049,
+                        "lng": 2.1204
+                    }
+                }, {
+                    "name": "Notre-Dame",
+                    "location": {
+                        "lat": 48.853,
+                        "lng": 2.3499
+                    }
+                }, {
+                    "name": "Lyon",
+                    "location": {
+                        "lat": 45.764,
+                        "lng": 4.8357
+                    }
+                }], done);
+            });
+        });
+    });
+
+    it("should store GeoPoint properties as points", function (done) {
+        db.connector.execute("MATCH (n:GeoStore {name: 'Louvre'}) RETURN n.location.latitude AS lat, " +
+            "n.location.longitude AS lng", function (err, rows) {
+            should.not.exist(err);
+            rows[0].should.eql({
+                "lat": 48.8606,
+                "lng": 2.3376
+            });
+            Store.findOne({
+                "where": {
+                    "name": "Louvre"
+                }
+            }, function (err, store) {
+                should.not.exist(err);
+                store.location.lat.should.equal(48.8606);
+                store.location.lng.should.equal(2.3376);
+                done();
+            });
+        });
+    });
+
+    it("should find the nearest stores within a distance", function (done) {
+        Store.find({
+            "where": {
+                "location": {
+                    "near": "48.8584,2.2945",
+                    "maxDistance": 20,
+                    "unit": "kilometers"
+                }
+            }
+        }, function (err, stores) {
+            should.not.exist(err);
+            stores.map(function (store) {
+                return store.name;
+            }).should.eql(["Louvre", "Notre-Dame", "Versailles"]);
+            done();
+        });
+    });
+
+    it("should combine near with other conditions and a page", function (done) {
+        Store.find({
+            "where": {
+                "name": {
+                    "neq": "Louvre"
+                },
+                "location": {
+                    "near": [45.75, 4.85],
+                    "minDistance": 2,
+                    "unit": "miles"
+                }
+            },
+            "limit": 1
+        }, function (err, stores) {
+            should.not.exist(err);
+            stores.map(function (store) {
+                return store.name;
+            }).should.eql(["Notre-Dame"]);
+            done();
+        });
+    });
+
+    it("should report an invalid location", function (done) {
+        Store.find({
+            "where": {
+                "location": {
+                    "near": "nowhere"
+                }
+            }
+        }, function (err) {
+            should.exist(err);
+            err.statusCode.should.equal(400);
+            done();
+        });
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n:GeoStore) DETACH DELETE n", done);
+    });
+});
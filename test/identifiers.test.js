@@ -0,0 +1,81 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db, Note, StrictNote;
+
+describe("neo4j-graph identifiers", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        Note = db.define("IdentNote", {
+            "title": String
+        });
+        StrictNote = db.define("IdentStrictNote", {
+            "title": String
+        }, {
+            "strict": true
+        });
+        db.connector.execute("MATCH (n:IdentNote) DETACH DELETE n", function () {
+            Note.create([{
+                "title": "first"
+            }, {
+                "title": "second"
+            }], done);
+        });
+    });
+
+    it("should treat a where key as a property name", function (done) {
+        Note.find({
+            "where": {
+                "title` = 'x' OR true OR n.`title": "x"
+            }
+        }, function (err, notes) {
+            should.not.exist(err);
+            notes.should.have.lengthOf(0);
+            done();
+        });
+    });
+
+    it("should treat order and fields keys as property names", function (done) {
+        Note.find({
+            "order": "title`)DETACH_DELETE_n//",
+            "fields": ["title", "x` RETURN 1 //"]
+        }, function (err, notes) {
+            should.not.exist(err);
+            notes.should.have.lengthOf(2);
+            Note.count(function (err, count) {
+                count.should.equal(2);
+                done(err);
+            });
+        });
+    });
+
+    it("should reject invalid identifiers", function (done) {
+        Note.find({
+            "where": {
+                "title\u0000": "x"
+            }
+        }, function (err) {
+            should.exist(err);
+            err.statusCode.should.equal(400);
+            done();
+        });
+    });
+
+    it("should reject unknown properties of strict models", function (done) {
+        StrictNote.find({
+            "where": {
+                "author": "x"
+            }
+        }, function (err) {
+            should.exist(err);
+            err.statusCode.should.equal(400);
+            err.message.should.match(/author/);
+            done();
+        });
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n:IdentNote) DETACH DELETE n", done);
+    });
+});
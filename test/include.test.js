@@ -0,0 +1,115 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db, Author, Book, Chapter;
+
+describe("neo4j-graph includes", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        Author = db.define("IncAuthor", {
+            "name": String
+        });
+        Book = db.define("IncBook", {
+            "title": String
+        }, {
+            "neo4j": {
+                "relationMode": "edge"
+            }
+        });
+        Chapter = db.define("IncChapter", {
+            "title": String,
+            "position": Number
+        });
+        Author.hasMany(Book, {
+            "as": "books",
+            "foreignKey": "authorId"
+        });
+        Book.belongsTo(Author, {
+            "as": "author",
+            "foreignKey": "authorId"
+        });
+        Book.hasMany(Chapter, {
+            "as": "chapters",
+            "foreignKey": "bookId"
+        });
+        db.connector.execute("MATCH (n) WHERE n:IncAuthor OR n:IncBook OR n:IncChapter DETACH DELETE n", function () {
+            Author.create({
+                "name": "Ann"
+            }, function (err, author) {
+                should.not.exist(err);
+                author.books.create({
+                    "title": "First"
+                }, function (err, book) {
+                    should.not.exist(err);
+                    Chapter.create([1, 2, 3].map(function (position) {
+                        return {
+                            "title": "Chapter " + position,
+                            "position": position,
+                            "bookId": book.id
+                        };
+                    }), function (err) {
+                        should.not.exist(err);
+                        Author.create({
+                            "name": "Ben"
+                        }, done);
+                    });
+                });
+            });
+        });
+    });
+
+    it("should resolve nested includes in a single query", function (done) {
+        var spy = sinon.spy(db.connector, "cypher");
+
+        Author.find({
+            "order": "name",
+            "include": {
+                "books": "chapters"
+            }
+        }, function (err, authors) {
+            var json = authors.map(function (author) {
+                return author.toJSON();
+            });
+
+            spy.restore();
+            should.not.exist(err);
+            spy.callCount.should.equal(1);
+            json.should.have.lengthOf(2);
+            json[0].books.should.have.lengthOf(1);
+            json[0].books[0].chapters.should.have.lengthOf(3);
+            json[1].books.should.have.lengthOf(0);
+            done();
+        });
+    });
+
+    it("should apply the scope of an include", function (done) {
+        Book.find({
+            "include": ["author", {
+                "relation": "chapters",
+                "scope": {
+                    "where": {
+                        "position": {
+                            "gt": 1
+                        }
+                    },
+                    "order": "position DESC",
+                    "limit": 1
+                }
+            }]
+        }, function (err, books) {
+            var json = books[0].toJSON();
+
+            should.not.exist(err);
+            json.author.name.should.equal("Ann");
+            json.chapters.map(function (chapter) {
+                return chapter.position;
+            }).should.eql([3]);
+            done();
+        });
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n) WHERE n:IncAuthor OR n:IncBook OR n:IncChapter DETACH DELETE n", done);
+    });
+});
@@ -1,7 +1,9 @@
 var DataSource = require("loopback-datasource-juggler").DataSource;
+// Set TEST_NEO4J_PROTOCOL to "bolt" (or "neo4j", "bolt+s", ...) to run the suite over the Bolt transport
 var config = {
+    "protocol": process.env.TEST_NEO4J_PROTOCOL || "http",
     "host": process.env.TEST_NEO4J_HOST || "localhost",
-    "port": process.env.TEST_NEO4J_PORT || 7474,
+    "port": process.env.TEST_NEO4J_PORT,
     "username": process.env.TEST_NEO4J_USER || "neo4j",
     "password": process.env.TEST_NEO4J_PASS || "neo4j",
     "enterprise": false
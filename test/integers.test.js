@@ -0,0 +1,121 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db, Account, Reading;
+
+describe("neo4j-graph 64-bit integers", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        db.settings.integers = "string";
+        Account = db.define("IntegerAccount", {
+            "seq": {
+                "type": String,
+                "id": true,
+                "neo4j": {
+                    "integer": true
+                }
+            },
+            "name": String
+        });
+        Reading = db.define("IntegerReading", {
+            "value": Number
+        });
+        db.connector.execute("MATCH (n:IntegerAccount) DETACH DELETE n", function () {
+            db.connector.execute("MATCH (n:IntegerReading) DETACH DELETE n", function () {
+                Account.createAll([{
+                    "seq": "9223372036854775807",
+                    "name": "last"
+                }, {
+                    "seq": "9007199254740993",
+                    "name": "unsafe"
+                }], done);
+            });
+        });
+    });
+
+    it("should store integer properties as integers", function (done) {
+        db.connector.execute("MATCH (n:IntegerAccount {name: 'last'}) RETURN n.seq = 9223372036854775807 AS exact",
+            function (err, rows) {
+                should.not.exist(err);
+                rows[0].exact.should.be.true();
+                done();
+            });
+    });
+
+    it("should read integer ids back exactly", function (done) {
+        // REST parses the integers out of the range of numbers to rounded numbers
+        if (!/^(bolt|neo4j)/.test(config.protocol)) {
+            return this.skip();
+        }
+        Account.findById("9007199254740993", function (err, account) {
+            should.not.exist(err);
+            account.name.should.equal("unsafe");
+            account.updateAttributes({
+                "name": "renamed"
+            }, function (err) {
+                should.not.exist(err);
+                Account.find({
+                    "order": "seq DESC"
+                }, function (err, accounts) {
+                    should.not.exist(err);
+                    accounts.map(function (entry) {
+                        return entry.seq + ":" + entry.name;
+                    }).should.eql(["9223372036854775807:last", "9007199254740993:renamed"]);
+                    done();
+                });
+            });
+        });
+    });
+
+    it("should reject values which are not 64-bit integers", function (done) {
+        Account.create({
+            "seq": "9223372036854775808",
+            "name": "overflow"
+        }, function (err) {
+            should.exist(err);
+            err.statusCode.should.equal(400);
+            done();
+        });
+    });
+
+    it("should read counts with the policy of the data source", function (done) {
+        Account.count(function (err, count) {
+            should.not.exist(err);
+            count.should.equal("2");
+            done();
+        });
+    });
+
+    it("should fail to read numbers out of range", function (done) {
+        // REST parses the integers out of the range of numbers to rounded numbers, which cannot be told from floats
+        if (!/^(bolt|neo4j)/.test(config.protocol)) {
+            return this.skip();
+        }
+        db.connector.execute("CREATE (n:IntegerReading {id: 'big', value: 9223372036854775807})", function (err) {
+            should.not.exist(err);
+            Reading.findById("big", function (err) {
+                should.exist(err);
+                err.statusCode.should.equal(500);
+                done();
+            });
+        });
+    });
+
+    it("should read floats whatever their value", function (done) {
+        db.connector.execute("CREATE (n:IntegerReading {id: 'float', value: 1.0e20})", function (err) {
+            should.not.exist(err);
+            Reading.findById("float", function (err, reading) {
+                should.not.exist(err);
+                reading.value.should.equal(1e20);
+                done();
+            });
+        });
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n:IntegerAccount) DETACH DELETE n", function () {
+            db.connector.execute("MATCH (n:IntegerReading) DETACH DELETE n", done);
+        });
+    });
+});
@@ -0,0 +1,113 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+var db, directory;
+
+describe("neo4j-graph migrations", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "neo4j-graph-migrations-"));
+        db.settings.migrations = {
+            "directory": directory,
+            "label": "_TestMigration"
+        };
+        fs.writeFileSync(path.join(directory, "001-create.js"), "exports.up = function (db, done) {\n" +
+            "    db.cypher(\"CREATE (:MigratedCustomer {name: 'Ann Smith'})\", {}, done);\n};\n" +
+            "exports.down = function (db) {\n    return db.cypher(\"MATCH (n:MigratedCustomer) DELETE n\");\n};\n");
+        fs.writeFileSync(path.join(directory, "002-split.up.cypher"),
+            "MATCH (n:MigratedCustomer) SET n.first = split(n.name, ' ')[0];\n" +
+            "MATCH (n:MigratedCustomer) SET n.last = split(n.name, ' ')[1];\n");
+        fs.writeFileSync(path.join(directory, "002-split.down.cypher"),
+            "MATCH (n:MigratedCustomer) REMOVE n.first, n.last;\n");
+        db.connector.execute("MATCH (n) WHERE n:MigratedCustomer OR n:_TestMigration OR n:_TestMigrationLock " +
+            "DETACH DELETE n", done);
+    });
+
+    it("should list the pending migrations", function (done) {
+        db.connector.migrate({
+            "dryRun": true
+        }, function (err, migrations) {
+            should.not.exist(err);
+            migrations.should.eql([{
+                "version": "001",
+                "name": "create"
+            }, {
+                "version": "002",
+                "name": "split"
+            }]);
+            done();
+        });
+    });
+
+    it("should run the pending migrations in order", function (done) {
+        db.connector.migrate().then(function (migrations) {
+            migrations.should.have.lengthOf(2);
+            return db.connector.migrationStatus();
+        }).then(function (status) {
+            status.map(function (migration) {
+                return migration.applied;
+            }).should.eql([true, true]);
+            db.connector.execute("MATCH (n:MigratedCustomer) RETURN n.first AS first, n.last AS last",
+                function (err, rows) {
+                    should.not.exist(err);
+                    rows.should.eql([{
+                        "first": "Ann",
+                        "last": "Smith"
+                    }]);
+                    done();
+                });
+        }).catch(done);
+    });
+
+    it("should revert the last migration", function (done) {
+        db.connector.migrateDown(function (err, migrations) {
+            should.not.exist(err);
+            migrations.should.eql([{
+                "version": "002",
+                "name": "split"
+            }]);
+            db.connector.migrationStatus(function (err, status) {
+                should.not.exist(err);
+                status[1].applied.should.be.false();
+                done();
+            });
+        });
+    });
+
+    it("should reject a number of steps which is not a positive integer", function (done) {
+        db.connector.migrateDown({
+            "steps": "two"
+        }, function (err) {
+            should.exist(err);
+            err.statusCode.should.equal(400);
+            db.connector.migrateDown({
+                "steps": 0
+            }, function (err) {
+                should.exist(err);
+                err.statusCode.should.equal(400);
+                done();
+            });
+        });
+    });
+
+    it("should not migrate while another process holds the lock", function (done) {
+        db.connector.execute("CREATE (:_TestMigrationLock {name: 'migrations', owner: 'other', lockedAt: " +
+            Date.now() + "})", function (err) {
+            should.not.exist(err);
+            db.connector.migrate(function (err) {
+                should.exist(err);
+                err.statusCode.should.equal(409);
+                done();
+            });
+        });
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n) WHERE n:MigratedCustomer OR n:_TestMigration OR n:_TestMigrationLock " +
+            "DETACH DELETE n", done);
+    });
+});
@@ -175,20 +175,174 @@ describe("neo4j-graph connector", function () {
         });
     });
 
+    describe(".generateUrl(settings)", function () {
+        it("should default to the REST protocol", function () {
+            db.connector.generateUrl({
+                "host": "example.com"
+            }).should.equal("http://example.com:7474");
+        });
+
+        it("should build Bolt URLs without credentials", function () {
+            db.connector.generateUrl({
+                "protocol": "bolt+s",
+                "host": "example.com",
+                "username": "neo4j",
+                "password": "secret"
+            }).should.equal("bolt+s://example.com:7687");
+        });
+
+        it("should pick the transport from the URL", function () {
+            getDataSource({
+                "url": "neo4j://localhost:7687"
+            }).connector.transport.should.equal("bolt");
+            getDataSource({
+                "url": "http://localhost:7474"
+            }).connector.transport.should.equal("http");
+        });
+    });
+
+    describe("Bolt parameters", function () {
+        var neo4j = require("neo4j-driver"),
+            toParams = require("../lib/bolt").toParams;
+
+        it("should send safe integers as integers and other numbers as floats", function () {
+            var params = toParams({
+                "count": 42,
+                "large": 1e20,
+                "unsafe": Math.pow(2, 53) + 2,
+                "ratio": 0.5
+            });
+
+            neo4j.isInt(params.count).should.be.true();
+            params.count.toNumber().should.equal(42);
+            params.large.should.equal(1e20);
+            params.unsafe.should.equal(Math.pow(2, 53) + 2);
+            params.ratio.should.equal(0.5);
+        });
+    });
+
+    describe("dialect", function () {
+        var Dialect = require("../lib/dialect");
+
+        it("should use the legacy syntax for Neo4j 3.x", function () {
+            var dialect = new Dialect("3.5.28");
+
+            dialect.param("id").should.equal("$id");
+            dialect.createIndex({
+                "kind": "index",
+                "label": "User",
+                "properties": ["name"]
+            }).should.equal("CREATE INDEX ON :`User`(`name`)");
+            dialect.createConstraint({
+                "kind": "unique",
+                "label": "User",
+                "properties": ["email"]
+            }).should.equal("CREATE CONSTRAINT ON (n:`User`) ASSERT n.`email` IS UNIQUE");
+            dialect.listIndexes().should.equal("CALL db.indexes()");
+            dialect.entityId("n").should.equal("id(n)");
+        });
+
+        it("should use named schema objects for Neo4j 4.x and 5.x", function () {
+            var dialect = new Dialect("5.13.0");
+
+            dialect.createIndex({
+                "kind": "index",
+                "label": "User",
+                "properties": ["name"]
+            }).should.equal("CREATE INDEX `User_name_index` IF NOT EXISTS FOR (n:`User`) ON (n.`name`)");
+            dialect.createConstraint({
+                "kind": "unique",
+                "label": "User",
+                "properties": ["email"]
+            }).should.equal(
+                "CREATE CONSTRAINT `User_email_unique` IF NOT EXISTS FOR (n:`User`) REQUIRE n.`email` IS UNIQUE");
+            dialect.listConstraints().should.equal("SHOW CONSTRAINTS");
+            dialect.dropIndex({
+                "name": "User_name_index"
+            }).should.equal("DROP INDEX `User_name_index`");
+            dialect.entityId("n").should.equal("elementId(n)");
+        });
+
+        it("should parse 3.x schema descriptions", function () {
+            var dialect = new Dialect("3.5"),
+                constraint = dialect.parseConstraint({
+                    "description": "CONSTRAINT ON ( user:User ) ASSERT user.email IS UNIQUE"
+                });
+
+            constraint.labels.should.eql(["User"]);
+            constraint.properties.should.eql(["email"]);
+            dialect.dropConstraint(constraint).should.equal("DROP CONSTRAINT ON ( user:User ) ASSERT user.email IS UNIQUE");
+        });
+
+        it("should build composite, key, type and relationship schema statements", function () {
+            var dialect = new Dialect("5.13.0");
+
+            dialect.createConstraint({
+                "kind": "unique",
+                "label": "Product",
+                "properties": ["tenantId", "sku"]
+            }).should.equal("CREATE CONSTRAINT `Product_tenantId_sku_unique` IF NOT EXISTS FOR (n:`Product`) " +
+                "REQUIRE (n.`tenantId`, n.`sku`) IS UNIQUE");
+            dialect.createConstraint({
+                "kind": "key",
+                "label": "Product",
+                "properties": ["tenantId", "code"]
+            }).should.equal("CREATE CONSTRAINT `Product_tenantId_code_key` IF NOT EXISTS FOR (n:`Product`) " +
+                "REQUIRE (n.`tenantId`, n.`code`) IS NODE KEY");
+            dialect.createConstraint({
+                "kind": "type",
+                "label": "Product",
+                "properties": ["price"],
+                "propertyType": "float"
+            }).should.equal("CREATE CONSTRAINT `Product_price_type` IF NOT EXISTS FOR (n:`Product`) " +
+                "REQUIRE n.`price` IS :: FLOAT");
+            dialect.createIndex({
+                "kind": "index",
+                "entityType": "RELATIONSHIP",
+                "label": "RATED",
+                "properties": ["stars"]
+            }).should.equal("CREATE INDEX `RATED_stars_index` IF NOT EXISTS FOR ()-[n:`RATED`]-() ON (n.`stars`)");
+        });
+
+        it("should reject schema statements the server does not support", function () {
+            var dialect = new Dialect("4.4");
+
+            (function () {
+                dialect.createConstraint({
+                    "kind": "unique",
+                    "label": "Product",
+                    "properties": ["tenantId", "sku"]
+                });
+            }).should.throw({
+                "statusCode": 501
+            });
+            dialect.createConstraint({
+                "kind": "key",
+                "label": "Product",
+                "properties": ["tenantId", "sku"]
+            }).should.equal("CREATE CONSTRAINT `Product_tenantId_sku_key` IF NOT EXISTS FOR (n:`Product`) " +
+                "REQUIRE (n.`tenantId`, n.`sku`) IS NODE KEY");
+            dialect.parseConstraint({
+                "description": "CONSTRAINT ON ( product:Product ) ASSERT (product.tenantId, product.sku) IS NODE KEY"
+            }).should.containEql({
+                "properties": ["tenantId", "sku"],
+                "type": "NODE_KEY"
+            });
+        });
+    });
+
     it("should create indexes", function (done) {
         db.automigrate("User", function () {
-            db.connector.db.http({
-                "method": "GET",
-                "path": "/db/data/schema/index"
-            }, function (error, response) {
-                var indexes = response.filter(function (entry) {
-                        return "User" === entry.label;
-                    }),
-                    indexedFields = indexes.map(function (entry) {
-                        /* jscs:disable requireCamelCaseOrUpperCaseIdentifiers */
-                        return entry.property_keys[0];
-                        /* jscs:enable requireCamelCaseOrUpperCaseIdentifiers */
-                    }).sort();
+            var dialect = db.connector.dialect;
+
+            db.connector.execute(dialect.listIndexes(), function (error, response) {
+                var indexedFields = response.map(function (entry) {
+                    return dialect.parseIndex(entry);
+                }).filter(function (index) {
+                    return "User" === index.labels[0];
+                }).map(function (index) {
+                    return index.properties[0];
+                }).sort();
 
                 indexedFields.should.eql(["age", "email", "id", "name"]);
                 done(error, indexedFields);
@@ -245,7 +399,7 @@ describe("neo4j-graph connector", function () {
             "content": "Post content"
         }, function (err, post) {
             Post.dataSource.connector.db.cypher({
-                "query": "MATCH (n:PostLabel {id:{id}}) RETURN n",
+                "query": "MATCH (n:PostLabel {id: $id}) RETURN n",
                 "params": {
                     "id": post.id
                 }
@@ -813,15 +967,29 @@ describe("neo4j-graph connector", function () {
                     "id": post.id,
                     "title": "d",
                     "content": "DDD"
-                }, function (err, post) {
-                    // console.log(err, post);
+                }, function (err, duplicate) {
+                    // console.log(err, duplicate);
                     should.exist(err);
+                    err.statusCode.should.equal(409);
+                    err.retryable.should.be.false();
+                    err.label.should.equal("Post");
+                    err.property.should.equal("id");
+                    err.value.should.equal(post.id);
                     done();
                 });
             });
         });
     });
 
+    it("should report invalid statements as bad requests", function (done) {
+        db.connector.execute("MATCH (n:Post RETURN n", function (err) {
+            should.exist(err);
+            err.statusCode.should.equal(400);
+            err.retryable.should.be.false();
+            done();
+        });
+    });
+
     it("should allow to find using like", function (done) {
         Post.create({
             "title": "My Post",
@@ -831,7 +999,7 @@ describe("neo4j-graph connector", function () {
             Post.find({
                 "where": {
                     "title": {
-                        "like": "M.+st"
+                        "like": "M%st"
                     }
                 }
             }, function (err, posts) {
@@ -851,7 +1019,7 @@ describe("neo4j-graph connector", function () {
             Post.find({
                 "where": {
                     "title": {
-                        "like": "M.+XY"
+                        "like": "M%XY"
                     }
                 }
             }, function (err, posts) {
@@ -871,7 +1039,7 @@ describe("neo4j-graph connector", function () {
             Post.find({
                 "where": {
                     "title": {
-                        "nlike": "M.+st"
+                        "nlike": "M%st"
                     }
                 }
             }, function (err, posts) {
@@ -891,17 +1059,104 @@ describe("neo4j-graph connector", function () {
             Post.find({
                 "where": {
                     "title": {
-                        "nlike": "M.+XY"
+                        "nlike": "M%XY"
+                    }
+                }
+            }, function (err, posts) {
+                should.not.exist(err);
+                posts.should.have.property("length", 1);
+                done();
+            });
+        });
+    });
+
+    it("should match like wildcards only, other characters literally", function (done) {
+        Post.create({
+            "title": "a+b = c",
+            "content": "Hello"
+        }, function (err) {
+            should.not.exist(err);
+            Post.find({
+                "where": {
+                    "title": {
+                        "like": "a+b _ %"
                     }
                 }
             }, function (err, posts) {
                 should.not.exist(err);
                 posts.should.have.property("length", 1);
+                Post.count({
+                    "title": {
+                        "like": "aab%"
+                    }
+                }, function (err, count) {
+                    should.not.exist(err);
+                    count.should.equal(0);
+                    done();
+                });
+            });
+        });
+    });
+
+    it("should support ilike and nilike", function (done) {
+        Post.find({
+            "where": {
+                "and": [{
+                    "title": {
+                        "ilike": "my p%"
+                    }
+                }, {
+                    "title": {
+                        "nilike": "%XY"
+                    }
+                }]
+            }
+        }, function (err, posts) {
+            should.not.exist(err);
+            posts.length.should.be.above(0);
+            posts.forEach(function (post) {
+                post.title.should.equal("My Post");
+            });
+            done();
+        });
+    });
+
+    it("should support regexp with flags", function (done) {
+        Post.find({
+            "where": {
+                "title": {
+                    "regexp": /^my\s+POST$/i
+                }
+            }
+        }, function (err, posts) {
+            should.not.exist(err);
+            posts.length.should.be.above(0);
+            Post.find({
+                "where": {
+                    "title": /^POST/
+                }
+            }, function (err, posts) {
+                should.not.exist(err);
+                posts.should.have.property("length", 0);
                 done();
             });
         });
     });
 
+    it("should report unsupported where operators", function (done) {
+        db.connector.all("Post", {
+            "where": {
+                "title": {
+                    "unknown": 1
+                }
+            }
+        }, {}, function (err) {
+            should.exist(err);
+            err.statusCode.should.equal(400);
+            done();
+        });
+    });
+
     it("should support 'and' operator that is satisfied", function (done) {
         Post.create({
             "title": "My Post",
@@ -1127,7 +1382,7 @@ describe("neo4j-graph connector", function () {
     // Test raw query with params execution
     it("should execute raw cypher query", function (done) {
         db.connector.execute({
-            "query": "CREATE (n:Person {name: {name}}) RETURN n",
+            "query": "CREATE (n:Person {name: $name}) RETURN n",
             "params": {
                 "name": "Arthur"
             }
@@ -0,0 +1,202 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db, Customer;
+
+describe("neo4j-graph nested properties", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        Customer = db.define("NestedCustomer", {
+            "name": String,
+            "metadata": Object,
+            "contacts": [{
+                "email": String
+            }],
+            "address": {
+                "type": {
+                    "city": String,
+                    "zip": String
+                },
+                "neo4j": {
+                    "store": "flatten"
+                }
+            },
+            "settings": {
+                "type": Object,
+                "neo4j": {
+                    "store": "flatten"
+                }
+            }
+        });
+        db.connector.execute("MATCH (n:NestedCustomer) DETACH DELETE n", function () {
+            Customer.createAll([{
+                "name": "Ann",
+                "metadata": {
+                    "source": "web",
+                    "tags": ["a", "b"]
+                },
+                "contacts": [{
+                    "email": "ann@example.com"
+                }],
+                "address": {
+                    "city": "Paris",
+                    "zip": "75001"
+                }
+            }, {
+                "name": "Bob",
+                "address": {
+                    "city": "Lyon",
+                    "zip": "69001"
+                }
+            }], done);
+        });
+    });
+
+    it("should read back nested objects and arrays of objects", function (done) {
+        Customer.findOne({
+            "where": {
+                "name": "Ann"
+            }
+        }, function (err, customer) {
+            should.not.exist(err);
+            customer.metadata.should.eql({
+                "source": "web",
+                "tags": ["a", "b"]
+            });
+            customer.contacts.should.have.lengthOf(1);
+            customer.contacts[0].email.should.equal("ann@example.com");
+            customer.address.city.should.equal("Paris");
+            done();
+        });
+    });
+
+    it("should return the flattened properties of an instance found by findOrCreate", function (done) {
+        Customer.findOrCreate({
+            "where": {
+                "name": "Ann"
+            }
+        }, {
+            "name": "Ann"
+        }, function (err, customer, created) {
+            should.not.exist(err);
+            created.should.be.false();
+            customer.address.city.should.equal("Paris");
+            customer.address.zip.should.equal("75001");
+            done();
+        });
+    });
+
+    it("should store flattened properties as dotted keys", function (done) {
+        db.connector.execute("MATCH (n:NestedCustomer {name: 'Ann'}) RETURN n.`address.city` AS city, " +
+            "n.metadata AS metadata", function (err, rows) {
+            should.not.exist(err);
+            rows[0].city.should.equal("Paris");
+            rows[0].metadata.should.be.a.String();
+            done();
+        });
+    });
+
+    it("should filter and sort on the paths of flattened properties", function (done) {
+        Customer.find({
+            "where": {
+                "address.zip": {
+                    "like": "%001"
+                }
+            },
+            "order": "address.city",
+            "fields": ["name", "address"]
+        }, function (err, customers) {
+            should.not.exist(err);
+            customers.map(function (customer) {
+                return customer.name;
+            }).should.eql(["Bob", "Ann"]);
+            customers[0].address.zip.should.equal("69001");
+            done();
+        });
+    });
+
+    it("should clear the paths an update leaves out", function (done) {
+        Customer.findOne({
+            "where": {
+                "name": "Bob"
+            }
+        }, function (err, customer) {
+            should.not.exist(err);
+            customer.updateAttributes({
+                "address": {
+                    "city": "Nice"
+                }
+            }, function (err) {
+                should.not.exist(err);
+                Customer.findById(customer.id, function (err, found) {
+                    should.not.exist(err);
+                    found.address.city.should.equal("Nice");
+                    should.not.exist(found.address.zip);
+                    done();
+                });
+            });
+        });
+    });
+
+    it("should remove the keys an update of a flattened object leaves out", function (done) {
+        Customer.create({
+            "name": "Cid",
+            "settings": {
+                "theme": "dark",
+                "layout": {
+                    "columns": 2,
+                    "width": 80
+                }
+            }
+        }, function (err, customer) {
+            should.not.exist(err);
+            Customer.updateAll({
+                "name": "Cid"
+            }, {
+                "settings": {
+                    "layout": {
+                        "columns": 3
+                    }
+                }
+            }, function (err) {
+                should.not.exist(err);
+                db.connector.execute("MATCH (n:NestedCustomer {name: 'Cid'}) RETURN [key IN keys(n) WHERE key " +
+                    "STARTS WITH 'settings.'] AS keys", function (err, rows) {
+                    should.not.exist(err);
+                    rows[0].keys.should.eql(["settings.layout.columns"]);
+                    customer.updateAttributes({
+                        "settings": {
+                            "theme": "light"
+                        }
+                    }, function (err) {
+                        should.not.exist(err);
+                        Customer.findById(customer.id, function (err, found) {
+                            should.not.exist(err);
+                            found.settings.should.eql({
+                                "theme": "light"
+                            });
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it("should reject filters on the paths of properties stored as JSON", function (done) {
+        Customer.find({
+            "where": {
+                "metadata.source": "web"
+            }
+        }, function (err) {
+            should.exist(err);
+            err.statusCode.should.equal(400);
+            done();
+        });
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n:NestedCustomer) DETACH DELETE n", done);
+    });
+});
@@ -0,0 +1,346 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db, Customer, Order, Assembly, Part, AssemblyPart;
+
+describe("neo4j-graph relations as relationships", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        Customer = db.define("RelCustomer", {
+            "name": String
+        }, {
+            "neo4j": {
+                "relationships": {
+                    "orders": {
+                        "type": "PLACED"
+                    }
+                }
+            }
+        });
+        Order = db.define("RelOrder", {
+            "reference": String
+        });
+        Assembly = db.define("RelAssembly", {
+            "name": String
+        }, {
+            "neo4j": {
+                "relationMode": "edge"
+            }
+        });
+        Part = db.define("RelPart", {
+            "partNumber": String
+        });
+        Customer.hasMany(Order, {
+            "as": "orders",
+            "foreignKey": "customerId"
+        });
+        Order.belongsTo(Customer, {
+            "as": "customer",
+            "foreignKey": "customerId"
+        });
+        Assembly.hasAndBelongsToMany(Part, {
+            "as": "parts"
+        });
+        AssemblyPart = db.models.RelAssemblyRelPart;
+        db.connector.execute("MATCH (n) WHERE n:RelCustomer OR n:RelOrder OR n:RelAssembly OR n:RelPart " +
+            "DETACH DELETE n", done);
+    });
+
+    it("should store the foreign key of hasMany as a relationship", function (done) {
+        Customer.create({
+            "name": "Alice"
+        }, function (err, customer) {
+            should.not.exist(err);
+            customer.orders.create({
+                "reference": "A-1"
+            }, function (err, order) {
+                should.not.exist(err);
+                order.customerId.should.equal(customer.id);
+                db.connector.execute("MATCH (c:RelCustomer)-[:PLACED]->(o:RelOrder) RETURN c.id AS customer, " +
+                    "o.id AS order, o.customerId AS property", function (err, rows) {
+                    should.not.exist(err);
+                    rows.should.have.lengthOf(1);
+                    rows[0].customer.should.equal(customer.id);
+                    rows[0].order.should.equal(order.id);
+                    should.not.exist(rows[0].property);
+                    done();
+                });
+            });
+        });
+    });
+
+    it("should read foreign keys back from relationships", function (done) {
+        Customer.findOne({
+            "where": {
+                "name": "Alice"
+            },
+            "include": "orders"
+        }, function (err, customer) {
+            should.not.exist(err);
+            customer.toJSON().orders.should.have.lengthOf(1);
+            Order.find({
+                "where": {
+                    "customerId": customer.id
+                }
+            }, function (err, orders) {
+                should.not.exist(err);
+                orders.should.have.lengthOf(1);
+                orders[0].customer(function (err, owner) {
+                    should.not.exist(err);
+                    owner.name.should.equal("Alice");
+                    done();
+                });
+            });
+        });
+    });
+
+    it("should move the relationship when the foreign key changes", function (done) {
+        Customer.create({
+            "name": "Bob"
+        }, function (err, bob) {
+            should.not.exist(err);
+            Order.updateAll({
+                "reference": "A-1"
+            }, {
+                "customerId": bob.id
+            }, function (err) {
+                should.not.exist(err);
+                db.connector.execute("MATCH (c:RelCustomer)-[:PLACED]->(:RelOrder) RETURN c.name AS name",
+                    function (err, rows) {
+                        should.not.exist(err);
+                        rows.map(function (row) {
+                            return row.name;
+                        }).should.eql(["Bob"]);
+                        done();
+                    });
+            });
+        });
+    });
+
+    it("should map the relations declared after the foreign keys have been read", function () {
+        var Team = db.define("RelTeam", {
+                "name": String
+            }, {
+                "neo4j": {
+                    "relationMode": "edge"
+                }
+            }),
+            Player = db.define("RelPlayer", {
+                "name": String
+            });
+
+        db.connector.edgeKeys("RelPlayer").should.eql({});
+        Team.hasMany(Player, {
+            "as": "players",
+            "foreignKey": "teamId"
+        });
+        db.connector.edgeKeys("RelPlayer").should.have.property("teamId");
+    });
+
+    it("should reject foreign keys referring to missing nodes", function (done) {
+        Order.create({
+            "reference": "A-2",
+            "customerId": "missing"
+        }, function (err) {
+            should.exist(err);
+            err.statusCode.should.equal(404);
+            Order.createAll([{
+                "reference": "A-3",
+                "customerId": "missing"
+            }], function (err) {
+                should.exist(err);
+                err.failures[0].error.statusCode.should.equal(404);
+                Order.count({
+                    "reference": {
+                        "inq": ["A-2", "A-3"]
+                    }
+                }, function (err, count) {
+                    should.not.exist(err);
+                    count.should.equal(0);
+                    done();
+                });
+            });
+        });
+    });
+
+    it("should persist hasAndBelongsToMany links as relationships", function (done) {
+        Assembly.create({
+            "name": "engine"
+        }, function (err, assembly) {
+            should.not.exist(err);
+            assembly.parts.create({
+                "partNumber": "P-1"
+            }, function (err, part) {
+                should.not.exist(err);
+                db.connector.execute("MATCH (:RelAssembly)-[r:REL_ASSEMBLY_REL_PART]->(p:RelPart) RETURN p.id AS id",
+                    function (err, rows) {
+                        should.not.exist(err);
+                        rows.should.have.lengthOf(1);
+                        rows[0].id.should.equal(part.id);
+                        assembly.parts(function (err, parts) {
+                            should.not.exist(err);
+                            parts.should.have.lengthOf(1);
+                            assembly.parts.remove(part, function (err) {
+                                should.not.exist(err);
+                                AssemblyPart.count(function (err, count) {
+                                    should.not.exist(err);
+                                    count.should.equal(0);
+                                    done();
+                                });
+                            });
+                        });
+                    });
+            });
+        });
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n) WHERE n:RelCustomer OR n:RelOrder OR n:RelAssembly OR n:RelPart " +
+            "DETACH DELETE n", done);
+    });
+});
+
+describe("neo4j-graph relationship models", function () {
+    "use strict";
+    var User, Movie, Rating;
+
+    before(function (done) {
+        db = getDataSource();
+        User = db.define("RelUser", {
+            "name": String
+        });
+        Movie = db.define("RelMovie", {
+            "title": String
+        });
+        Rating = db.define("RelRating", {
+            "stars": Number,
+            "relUserId": String,
+            "relMovieId": String
+        }, {
+            "neo4j": {
+                "relationship": {
+                    "type": "RATED",
+                    "from": "RelUser",
+                    "to": "RelMovie"
+                }
+            }
+        });
+        User.hasMany(Movie, {
+            "as": "movies",
+            "through": Rating
+        });
+        db.connector.execute("MATCH (n) WHERE n:RelUser OR n:RelMovie DETACH DELETE n", function () {
+            db.connector.execute("CREATE (:RelUser {id: 'u1', name: 'Ann'}), (:RelMovie {id: 'm1', title: 'Heat'}), " +
+                "(:RelMovie {id: 'm2', title: 'Ran'})", done);
+        });
+    });
+
+    it("should reject relationship models without both ends", function () {
+        (function () {
+            db.define("RelBroken", {}, {
+                "neo4j": {
+                    "relationship": {
+                        "type": "BROKEN",
+                        "from": "RelUser"
+                    }
+                }
+            });
+        }).should.throw(/from.*to/);
+    });
+
+    it("should create relationships with properties", function (done) {
+        Rating.create([{
+            "relUserId": "u1",
+            "relMovieId": "m1",
+            "stars": 4
+        }, {
+            "relUserId": "u1",
+            "relMovieId": "m2",
+            "stars": 2
+        }], function (err) {
+            should.not.exist(err);
+            db.connector.execute("MATCH (:RelUser {id: 'u1'})-[r:RATED]->(m:RelMovie) RETURN m.id AS movie, " +
+                "r.stars AS stars ORDER BY movie", function (err, rows) {
+                should.not.exist(err);
+                rows.should.eql([{
+                    "movie": "m1",
+                    "stars": 4
+                }, {
+                    "movie": "m2",
+                    "stars": 2
+                }]);
+                done();
+            });
+        });
+    });
+
+    it("should fail to create a relationship between missing nodes", function (done) {
+        Rating.create({
+            "relUserId": "u1",
+            "relMovieId": "missing",
+            "stars": 1
+        }, function (err) {
+            should.exist(err);
+            done();
+        });
+    });
+
+    it("should query, update and delete relationships", function (done) {
+        Rating.find({
+            "where": {
+                "stars": {
+                    "gt": 1
+                }
+            },
+            "order": "stars DESC",
+            "fields": ["stars", "relMovieId"]
+        }, function (err, ratings) {
+            should.not.exist(err);
+            ratings.map(function (rating) {
+                return rating.relMovieId + ":" + rating.stars;
+            }).should.eql(["m1:4", "m2:2"]);
+            Rating.findOne({
+                "where": {
+                    "relMovieId": "m2"
+                }
+            }, function (err, rating) {
+                should.not.exist(err);
+                rating.updateAttributes({
+                    "stars": 5
+                }, function (err) {
+                    should.not.exist(err);
+                    Rating.count({
+                        "stars": 5
+                    }, function (err, count) {
+                        should.not.exist(err);
+                        count.should.equal(1);
+                        rating.destroy(function (err) {
+                            should.not.exist(err);
+                            Rating.count(function (err, count) {
+                                count.should.equal(1);
+                                done(err);
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it("should back hasManyThrough relations", function (done) {
+        User.findById("u1", {
+            "include": "movies"
+        }, function (err, user) {
+            should.not.exist(err);
+            user.toJSON().movies.map(function (movie) {
+                return movie.title;
+            }).should.eql(["Heat"]);
+            done();
+        });
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n) WHERE n:RelUser OR n:RelMovie DETACH DELETE n", done);
+    });
+});
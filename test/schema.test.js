@@ -0,0 +1,90 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db;
+
+describe("neo4j-graph schema diff", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        db.define("SchemaItem", {
+            "tenantId": String,
+            "sku": String,
+            "name": {
+                "type": String,
+                "index": true
+            }
+        }, {
+            "indexes": {
+                "tenant_sku": {
+                    "keys": {
+                        "tenantId": 1,
+                        "sku": 1
+                    }
+                }
+            }
+        });
+        db.automigrate("SchemaItem", function (err) {
+            should.not.exist(err);
+            // An index no model declares
+            db.connector.execute(db.connector.dialect.createIndex({
+                "kind": "index",
+                "label": "SchemaItem",
+                "properties": ["legacy"]
+            }), done);
+        });
+    });
+
+    it("should plan the differences without applying them", function (done) {
+        db.connector.autoupdate("SchemaItem", {
+            "dryRun": true
+        }, function (err, statements) {
+            should.not.exist(err);
+            statements.should.be.empty();
+            db.connector.autoupdate("SchemaItem", {
+                "dryRun": true,
+                "drop": true
+            }, function (err, statements) {
+                should.not.exist(err);
+                statements.should.have.lengthOf(1);
+                statements[0].should.match(/^DROP INDEX .*legacy/);
+                done();
+            });
+        });
+    });
+
+    it("should report the indexes no model declares without dropping them", function (done) {
+        db.autoupdate("SchemaItem", function (err) {
+            should.not.exist(err);
+            db.connector.schemaDiff("SchemaItem", function (err, diff) {
+                should.not.exist(err);
+                diff.create.should.be.empty();
+                diff.drop.should.have.lengthOf(1);
+                diff.drop[0].properties.should.eql(["legacy"]);
+                db.isActual("SchemaItem", function (err, actual) {
+                    should.not.exist(err);
+                    actual.should.be.true();
+                    done();
+                });
+            });
+        });
+    });
+
+    it("should drop the indexes no model declares with the drop option", function (done) {
+        db.connector.autoupdate("SchemaItem", {
+            "drop": true
+        }, function (err) {
+            should.not.exist(err);
+            db.connector.schemaDiff("SchemaItem", function (err, diff) {
+                should.not.exist(err);
+                diff.create.should.be.empty();
+                diff.drop.should.be.empty();
+                done();
+            });
+        });
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n:SchemaItem) DETACH DELETE n", done);
+    });
+});
@@ -0,0 +1,91 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db, Item;
+
+describe("neo4j-graph streams", function () {
+    "use strict";
+    before(function (done) {
+        var data = [];
+
+        db = getDataSource();
+        Item = db.define("StreamItem", {
+            "rank": Number
+        });
+        while (data.length < 25) {
+            data.push({
+                "rank": data.length
+            });
+        }
+        db.connector.execute("MATCH (n:StreamItem) DETACH DELETE n", function () {
+            Item.createAll(data, done);
+        });
+    });
+
+    it("should stream the instances page by page", function (done) {
+        var spy = sinon.spy(db.connector, "all"),
+            ranks = [];
+
+        Item.stream({
+            "where": {
+                "rank": {
+                    "gte": 5
+                }
+            },
+            "order": "rank DESC"
+        }, {
+            "pageSize": 10
+        }).on("data", function (item) {
+            item.should.be.an.instanceOf(Item);
+            ranks.push(item.rank);
+        }).on("error", done).on("end", function () {
+            spy.restore();
+            // The second page is full, a third one tells it was the last
+            spy.callCount.should.equal(3);
+            ranks.should.have.lengthOf(20);
+            ranks[0].should.equal(24);
+            ranks[19].should.equal(5);
+            done();
+        });
+    });
+
+    it("should stop reading when the stream is destroyed", function (done) {
+        var spy = sinon.spy(db.connector, "all"),
+            stream = db.connector.stream("StreamItem", {
+                "order": "rank"
+            }, {
+                "pageSize": 5
+            }),
+            ranks = [];
+
+        stream.on("data", function (item) {
+            ranks.push(item.rank);
+            if (3 === ranks.length) {
+                stream.destroy();
+            }
+        }).on("close", function () {
+            setTimeout(function () {
+                spy.restore();
+                ranks.should.eql([0, 1, 2]);
+                spy.callCount.should.be.below(3);
+                done();
+            }, 100);
+        });
+    });
+
+    it("should report invalid filters as stream errors", function (done) {
+        Item.stream({
+            "where": {
+                "rank\u0000": 1
+            }
+        }).on("error", function (err) {
+            should.exist(err);
+            err.statusCode.should.equal(400);
+            done();
+        }).resume();
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n:StreamItem) DETACH DELETE n", done);
+    });
+});
@@ -0,0 +1,168 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db, Audit;
+
+describe("neo4j-graph temporal properties", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        Audit = db.define("TemporalAudit", {
+            "action": String,
+            "created": String,
+            "at": Date,
+            "day": {
+                "type": Date,
+                "neo4j": {
+                    "temporal": "date"
+                }
+            },
+            "took": {
+                "type": Number,
+                "neo4j": {
+                    "temporal": "duration"
+                }
+            }
+        });
+        db.connector.execute("MATCH (n:TemporalAudit) DETACH DELETE n", function () {
+            Audit.createAll([{
+                "action": "login",
+                "at": new Date("2024-03-05T10:00:00+01:00"),
+                "day": new Date("2024-03-05T00:00:00Z"),
+                "took": 1500
+            }, {
+                "action": "logout",
+                "at": new Date("2024-03-05T09:30:00Z"),
+                "day": new Date("2024-03-06T00:00:00Z"),
+                "took": 250
+            }], done);
+        });
+    });
+
+    it("should store dates as native temporal values", function (done) {
+        db.connector.execute("MATCH (n:TemporalAudit {action: 'login'}) RETURN n.at = datetime('2024-03-05T09:00Z') " +
+            "AS at, n.day = date('2024-03-05') AS day, n.took = duration('PT1.5S') AS took", function (err, rows) {
+            should.not.exist(err);
+            rows[0].should.eql({
+                "at": true,
+                "day": true,
+                "took": true
+            });
+            done();
+        });
+    });
+
+    it("should read back dates and durations", function (done) {
+        Audit.findOne({
+            "where": {
+                "action": "login"
+            }
+        }, function (err, audit) {
+            should.not.exist(err);
+            audit.at.should.be.an.instanceOf(Date);
+            audit.at.toISOString().should.equal("2024-03-05T09:00:00.000Z");
+            audit.day.toISOString().should.equal("2024-03-05T00:00:00.000Z");
+            audit.took.should.equal(1500);
+            done();
+        });
+    });
+
+    it("should filter and sort in time", function (done) {
+        Audit.find({
+            "where": {
+                "at": {
+                    "gte": "2024-03-05T08:45:00Z"
+                },
+                "took": {
+                    "lt": 2000
+                }
+            },
+            "order": "at"
+        }, function (err, audits) {
+            should.not.exist(err);
+            audits.map(function (audit) {
+                return audit.action;
+            }).should.eql(["login", "logout"]);
+            done();
+        });
+    });
+
+    it("should convert dates stored as strings", function (done) {
+        db.connector.execute("CREATE (n:TemporalAudit {id: 'legacy', action: 'legacy', " +
+            "at: '2024-01-01T00:00:00.000Z', day: '2024-01-01T00:00:00.000Z'})", function (err) {
+            should.not.exist(err);
+            db.connector.migrateTemporals("TemporalAudit", {
+                "batchSize": 1
+            }, function (err, counts) {
+                should.not.exist(err);
+                counts.should.eql({
+                    "converted": {
+                        "at": 1,
+                        "day": 1,
+                        "took": 0
+                    },
+                    "failed": {
+                        "at": [],
+                        "day": [],
+                        "took": []
+                    }
+                });
+                Audit.find({
+                    "where": {
+                        "at": {
+                            "lt": new Date("2024-02-01T00:00:00Z")
+                        }
+                    }
+                }, function (err, audits) {
+                    should.not.exist(err);
+                    audits.should.have.lengthOf(1);
+                    audits[0].day.toISOString().should.equal("2024-01-01T00:00:00.000Z");
+                    done();
+                });
+            });
+        });
+    });
+
+    it("should report the strings which cannot be converted", function (done) {
+        db.connector.execute("CREATE (n:TemporalAudit {id: 'broken', action: 'broken', at: 'yesterday', " +
+            "took: 'soon'})", function (err) {
+            should.not.exist(err);
+            db.connector.migrateTemporals("TemporalAudit", {
+                "batchSize": 1
+            }, function (err, counts) {
+                should.not.exist(err);
+                counts.should.eql({
+                    "converted": {
+                        "at": 0,
+                        "day": 0,
+                        "took": 0
+                    },
+                    "failed": {
+                        "at": ["broken"],
+                        "day": [],
+                        "took": ["broken"]
+                    }
+                });
+                db.connector.execute("MATCH (n:TemporalAudit {id: 'broken'}) DELETE n", done);
+            });
+        });
+    });
+
+    it("should read the properties named like dates with their own type", function (done) {
+        Audit.create({
+            "action": "named",
+            "created": "yesterday"
+        }, function (err, audit) {
+            should.not.exist(err);
+            Audit.findById(audit.id, function (err, found) {
+                should.not.exist(err);
+                found.created.should.equal("yesterday");
+                done();
+            });
+        });
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n:TemporalAudit) DETACH DELETE n", done);
+    });
+});
@@ -0,0 +1,184 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db, Order, OrderLine;
+
+describe("neo4j-graph transactions", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        Order = db.define("TxOrder", {
+            "reference": String
+        });
+        OrderLine = db.define("TxOrderLine", {
+            "product": String,
+            "quantity": Number
+        });
+        Order.destroyAll(function () {
+            OrderLine.destroyAll(done);
+        });
+    });
+
+    it("should commit all the writes of a transaction", function (done) {
+        Order.beginTransaction({
+            "isolationLevel": Order.Transaction.READ_COMMITTED
+        }, function (err, tx) {
+            var options = {
+                "transaction": tx
+            };
+
+            should.not.exist(err);
+            Order.create({
+                "reference": "committed"
+            }, options, function (err) {
+                should.not.exist(err);
+                OrderLine.create({
+                    "product": "book",
+                    "quantity": 2
+                }, options, function (err) {
+                    should.not.exist(err);
+                    tx.commit(function (err) {
+                        should.not.exist(err);
+                        Order.count({
+                            "reference": "committed"
+                        }, function (err, count) {
+                            count.should.equal(1);
+                            done(err);
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it("should see uncommitted writes within the transaction only", function (done) {
+        Order.beginTransaction({}, function (err, tx) {
+            should.not.exist(err);
+            Order.create({
+                "reference": "pending"
+            }, {
+                "transaction": tx
+            }, function (err) {
+                should.not.exist(err);
+                Order.find({
+                    "where": {
+                        "reference": "pending"
+                    }
+                }, {
+                    "transaction": tx
+                }, function (err, orders) {
+                    should.not.exist(err);
+                    orders.should.have.lengthOf(1);
+                    tx.rollback(function (err) {
+                        should.not.exist(err);
+                        Order.count({
+                            "reference": "pending"
+                        }, function (err, count) {
+                            count.should.equal(0);
+                            done(err);
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it("should roll back updates and deletes", function (done) {
+        Order.create({
+            "reference": "kept"
+        }, function (err, order) {
+            should.not.exist(err);
+            Order.beginTransaction({}, function (err, tx) {
+                var options = {
+                    "transaction": tx
+                };
+
+                order.updateAttributes({
+                    "reference": "changed"
+                }, options, function (err) {
+                    should.not.exist(err);
+                    Order.destroyAll({
+                        "reference": "committed"
+                    }, options, function (err) {
+                        should.not.exist(err);
+                        tx.rollback(function () {
+                            Order.find({
+                                "order": "reference"
+                            }, function (err, orders) {
+                                orders.map(function (entry) {
+                                    return entry.reference;
+                                }).should.eql(["committed", "kept"]);
+                                done(err);
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it("should reject isolation levels Neo4j does not provide", function (done) {
+        Order.beginTransaction(Order.Transaction.SERIALIZABLE, function (err) {
+            should.exist(err);
+            err.message.should.match(/not supported/);
+            done();
+        });
+    });
+
+    it("should run raw cypher queries in the transaction", function (done) {
+        Order.beginTransaction({}, function (err, tx) {
+            should.not.exist(err);
+            db.connector.execute({
+                "query": "CREATE (n:TxOrder {reference: $reference})",
+                "params": {
+                    "reference": "raw"
+                }
+            }, [], {
+                "transaction": tx
+            }, function (err) {
+                should.not.exist(err);
+                tx.rollback(function () {
+                    Order.count({
+                        "reference": "raw"
+                    }, function (err, count) {
+                        count.should.equal(0);
+                        done(err);
+                    });
+                });
+            });
+        });
+    });
+
+    it("should run transaction functions again after a retryable error", function (done) {
+        var attempts = 0;
+
+        db.connector.runTransaction(function (options, callback) {
+            attempts += 1;
+            Order.create({
+                "reference": "retried"
+            }, options, function (err) {
+                var deadlock = new Error("Deadlock detected");
+
+                if (err || attempts > 1) {
+                    return callback(err, attempts);
+                }
+                deadlock.code = "Neo.TransientError.Transaction.DeadlockDetected";
+                callback(db.connector.translateError(deadlock));
+            });
+        }).then(function (result) {
+            result.should.equal(2);
+            Order.count({
+                "reference": "retried"
+            }, function (err, count) {
+                count.should.equal(1);
+                done(err);
+            });
+        }).catch(done);
+    });
+
+    after(function (done) {
+        Order.destroyAll(function () {
+            OrderLine.destroyAll(done);
+        });
+    });
+});
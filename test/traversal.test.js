@@ -0,0 +1,97 @@
+// This test written in mocha+should.js
+var should = require("./init.js");
+
+var db, Person;
+
+describe("neo4j-graph traversals", function () {
+    "use strict";
+    before(function (done) {
+        db = getDataSource();
+        Person = db.define("TravPerson", {
+            "name": String
+        });
+        // ann -> bob -> cid -> dan, ann -> cid
+        db.connector.execute("MATCH (n:TravPerson) DETACH DELETE n", function () {
+            db.connector.execute("CREATE (ann:TravPerson {id: 'ann', name: 'Ann'}), (bob:TravPerson {id: 'bob', " +
+                "name: 'Bob'}), (cid:TravPerson {id: 'cid', name: 'Cid'}), (dan:TravPerson {id: 'dan', name: 'Dan'}), " +
+                "(ann)-[:KNOWS {since: 2010}]->(bob), (bob)-[:KNOWS]->(cid), (cid)-[:KNOWS]->(dan), " +
+                "(ann)-[:WORKS_WITH]->(cid)", done);
+        });
+    });
+
+    it("should find neighbors up to a depth", function (done) {
+        Person.neighbors("ann", {
+            "relType": "KNOWS",
+            "direction": "out",
+            "depth": 2,
+            "model": Person
+        }, function (err, people) {
+            should.not.exist(err);
+            people.map(function (person) {
+                return person.name;
+            }).should.eql(["Bob", "Cid"]);
+            people[0].should.be.an.instanceOf(Person);
+            done();
+        });
+    });
+
+    it("should report the depth of neighbors", function (done) {
+        db.connector.neighbors("TravPerson", "dan", {
+            "direction": "in",
+            "depth": 3
+        }, function (err, nodes) {
+            should.not.exist(err);
+            nodes.map(function (node) {
+                return node.data.id + ":" + node.depth;
+            }).sort().should.eql(["ann:2", "bob:2", "cid:1"]);
+            nodes[0].model.should.equal("TravPerson");
+            done();
+        });
+    });
+
+    it("should list the paths between two instances", function (done) {
+        Person.paths("ann", Person, "cid", {
+            "direction": "out"
+        }).then(function (paths) {
+            paths.should.have.lengthOf(2);
+            paths[0].length.should.equal(1);
+            paths[0].relationships[0].type.should.equal("WORKS_WITH");
+            paths[1].nodes.map(function (node) {
+                return node.data.name;
+            }).should.eql(["Ann", "Bob", "Cid"]);
+            paths[1].relationships[0].should.eql({
+                "type": "KNOWS",
+                "start": 0,
+                "end": 1,
+                "properties": {
+                    "since": 2010
+                }
+            });
+            done();
+        }).catch(done);
+    });
+
+    it("should find the shortest path", function (done) {
+        Person.shortestPath("dan", "TravPerson", "ann", {
+            "relType": "KNOWS"
+        }, function (err, path) {
+            should.not.exist(err);
+            path.length.should.equal(3);
+            path.relationships[0].should.have.properties({
+                "start": 1,
+                "end": 0
+            });
+            Person.shortestPath("ann", "TravPerson", "dan", {
+                "direction": "in"
+            }, function (err, path) {
+                should.not.exist(err);
+                should.not.exist(path);
+                done();
+            });
+        });
+    });
+
+    after(function (done) {
+        db.connector.execute("MATCH (n:TravPerson) DETACH DELETE n", done);
+    });
+});